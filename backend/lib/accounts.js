@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Local accounts: users log in with a password or an API token and get their own settings,
+// watchlist and fee profiles. Passwords are stored as scrypt hashes, tokens only as SHA-256
+// hashes, so a token is shown once when it is issued and can't be recovered from the store.
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Every login issues a token; past this many the oldest login tokens are dropped
+const MAX_LOGIN_TOKENS = 10;
+const MAX_API_TOKENS = 20;
+const MAX_SETTINGS_BYTES = 64 * 1024;
+const TOKEN_KINDS = ['login', 'api'];
+// How long a stream ticket can be used to open a stream
+const STREAM_TICKET_TTL = 30 * 1000;
+
+function validateCredentials(input = {}) {
+  const { username, password } = input;
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new Error('username must be 3-32 letters, digits or . _ -');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return { username, password };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const expectedHash = Buffer.from(expected, 'hex');
+  if (expectedHash.length !== 64) return false;
+  const hash = await scrypt(String(password), Buffer.from(salt, 'hex'), 64);
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function findUser(users, username) {
+  const wanted = String(username).toLowerCase();
+  return users.find(u => u.username.toLowerCase() === wanted);
+}
+
+async function createUser(input, users) {
+  const { username, password } = validateCredentials(input);
+  if (findUser(users, username)) throw new Error(`username ${username} is taken`);
+  return {
+    id: crypto.randomUUID(),
+    username,
+    passwordHash: await hashPassword(password),
+    tokens: [],
+    settings: null,
+    watchlist: [],
+    profiles: [],
+    createdAt: Date.now(),
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Adds a token to the user and returns it in plain text, the only time it is available
+function issueToken(user, { name, kind = 'login' } = {}) {
+  if (!TOKEN_KINDS.includes(kind)) throw new Error(`kind must be one of ${TOKEN_KINDS.join(', ')}`);
+  if (kind === 'api') {
+    if (!name || typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+    if (user.tokens.filter(t => t.kind === 'api').length >= MAX_API_TOKENS) {
+      throw new Error(`At most ${MAX_API_TOKENS} API tokens per user`);
+    }
+  }
+
+  const token = `sbf_${crypto.randomBytes(32).toString('base64url')}`;
+  user.tokens.push({
+    id: crypto.randomUUID(),
+    name: kind === 'api' ? name.trim() : 'login',
+    kind,
+    hash: hashToken(token),
+    createdAt: Date.now(),
+  });
+
+  const logins = user.tokens.filter(t => t.kind === 'login');
+  if (logins.length > MAX_LOGIN_TOKENS) {
+    const dropped = new Set(logins.slice(0, logins.length - MAX_LOGIN_TOKENS));
+    user.tokens = user.tokens.filter(t => !dropped.has(t));
+  }
+  return token;
+}
+
+// The user and token entry a bearer token belongs to, or null
+function authenticate(users, token) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  for (const user of users) {
+    const entry = user.tokens.find(t => t.hash === hash);
+    if (entry) return { user, token: entry };
+  }
+  return null;
+}
+
+// Tickets for the Server-Sent Events streams. EventSource can't send headers, and a token in the URL
+// would end up in proxy and access logs and in the browser history, so a logged in client trades its
+// token for a ticket (POST /api/auth/stream-ticket) and puts that in the stream URL instead. A ticket
+// opens one stream within STREAM_TICKET_TTL and is only kept in memory.
+function createStreamTickets({ ttl = STREAM_TICKET_TTL, now = Date.now } = {}) {
+  const tickets = new Map();
+
+  function issue(user, token) {
+    const t = now();
+    for (const [ticket, entry] of tickets) {
+      if (entry.expiresAt <= t) tickets.delete(ticket);
+    }
+    const ticket = `sbs_${crypto.randomBytes(24).toString('base64url')}`;
+    tickets.set(ticket, { userId: user.id, tokenId: token.id, expiresAt: t + ttl });
+    return { ticket, expiresAt: t + ttl };
+  }
+
+  // The user and token entry the ticket was issued for, or null when it is unknown, used up,
+  // expired or its token was revoked in the meantime
+  function redeem(users, ticket) {
+    const entry = tickets.get(ticket);
+    if (!entry) return null;
+    tickets.delete(ticket);
+    if (entry.expiresAt <= now()) return null;
+    const user = users.find(u => u.id === entry.userId);
+    const token = user && user.tokens.find(t => t.id === entry.tokenId);
+    return token ? { user, token } : null;
+  }
+
+  return { issue, redeem };
+}
+
+function revokeToken(user, tokenId) {
+  const before = user.tokens.length;
+  user.tokens = user.tokens.filter(t => t.id !== tokenId);
+  return user.tokens.length !== before;
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+function publicToken(entry) {
+  return { id: entry.id, name: entry.name, kind: entry.kind, createdAt: entry.createdAt };
+}
+
+// Settings are owned by the frontend (view state including the selected fee profile id, presets);
+// the backend only checks their shape and size
+function validateSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('settings must be an object');
+  const { view = null, presets = [] } = input;
+  if (view !== null && (typeof view !== 'object' || Array.isArray(view))) throw new Error('view must be an object');
+  if (!Array.isArray(presets)) throw new Error('presets must be a list');
+
+  const settings = { view, presets, updatedAt: Date.now() };
+  if (Buffer.byteLength(JSON.stringify(settings)) > MAX_SETTINGS_BYTES) {
+    throw new Error(`settings must be under ${MAX_SETTINGS_BYTES / 1024} KB`);
+  }
+  return settings;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_LOGIN_TOKENS,
+  MAX_API_TOKENS,
+  STREAM_TICKET_TTL,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  findUser,
+  createUser,
+  hashToken,
+  issueToken,
+  authenticate,
+  createStreamTickets,
+  revokeToken,
+  publicUser,
+  publicToken,
+  validateSettings,
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { DEFAULT_TAX } = require('./flips');
+const { validateWebhookUrl, postWebhook } = require('./webhooks');
+
+// Alert rule engine.
+//
+// A rule matches products by id pattern (e.g. "ENCHANTED_*", comma separated
+// for several) and a list of conditions on card fields, e.g.
+//   { field: 'margin', op: '>', value: 200000 }
+// Rules are evaluated on every bazaar snapshot. An alert fires when a product
+// starts matching a rule (it has to stop matching before it can fire again)
+// and the rule's cooldown for that product has passed. Fired alerts are
+// emitted as 'alert' events and posted to the rule's webhook, if any.
+
+const OPS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const MAX_RECENT = 100;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// `${ruleId}:${productId}` -> { active, lastFired }
+const state = new Map();
+const recent = [];
+
+function patternToRegex(pattern) {
+  const parts = String(pattern || '*')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*'));
+  return new RegExp(`^(?:${parts.join('|') || '.*'})$`, 'i');
+}
+
+// Validate a rule from the API, merged over `existing` when updating
+function validateRule(input = {}, existing = null) {
+  const rule = { ...existing, ...input };
+
+  if (!rule.name || typeof rule.name !== 'string') throw new Error('name is required');
+  rule.pattern = rule.pattern == null || rule.pattern === '' ? '*' : String(rule.pattern);
+
+  if (!Array.isArray(rule.conditions) || !rule.conditions.length) {
+    throw new Error('conditions must be a non-empty array');
+  }
+  rule.conditions = rule.conditions.map((c, i) => {
+    if (!c || typeof c.field !== 'string' || !/^[A-Za-z]+$/.test(c.field)) {
+      throw new Error(`conditions[${i}].field must be a card field name`);
+    }
+    if (!OPS[c.op]) throw new Error(`conditions[${i}].op must be one of ${Object.keys(OPS).join(' ')}`);
+    const value = Number(c.value);
+    if (!Number.isFinite(value)) throw new Error(`conditions[${i}].value must be a number`);
+    return { field: c.field, op: c.op, value };
+  });
+
+  rule.cooldownMinutes = rule.cooldownMinutes == null ? DEFAULT_COOLDOWN_MINUTES : Number(rule.cooldownMinutes);
+  if (!(rule.cooldownMinutes >= 0)) throw new Error('cooldownMinutes must be zero or more');
+
+  rule.tax = rule.tax == null || rule.tax === '' ? DEFAULT_TAX : Number(rule.tax);
+  if (!Number.isFinite(rule.tax)) throw new Error('tax must be a number');
+
+  rule.webhookUrl = rule.webhookUrl ? validateWebhookUrl(rule.webhookUrl) : null;
+
+  rule.enabled = rule.enabled !== false;
+  rule.id = rule.id || crypto.randomUUID();
+  rule.createdAt = rule.createdAt || Date.now();
+  return rule;
+}
+
+function matches(rule, regex, card) {
+  if (!regex.test(card.id)) return false;
+  return rule.conditions.every(c => {
+    const value = card[c.field];
+    return typeof value === 'number' && OPS[c.op](value, c.value);
+  });
+}
+
+function formatValue(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: 1 });
+}
+
+function describe(rule, card) {
+  const parts = rule.conditions.map(c => {
+    const value = card[c.field];
+    return `${c.field} ${formatValue(value)} ${c.op} ${formatValue(c.value)}`;
+  });
+  return `${card.title}: ${parts.join(', ')}`;
+}
+
+// Discord-compatible payload, other webhook consumers can read `alert`
+function webhookPayload(alert) {
+  return {
+    content: `**${alert.ruleName}** - ${alert.message}`,
+    embeds: [
+      {
+        title: alert.title,
+        url: alert.href,
+        description: alert.message,
+        timestamp: new Date(alert.t).toISOString(),
+        fields: Object.entries(alert.values).map(([name, value]) => ({
+          name,
+          value: formatValue(value),
+          inline: true,
+        })),
+      },
+    ],
+    alert,
+  };
+}
+
+async function deliverWebhook(url, alert) {
+  try {
+    await postWebhook(url, webhookPayload(alert));
+  } catch (err) {
+    console.error(`Alert webhook to ${url} failed:`, err.message);
+  }
+}
+
+// Evaluate all rules. `getCards(tax)` returns the cards of every product for a tax rate.
+function evaluate(rules, getCards, now = Date.now()) {
+  const fired = [];
+  const seen = new Set();
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const regex = patternToRegex(rule.pattern);
+
+    for (const card of getCards(rule.tax)) {
+      const key = `${rule.id}:${card.id}`;
+      const isMatch = matches(rule, regex, card);
+      // Only products that matched at some point need state
+      if (!isMatch && !state.has(key)) continue;
+      const entry = state.get(key) || { active: false, lastFired: 0 };
+      seen.add(key);
+
+      if (isMatch && !entry.active && now - entry.lastFired >= rule.cooldownMinutes * 60 * 1000) {
+        const values = {};
+        for (const c of rule.conditions) values[c.field] = card[c.field];
+        const alert = {
+          id: crypto.randomUUID(),
+          ruleId: rule.id,
+          ruleName: rule.name,
+          owner: rule.owner || null,
+          productId: card.id,
+          title: card.title,
+          href: card.href,
+          message: describe(rule, card),
+          values,
+          t: now,
+        };
+        entry.lastFired = now;
+        fired.push(alert);
+      }
+      entry.active = isMatch;
+      state.set(key, entry);
+    }
+  }
+
+  // Forget products that disappeared, rules that were deleted and cooldowns that ran out
+  for (const [key, entry] of state) {
+    const ruleId = key.slice(0, key.indexOf(':'));
+    const rule = rules.find(r => r.id === ruleId);
+    const cooling = rule && now - entry.lastFired < rule.cooldownMinutes * 60 * 1000;
+    if (!seen.has(key) || (!entry.active && !cooling)) state.delete(key);
+  }
+
+  for (const alert of fired) {
+    publish(alert, rules.find(r => r.id === alert.ruleId).webhookUrl);
+  }
+
+  return fired;
+}
+
+// Record an alert, emit it and post it to `webhookUrl` if given. Also used for alerts that don't come from rules.
+function publish(alert, webhookUrl = null) {
+  recent.push(alert);
+  recent.splice(0, Math.max(0, recent.length - MAX_RECENT));
+  events.emit('alert', alert);
+  if (webhookUrl) deliverWebhook(webhookUrl, alert);
+}
+
+function recentAlerts(since = 0) {
+  return recent.filter(alert => alert.t > since);
+}
+
+module.exports = {
+  OPS,
+  events,
+  validateRule,
+  evaluate,
+  publish,
+  recentAlerts,
+  patternToRegex,
+};
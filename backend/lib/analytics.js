@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { MIN_VOLUME } = require('./flips');
+
+// Market-wide analytics: price movers, volume changes, spread distribution and flip
+// opportunity per category. Movers compare the latest snapshot's history points with
+// the recorded points one window ago (history.pointsAt), so they need recorded history.
+//
+// Categories come from a local JSON file, each with exact product ids and/or regex
+// patterns; a product can be in several categories (ENCHANTED_CARROT is farming and
+// enchanted), products in none are "other":
+//   { "farming": { "ids": ["WHEAT"], "patterns": ["^ENCHANTED_WHEAT"] } }
+
+const DEFAULT_CATEGORIES_FILE = path.join(__dirname, '..', 'resources', 'categories.json');
+const OTHER = 'other';
+
+const HOUR = 60 * 60 * 1000;
+const WINDOWS = { '1h': HOUR, '24h': 24 * HOUR };
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Upper bounds of the spread histogram buckets in percent, the last bucket is open ended
+const SPREAD_BUCKETS = [1, 2, 5, 10, 25, 50];
+
+function validateCategories(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('categories must be an object keyed by category name');
+  }
+  return Object.entries(input).map(([name, def]) => {
+    if (name === OTHER) throw new Error(`"${OTHER}" is reserved for uncategorized products`);
+    const ids = (def && def.ids) || [];
+    const patterns = (def && def.patterns) || [];
+    if (!Array.isArray(ids) || !Array.isArray(patterns) || (!ids.length && !patterns.length)) {
+      throw new Error(`${name}: needs a list of ids and/or patterns`);
+    }
+    return {
+      name,
+      ids: new Set(ids.map(String)),
+      patterns: patterns.map(p => {
+        try {
+          return new RegExp(p);
+        } catch (err) {
+          throw new Error(`${name}: invalid pattern ${p}`);
+        }
+      }),
+    };
+  });
+}
+
+function loadCategories(file = DEFAULT_CATEGORIES_FILE) {
+  return validateCategories(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Category names of a product id, [OTHER] when none matches
+function categorize(id, categories) {
+  const names = categories.filter(c => c.ids.has(id) || c.patterns.some(p => p.test(id))).map(c => c.name);
+  return names.length ? names : [OTHER];
+}
+
+function parseWindow(input) {
+  if (input == null || input === '') return '1h';
+  if (!WINDOWS[input]) throw new Error(`window must be one of ${Object.keys(WINDOWS).join(', ')}`);
+  return input;
+}
+
+function parseLimit(input) {
+  if (input == null || input === '') return DEFAULT_LIMIT;
+  const limit = Number(input);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new Error(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  return limit;
+}
+
+function midPrice(point) {
+  return point && point.buy > 0 && point.sell > 0 ? (point.buy + point.sell) / 2 : null;
+}
+
+function weeklyVolume(point) {
+  return point.buyMovingWeek + point.sellMovingWeek;
+}
+
+// Enough trades per hour on both sides that price moves mean something, same bar as flips
+function isTraded(point) {
+  return Math.min(point.buyMovingWeek, point.sellMovingWeek) / 168 > MIN_VOLUME;
+}
+
+function change(id, now, before) {
+  return { id, now, before, change: now - before, changePct: ((now - before) / before) * 100 };
+}
+
+// Biggest mid price (between top buy order and top sell offer) changes, up and down
+function priceMovers(current, reference, { limit = DEFAULT_LIMIT } = {}) {
+  const changes = [];
+  for (const [id, point] of Object.entries(current)) {
+    const now = midPrice(point);
+    const before = midPrice(reference[id]);
+    if (now == null || before == null || !isTraded(point)) continue;
+    changes.push(change(id, now, before));
+  }
+  return splitMovers(changes, limit);
+}
+
+// Biggest changes of the weekly traded volume (instabuys plus instasells)
+function volumeMovers(current, reference, { limit = DEFAULT_LIMIT } = {}) {
+  const changes = [];
+  for (const [id, point] of Object.entries(current)) {
+    if (!reference[id]) continue;
+    const before = weeklyVolume(reference[id]);
+    if (!(before > 0) || !isTraded(point)) continue;
+    changes.push(change(id, weeklyVolume(point), before));
+  }
+  return splitMovers(changes, limit);
+}
+
+function splitMovers(changes, limit) {
+  const up = changes.filter(c => c.change > 0).sort((a, b) => b.changePct - a.changePct);
+  const down = changes.filter(c => c.change < 0).sort((a, b) => a.changePct - b.changePct);
+  return { compared: changes.length, up: up.slice(0, limit), down: down.slice(0, limit) };
+}
+
+function spreadPct(point) {
+  return point.buy > 0 && point.sell > 0 ? ((point.sell - point.buy) / point.buy) * 100 : null;
+}
+
+// How many products have a spread (sell offer over buy order) in each bucket, plus the median
+function spreadDistribution(points) {
+  const buckets = [...SPREAD_BUCKETS, Infinity].map((max, i) => ({ min: i ? SPREAD_BUCKETS[i - 1] : 0, max: max === Infinity ? null : max, count: 0 }));
+  const spreads = [];
+  for (const point of Object.values(points)) {
+    const spread = spreadPct(point);
+    if (spread == null) continue;
+    spreads.push(spread);
+    const bucket = buckets.find(b => b.max == null || spread < b.max);
+    bucket.count++;
+  }
+  spreads.sort((a, b) => a - b);
+  return { products: spreads.length, median: median(spreads), buckets };
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Flip opportunity per category: products, profitable flips, their summed coins per hour and the best one
+function categoryBreakdown(points, flipCards, categories) {
+  const rows = {};
+  const row = name => rows[name] || (rows[name] = { category: name, products: 0, flips: 0, coinsPerHour: 0, realisticCoinsPerHour: 0, spreads: [], topFlip: null });
+
+  for (const [id, point] of Object.entries(points)) {
+    for (const name of categorize(id, categories)) {
+      const r = row(name);
+      r.products++;
+      const spread = spreadPct(point);
+      if (spread != null) r.spreads.push(spread);
+    }
+  }
+  for (const card of flipCards) {
+    for (const name of categorize(card.id, categories)) {
+      const r = row(name);
+      r.flips++;
+      r.coinsPerHour += card.coinsPerHour || 0;
+      r.realisticCoinsPerHour += card.realisticCoinsPerHour || 0;
+      if (!r.topFlip || card.coinsPerHour > r.topFlip.coinsPerHour) r.topFlip = { id: card.id, coinsPerHour: card.coinsPerHour, margin: card.margin };
+    }
+  }
+
+  return Object.values(rows)
+    .map(({ spreads, ...r }) => ({ ...r, medianSpreadPct: median(spreads.sort((a, b) => a - b)) }))
+    .sort((a, b) => b.coinsPerHour - a.coinsPerHour);
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES_FILE,
+  OTHER,
+  WINDOWS,
+  SPREAD_BUCKETS,
+  validateCategories,
+  loadCategories,
+  categorize,
+  parseWindow,
+  parseLimit,
+  priceMovers,
+  volumeMovers,
+  spreadDistribution,
+  categoryBreakdown,
+};
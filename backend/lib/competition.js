@@ -0,0 +1,109 @@
+// Competition and time-to-fill estimates for flips.
+//
+// `coinsPerHour` assumes we get every instabuy and instasell of the hour. In
+// practice the fills at the top of the book are shared with everyone else
+// bidding or offering there, so per side:
+//   - competitors: orders within NEAR_TOP of the best price (from the order
+//     book, or every order counted in quick_status when the book is missing),
+//     plus the players who outbid/undercut the top recently. Every undercut
+//     in the last ACTIVE_WINDOW hours counts as one more competitor.
+//     Never more than quick_status says are on that side of the book.
+//   - our share of the side's fills is 1 / (1 + competitors)
+// Buy orders fill from instasells and sell offers from instabuys, so a flip
+// moves min(instasell * buyShare, instabuy * sellShare) items per hour.
+
+const NEAR_TOP = 0.01;
+const ACTIVE_WINDOW = 1 / 6;
+// Fill time quoted on cards when no fill simulation quantity is given
+const DEFAULT_FILL_QUANTITY = 64;
+// Undercut rates are exponentially weighted with this half-life
+const HALF_LIFE = 60 * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+const churn = new Map();
+
+function updateRate(rate, events, dt) {
+  const alpha = 1 - Math.pow(0.5, dt / HALF_LIFE);
+  return rate + alpha * (events / (dt / HOUR) - rate);
+}
+
+// Feed one snapshot of history-shaped points ({ id: { buy, sell } }), see lib/history.js.
+// A higher top buy order means someone outbid the buy orders, a lower top sell offer that someone undercut the offers.
+function observe(points, t = Date.now()) {
+  for (const [id, point] of Object.entries(points)) {
+    const state = churn.get(id);
+    if (!state) {
+      churn.set(id, { t, n: 1, buy: point.buy, sell: point.sell, buyUndercuts: 0, sellUndercuts: 0 });
+      continue;
+    }
+    if (t <= state.t) continue;
+    const dt = t - state.t;
+    state.buyUndercuts = updateRate(state.buyUndercuts, point.buy > state.buy && state.buy > 0 ? 1 : 0, dt);
+    state.sellUndercuts = updateRate(state.sellUndercuts, point.sell < state.sell && point.sell > 0 ? 1 : 0, dt);
+    Object.assign(state, { t, n: state.n + 1, buy: point.buy, sell: point.sell });
+  }
+}
+
+// Undercuts per hour on each side, 0 until the product was seen twice
+function undercutRates(id) {
+  const state = churn.get(id);
+  if (!state || state.n < 2) return { buy: 0, sell: 0 };
+  return { buy: state.buyUndercuts, sell: state.sellUndercuts };
+}
+
+// Orders on the levels of one side of the book (best first) within NEAR_TOP of the best price
+function ordersNearTop(levels) {
+  if (!levels || !levels.length) return null;
+  const best = levels[0].pricePerUnit;
+  let orders = 0;
+  for (const level of levels) {
+    if (Math.abs(best - level.pricePerUnit) > best * NEAR_TOP) break;
+    orders += level.orders || 0;
+  }
+  return orders;
+}
+
+function sideCompetitors(nearTop, totalOrders, undercutsPerHour) {
+  const competitors = (nearTop == null ? totalOrders : nearTop) + undercutsPerHour * ACTIVE_WINDOW;
+  return Math.min(competitors, totalOrders);
+}
+
+function round(x, digits) {
+  const f = Math.pow(10, digits);
+  return Math.round(x * f) / f;
+}
+
+// Competition fields for one product/card pair. `quantity` is the order size the fill time is quoted for.
+function estimateCompetition(product, card, { quantity = DEFAULT_FILL_QUANTITY } = {}) {
+  const { quick_status = {}, buy_summary, sell_summary } = product;
+  // quick_status counts are named from the instant side: sellOrders are buy orders and buyOrders are sell offers
+  const rates = undercutRates(card.id);
+  const buyCompetitors = sideCompetitors(ordersNearTop(sell_summary), quick_status.sellOrders || 0, rates.buy);
+  const sellCompetitors = sideCompetitors(ordersNearTop(buy_summary), quick_status.buyOrders || 0, rates.sell);
+
+  const buyShare = 1 / (1 + buyCompetitors);
+  const sellShare = 1 / (1 + sellCompetitors);
+  const buyFillsPerHour = card.instasell * buyShare;
+  const sellFillsPerHour = card.instabuy * sellShare;
+  const itemsPerHour = Math.min(buyFillsPerHour, sellFillsPerHour);
+
+  return {
+    buyCompetitors: round(buyCompetitors, 1),
+    sellCompetitors: round(sellCompetitors, 1),
+    competitors: round(buyCompetitors + sellCompetitors, 1),
+    buyUndercutsPerHour: round(rates.buy, 1),
+    sellUndercutsPerHour: round(rates.sell, 1),
+    fillShare: round(Math.min(buyShare, sellShare), 4),
+    fillQuantity: quantity,
+    // Buy the whole quantity, then sell it
+    fillHours: buyFillsPerHour > 0 && sellFillsPerHour > 0 ? quantity / buyFillsPerHour + quantity / sellFillsPerHour : null,
+    realisticCoinsPerHour: card.margin * itemsPerHour,
+  };
+}
+
+module.exports = {
+  DEFAULT_FILL_QUANTITY,
+  observe,
+  estimateCompetition,
+};
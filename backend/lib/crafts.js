@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TAX, MAX_FLIPS, buyQuote, sellQuote } = require('./flips');
+const { displayName, iconPath } = require('./items');
+const { sellTaxFor } = require('./fees');
+
+// Craft flips: buy the ingredients of a recipe on the bazaar, craft, sell the output.
+//
+// Recipes come from a local JSON file keyed by output product id:
+//   { "ENCHANTED_CARROT": { "count": 1, "ingredients": { "CARROT_ITEM": 160 } } }
+// `count` (default 1) is how many outputs one craft makes.
+//
+// Ingredients are bought and the output is sold in the given buy/sell modes (see
+// buyQuote and sellQuote in flips.js). Crafts per hour are capped by whichever
+// product trades slowest for the amount the recipe needs.
+
+const DEFAULT_RECIPES_FILE = path.join(__dirname, '..', 'resources', 'recipes.json');
+
+function validateRecipes(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('recipes must be an object keyed by output product id');
+  }
+  const recipes = {};
+  for (const [output, recipe] of Object.entries(input)) {
+    const count = recipe && recipe.count != null ? Number(recipe.count) : 1;
+    if (!(count > 0)) throw new Error(`${output}: count must be a positive number`);
+    const ingredients = recipe && recipe.ingredients;
+    if (!ingredients || typeof ingredients !== 'object' || !Object.keys(ingredients).length) {
+      throw new Error(`${output}: ingredients must be a non-empty object`);
+    }
+    for (const [id, quantity] of Object.entries(ingredients)) {
+      if (!(Number(quantity) > 0)) throw new Error(`${output}: ${id} quantity must be a positive number`);
+    }
+    recipes[output] = {
+      count,
+      ingredients: Object.fromEntries(Object.entries(ingredients).map(([id, quantity]) => [id, Number(quantity)])),
+    };
+  }
+  return recipes;
+}
+
+function loadRecipes(file = DEFAULT_RECIPES_FILE) {
+  return validateRecipes(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Craft card for one recipe, or null when the output or an ingredient isn't tradeable
+function buildCraft(output, recipe, products, { taxRate = DEFAULT_TAX, buyMode = 'order', sellMode = 'offer' } = {}) {
+  const product = products[output];
+  if (!product) return null;
+  const sale = sellQuote(product, sellMode);
+  if (!(sale.price > 0)) return null;
+
+  const ingredients = [];
+  // Crafts per hour each product's volume allows, output first
+  const limits = [{ id: output, craftsPerHour: sale.hourly / recipe.count }];
+  for (const [id, quantity] of Object.entries(recipe.ingredients)) {
+    const ingredient = products[id];
+    if (!ingredient) return null;
+    const quote = buyQuote(ingredient, buyMode);
+    if (!(quote.price > 0)) return null;
+    ingredients.push({
+      id,
+      quantity,
+      price: quote.price,
+      cost: quote.price * quantity,
+      hourly: Math.round(quote.hourly),
+    });
+    limits.push({ id, craftsPerHour: quote.hourly / quantity });
+  }
+
+  const cost = ingredients.reduce((sum, i) => sum + i.cost, 0);
+  const revenue = sale.price * recipe.count * (1 - (taxRate / 100));
+  const profit = revenue - cost;
+
+  // The slowest product decides how many crafts an hour can actually be bought and sold
+  const slowest = limits.reduce((min, limit) => (limit.craftsPerHour < min.craftsPerHour ? limit : min));
+  const craftsPerHour = Math.floor(slowest.craftsPerHour);
+
+  return {
+    id: output,
+    title: displayName(output),
+    count: recipe.count,
+    ingredients,
+    cost,
+    sell: sale.price,
+    revenue,
+    profit,
+    profitPerItem: profit / recipe.count,
+    roi: cost > 0 ? profit / cost : null,
+    craftsPerHour,
+    bottleneck: slowest.id,
+    coinsPerHour: profit * craftsPerHour,
+    href: `https://skyblock.bz/product/${output}`,
+    img: iconPath(output),
+  };
+}
+
+// Profitable crafts ranked by coins per hour
+function computeCraftFlips(products, recipes, options = {}) {
+  const { limit = MAX_FLIPS, taxRate = DEFAULT_TAX, exempt = [] } = options;
+  // Outputs in `exempt` are sold untaxed
+  const fees = { sellTax: taxRate, exemptions: exempt };
+  const crafts = [];
+  for (const [output, recipe] of Object.entries(recipes)) {
+    const craft = buildCraft(output, recipe, products || {}, { ...options, taxRate: sellTaxFor(fees, output) });
+    if (craft && craft.profit > 0 && craft.craftsPerHour > 0) crafts.push(craft);
+  }
+  crafts.sort((a, b) => b.coinsPerHour - a.coinsPerHour);
+  return crafts.slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_RECIPES_FILE,
+  validateRecipes,
+  loadRecipes,
+  buildCraft,
+  computeCraftFlips,
+};
@@ -0,0 +1,50 @@
+function sameValue(a, b) {
+  if (a === b) return true;
+  // Nested values (arrays, objects) are compared structurally
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+// Diff two card lists by `id`, for pushing incremental updates to clients.
+// Returns { added: [card], removed: [id], changed: [{ id, changes: { field: value } }] }.
+function diffCards(prev, next) {
+  const before = new Map(prev.map(card => [card.id, card]));
+  const after = new Map(next.map(card => [card.id, card]));
+
+  const added = [];
+  const changed = [];
+  for (const [id, card] of after) {
+    const old = before.get(id);
+    if (!old) {
+      added.push(card);
+      continue;
+    }
+    const changes = {};
+    let any = false;
+    for (const key of Object.keys(card)) {
+      if (!sameValue(card[key], old[key])) {
+        changes[key] = card[key];
+        any = true;
+      }
+    }
+    if (any) changed.push({ id, changes });
+  }
+
+  const removed = [];
+  for (const id of before.keys()) {
+    if (!after.has(id)) removed.push(id);
+  }
+
+  return { added, removed, changed };
+}
+
+function isEmptyDiff(diff) {
+  return !diff.added.length && !diff.removed.length && !diff.changed.length;
+}
+
+module.exports = {
+  diffCards,
+  isEmptyDiff,
+};
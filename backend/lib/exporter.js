@@ -0,0 +1,74 @@
+const ExcelJS = require('exceljs');
+
+// Tabular exports (CSV, JSON, XLSX) of flips and price history.
+//
+// Values are written raw: numbers stay unrounded so spreadsheets and notebooks
+// get the same figures the API computes.
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const FLIP_COLUMNS = [
+  'id', 'title', 'buy', 'sell', 'instabuy', 'instasell', 'margin', 'sellTax', 'taxPerItem', 'coinsPerHour', 'riskScore', 'riskReasons',
+  'competitors', 'fillShare', 'fillHours', 'realisticCoinsPerHour', 'trend', 'momentum', 'volatility', 'forecastSell', 'expectedMargin',
+  'riskAdjustedCoinsPerHour',
+];
+// Only exported when the list was computed with a fill simulation
+const SIM_COLUMNS = ['simQuantity', 'simBuy', 'simSell', 'simMargin', 'simProfit', 'simCoinsPerHour', 'maxFillable'];
+
+function flipColumns(cards) {
+  const hasSim = cards.some(card => card.simMargin != null);
+  return hasSim ? [...FLIP_COLUMNS, ...SIM_COLUMNS] : FLIP_COLUMNS;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(columns, rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(c => ({ header: c, key: c, width: Math.max(12, c.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map(c => [c, Array.isArray(row[c]) ? row[c].join('; ') : row[c]])));
+  }
+  return workbook.xlsx.writeBuffer();
+}
+
+// Send `rows` as a `format` download named `${name}.${format}`
+async function sendExport(res, format, name, columns, rows) {
+  let body;
+  if (format === 'csv') body = toCsv(columns, rows);
+  else if (format === 'json') body = JSON.stringify(rows.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null]))), null, 2);
+  else if (format === 'xlsx') body = Buffer.from(await toXlsx(columns, rows, name.slice(0, 31)));
+  else throw new Error(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+  res.set({
+    'Content-Type': FORMATS[format],
+    'Content-Disposition': `attachment; filename="${name}.${format}"`,
+  });
+  res.send(body);
+}
+
+module.exports = {
+  FORMATS,
+  FLIP_COLUMNS,
+  SIM_COLUMNS,
+  flipColumns,
+  toCsv,
+  toXlsx,
+  sendExport,
+};
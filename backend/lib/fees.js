@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Fee model: the bazaar tax a player pays, derived from their profile.
+//
+// Bazaar tax is charged on sales (sell offers and instasells) only:
+//   - BASE_TAX percent without upgrades,
+//   - minus FLIPPER_DISCOUNT per level of the Bazaar Flipper account upgrade
+//     (level 1 gives 1.125%, the default tax, level 2 gives 1%),
+//   - plus NO_COOKIE_SURCHARGE without an active Booster Cookie. Hypixel
+//     currently charges the same tax either way, the cookie only unlocks the
+//     bazaar away from the hub; the surcharge is kept as a number so a change
+//     is a one-line edit.
+// Products on the profile's exemption list are sold untaxed.
+
+const BASE_TAX = 1.25;
+const FLIPPER_DISCOUNT = 0.125;
+const MAX_FLIPPER_LEVEL = 2;
+const NO_COOKIE_SURCHARGE = 0;
+
+function validateProfile(input = {}, existing = null) {
+  const profile = { ...existing, ...input };
+
+  if (!profile.name || typeof profile.name !== 'string' || !profile.name.trim()) throw new Error('name is required');
+  profile.name = profile.name.trim();
+
+  profile.flipperLevel = profile.flipperLevel == null || profile.flipperLevel === '' ? 0 : Number(profile.flipperLevel);
+  if (!Number.isInteger(profile.flipperLevel) || profile.flipperLevel < 0 || profile.flipperLevel > MAX_FLIPPER_LEVEL) {
+    throw new Error(`flipperLevel must be an integer from 0 to ${MAX_FLIPPER_LEVEL}`);
+  }
+
+  profile.cookie = profile.cookie !== false;
+
+  const exemptions = profile.exemptions == null ? [] : profile.exemptions;
+  if (!Array.isArray(exemptions) || exemptions.some(id => typeof id !== 'string')) {
+    throw new Error('exemptions must be a list of product ids');
+  }
+  profile.exemptions = [...new Set(exemptions.map(id => id.trim().toUpperCase()).filter(Boolean))].sort();
+
+  profile.id = profile.id || crypto.randomUUID();
+  profile.createdAt = profile.createdAt || Date.now();
+  return profile;
+}
+
+// How the profile's sell tax adds up, in percent
+function feeBreakdown(profile) {
+  const flipperDiscount = FLIPPER_DISCOUNT * profile.flipperLevel;
+  const cookieSurcharge = profile.cookie ? 0 : NO_COOKIE_SURCHARGE;
+  return {
+    baseTax: BASE_TAX,
+    flipperDiscount,
+    cookieSurcharge,
+    sellTax: BASE_TAX - flipperDiscount + cookieSurcharge,
+    exemptions: profile.exemptions,
+  };
+}
+
+// Tax in percent for selling `productId` under a fee breakdown ({ sellTax, exemptions }).
+// Flips and crafts price every sale with it.
+function sellTaxFor(fees, productId) {
+  return fees.exemptions.includes(productId) ? 0 : fees.sellTax;
+}
+
+module.exports = {
+  BASE_TAX,
+  FLIPPER_DISCOUNT,
+  MAX_FLIPPER_LEVEL,
+  NO_COOKIE_SURCHARGE,
+  validateProfile,
+  feeBreakdown,
+  sellTaxFor,
+};
@@ -0,0 +1,287 @@
+const { simulateFlip } = require('./orderbook');
+const { sellTaxFor } = require('./fees');
+const { displayName, rarity, iconPath } = require('./items');
+
+// Flip calculation, kept free of I/O so it can be run against fixture payloads.
+//
+// Hypixel's naming is from the instant-trade side: buy_summary holds the sell
+// offers and sell_summary holds the buy orders. A flip places a buy order just
+// above the top buy order and a sell offer just below the top sell offer, so
+//   margin = sellOffer * (1 - tax) - buyOrder
+// and the hourly volume is the weekly instabuy/instasell volume spread over 168h.
+
+const DEFAULT_TAX = 1.125;
+// Flips need more than this many instabuys and instasells per hour
+const MIN_VOLUME = 10;
+const MAX_FLIPS = 100;
+// Page size cap for /api/flips, enough for every product of the bazaar in one page (table view)
+const MAX_PAGE_SIZE = 2000;
+// Card fields that can be filtered with `<field>Min`/`<field>Max` and sorted by
+const NUMERIC_FIELDS = [
+  'buy',
+  'sell',
+  'instabuy',
+  'instasell',
+  'margin',
+  'sellTax',
+  'taxPerItem',
+  'coinsPerHour',
+  'riskScore',
+  'competitors',
+  'fillShare',
+  'fillHours',
+  'realisticCoinsPerHour',
+  'momentum',
+  'volatility',
+  'forecastBuy',
+  'forecastSell',
+  'expectedMargin',
+  'riskAdjustedCoinsPerHour',
+  'simQuantity',
+  'simBuy',
+  'simSell',
+  'simMargin',
+  'simProfit',
+  'simCoinsPerHour',
+  'maxFillable',
+];
+const SORT_FIELDS = [...NUMERIC_FIELDS, 'title'];
+// How a product is bought: with a buy order, filled by other players' instasells,
+// or instabought from the sell offers
+const BUY_MODES = ['order', 'instant'];
+// How a product is sold: with a sell offer, filled by instabuys, or instasold into the buy orders
+const SELL_MODES = ['offer', 'instant'];
+
+// Parses "1,500", "2.5k", "3m" or "1b" into a number, null for anything else
+function parseNum(str) {
+  if (str == null) return null;
+  if (typeof str === 'number') return Number.isFinite(str) ? str : null;
+  str = str.toString().trim().toLowerCase().replace(/,/g, '');
+  const match = str.match(/^(-?\d*\.?\d+)\s*([kmb])?$/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6, b: 1e9 }[match[2]] || 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
+// Tax rate from a query string or request body, DEFAULT_TAX when missing or invalid
+function parseTax(value) {
+  const tax = parseFloat(value);
+  return Number.isFinite(tax) ? tax : DEFAULT_TAX;
+}
+
+// Helper to get mean of top N prices
+function getMeanPrice(summary, count = 5) {
+  if (!summary || !Array.isArray(summary) || summary.length === 0) return 0;
+  const limit = Math.min(summary.length, count);
+  let sum = 0;
+  for (let i = 0; i < limit; i++) {
+    sum += summary[i].pricePerUnit;
+  }
+  return sum / limit;
+}
+
+// Price and hourly volume for acquiring one product, the price is 0 when that side of the book is empty
+function buyQuote(product, buyMode) {
+  const { quick_status, buy_summary, sell_summary } = product;
+  if (buyMode === 'instant') {
+    return { price: getMeanPrice(buy_summary, 1), hourly: quick_status.buyMovingWeek / 168 };
+  }
+  return { price: getMeanPrice(sell_summary, 1), hourly: quick_status.sellMovingWeek / 168 };
+}
+
+// Same for selling one product
+function sellQuote(product, sellMode) {
+  const { quick_status, buy_summary, sell_summary } = product;
+  if (sellMode === 'instant') {
+    return { price: getMeanPrice(sell_summary, 1), hourly: quick_status.sellMovingWeek / 168 };
+  }
+  return { price: getMeanPrice(buy_summary, 1), hourly: quick_status.buyMovingWeek / 168 };
+}
+
+// Build the flip card for one product, or null when it has no orders on one side
+function buildCard(product, taxRate = DEFAULT_TAX) {
+  const { quick_status, product_id, buy_summary, sell_summary } = product;
+
+  // buyPrice (High Price / Sell Offer) - calculated from top 1 sell offer (which are in buy_summary)
+  const buyPrice = getMeanPrice(buy_summary, 1); // same as comment below but for buy
+
+  // sellPrice (Low Price / Buy Order) - calculated from top 1 buy order (which are in sell_summary)
+  const sellPrice = getMeanPrice(sell_summary, 1); // you can change the amount of orders that you want to be averaged to get the "sell price"
+
+  if (buyPrice <= 0 || sellPrice <= 0) return null;
+
+  // Tax calculation
+  // We buy at sellPrice (Low), Sell at buyPrice (High)
+  // Margin = (High * tax) - Low
+  const taxMultiplier = 1 - (taxRate / 100);
+  const margin = (buyPrice * taxMultiplier) - sellPrice;
+
+  // Volume estimation (items per week / 168 hours)
+  // instabuy = buyMovingWeek (items bought instantly)
+  // instasell = sellMovingWeek (items sold instantly)
+  const instabuyHourly = Math.round(quick_status.buyMovingWeek / 168);
+  const instasellHourly = Math.round(quick_status.sellMovingWeek / 168);
+
+  // Coins per hour = lower of instabuy/instasell * margin
+  const coinsPerHour = margin * Math.min(instabuyHourly, instasellHourly);
+
+  return {
+    id: product_id,
+    title: displayName(product_id),
+    rarity: rarity(product_id),
+    buy: sellPrice, // Buy Order (Low)
+    sell: buyPrice, // Sell Offer (High)
+    instabuy: instabuyHourly,
+    instasell: instasellHourly,
+    margin: margin,
+    // Fee breakdown: tax percent on the sale and the coins it costs per item
+    sellTax: taxRate,
+    taxPerItem: buyPrice * (taxRate / 100),
+    coinsPerHour: coinsPerHour,
+    href: `https://skyblock.bz/product/${product_id}`,
+    img: iconPath(product_id),
+    raw: JSON.stringify(quick_status)
+  };
+}
+
+// Rank the products of a snapshot into the flip list.
+//
+// `sim` ({ quantity, budget }) switches to depth-aware pricing: every card gets the
+// result of walking the order book and is ranked by the simulated coins per hour.
+// `decorate(product, card)` can add fields to each card before it is filtered.
+// Products in `exempt` are sold untaxed (see lib/fees.js).
+// Flips need a positive margin and more than `minVolume` instabuys and instasells per hour.
+function computeFlips(products, { taxRate = DEFAULT_TAX, exempt = [], sim = null, decorate = null, minVolume = MIN_VOLUME, limit = MAX_FLIPS } = {}) {
+  const cards = [];
+  const fees = { sellTax: taxRate, exemptions: exempt };
+
+  Object.values(products || {}).forEach(product => {
+    const productTax = sellTaxFor(fees, product.product_id);
+    const card = buildCard(product, productTax);
+    if (!card) return;
+    if (decorate) Object.assign(card, decorate(product, card));
+
+    let margin = card.margin;
+    if (sim) {
+      const result = simulateFlip(product, { ...sim, taxRate: productTax });
+      if (!result) return;
+      // A thin book can't be flipped faster than the quantity that is actually listed
+      Object.assign(card, result, {
+        simCoinsPerHour: result.simMargin * Math.min(card.instabuy, card.instasell, result.simQuantity),
+      });
+      margin = result.simMargin;
+    }
+
+    // Filter out low volume or negative margin
+    if (margin > 0 && Math.min(card.instabuy, card.instasell) > minVolume) {
+      cards.push(card);
+    }
+  });
+
+  // Sort by coins per hour
+  const rankBy = sim ? 'simCoinsPerHour' : 'coinsPerHour';
+  cards.sort((a, b) => b[rankBy] - a[rankBy]);
+
+  return cards.slice(0, limit);
+}
+
+// "wheat, Enchanted coal" -> ['wheat', 'enchanted coal']
+function parseKeywords(input) {
+  return String(input || '')
+    .split(',')
+    .map(k => k.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Validate the filter, sort and page parameters of /api/flips. Throws on bad input.
+// `sim` changes the default sort to the simulated coins per hour.
+function parseFlipQuery(query = {}, { sim = false } = {}) {
+  const ranges = [];
+  for (const field of NUMERIC_FIELDS) {
+    const range = { field, min: -Infinity, max: Infinity };
+    for (const bound of ['Min', 'Max']) {
+      const raw = query[`${field}${bound}`];
+      if (raw == null || raw === '') continue;
+      const value = parseNum(raw);
+      if (value == null) throw new Error(`${field}${bound} must be a number`);
+      range[bound.toLowerCase()] = value;
+    }
+    if (range.min !== -Infinity || range.max !== Infinity) ranges.push(range);
+  }
+
+  const sortBy = query.sortBy || (sim ? 'simCoinsPerHour' : 'coinsPerHour');
+  if (!SORT_FIELDS.includes(sortBy)) throw new Error(`sortBy must be one of ${SORT_FIELDS.join(', ')}`);
+  const sortDir = query.sortDir || 'desc';
+  if (sortDir !== 'asc' && sortDir !== 'desc') throw new Error('sortDir must be "asc" or "desc"');
+
+  const limit = query.limit == null || query.limit === '' ? MAX_FLIPS : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  const offset = query.offset == null || query.offset === '' ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) throw new Error('offset must be a non-negative integer');
+
+  return {
+    ranges,
+    include: parseKeywords(query.include),
+    exclude: parseKeywords(query.exclude),
+    sortBy,
+    sortDir,
+    limit,
+    offset,
+  };
+}
+
+// Keywords match anywhere in the product id or title, case-insensitive
+function matchesKeyword(card, keywords) {
+  // Display names can differ from the id (INK_SACK:3 is Cocoa Beans), so the id matches with spaces too
+  const id = card.id.toLowerCase();
+  const spaced = id.replace(/_/g, ' ');
+  const title = card.title.toLowerCase();
+  return keywords.some(k => id.includes(k) || spaced.includes(k) || title.includes(k));
+}
+
+// Apply a parsed flip query: returns one page of cards and how many matched in total
+function queryFlips(cards, { ranges = [], include = [], exclude = [], sortBy = 'coinsPerHour', sortDir = 'desc', limit = MAX_FLIPS, offset = 0 } = {}) {
+  const matching = cards.filter(card => {
+    if (include.length && !matchesKeyword(card, include)) return false;
+    if (exclude.length && matchesKeyword(card, exclude)) return false;
+    // A missing value never matches a range, except risk which is 0 until scored
+    return ranges.every(({ field, min, max }) => {
+      const value = field === 'riskScore' ? card.riskScore || 0 : card[field];
+      return typeof value === 'number' && value >= min && value <= max;
+    });
+  });
+
+  // Cards without the field go last either way
+  const direction = sortDir === 'asc' ? 1 : -1;
+  matching.sort((a, b) => {
+    const A = a[sortBy];
+    const B = b[sortBy];
+    if (A == null || B == null) return (A == null) - (B == null);
+    return (typeof A === 'string' ? A.localeCompare(B) : A - B) * direction;
+  });
+
+  return { data: matching.slice(offset, offset + limit), total: matching.length };
+}
+
+module.exports = {
+  DEFAULT_TAX,
+  MIN_VOLUME,
+  MAX_FLIPS,
+  MAX_PAGE_SIZE,
+  NUMERIC_FIELDS,
+  SORT_FIELDS,
+  BUY_MODES,
+  SELL_MODES,
+  parseNum,
+  parseTax,
+  getMeanPrice,
+  buyQuote,
+  sellQuote,
+  buildCard,
+  computeFlips,
+  parseKeywords,
+  parseFlipQuery,
+  queryFlips,
+};
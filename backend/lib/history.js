@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR: BASE_DIR } = require('./store');
+
+// Append-only price/volume history store.
+//
+// Every bazaar snapshot is written to the "raw" tier, and rolled up into
+// averaged 5 minute and 1 hour buckets. Each tier lives in its own folder of
+// NDJSON files (one line per snapshot/bucket) and has its own retention, so
+// old raw data disappears quickly while the downsampled tiers stay around for
+// backtesting and charts.
+
+const DATA_DIR = process.env.HISTORY_DIR || path.join(BASE_DIR, 'history');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const TIERS = {
+  raw: { bucket: 0, retention: (Number(process.env.HISTORY_RAW_HOURS) || 6) * HOUR, fileSpan: HOUR },
+  '5m': { bucket: 5 * 60 * 1000, retention: (Number(process.env.HISTORY_5M_DAYS) || 14) * DAY, fileSpan: DAY },
+  '1h': { bucket: HOUR, retention: (Number(process.env.HISTORY_1H_DAYS) || 365) * DAY, fileSpan: DAY },
+};
+
+// Order of the values stored per product in each line
+const FIELDS = ['buy', 'sell', 'buyMovingWeek', 'sellMovingWeek', 'buyOrders', 'sellOrders'];
+
+// In-progress downsampled buckets, keyed by tier name
+const pending = {};
+let lastPrune = 0;
+let lastRecorded = 0;
+
+function tierDir(tier) {
+  return path.join(DATA_DIR, tier);
+}
+
+function fileName(tier, t) {
+  const iso = new Date(t).toISOString();
+  // Hourly files for raw data, daily files for the downsampled tiers
+  return TIERS[tier].fileSpan === HOUR ? `${iso.slice(0, 13)}.ndjson` : `${iso.slice(0, 10)}.ndjson`;
+}
+
+// Timestamp of the start of the period covered by a history file
+function fileStart(name) {
+  const stem = name.replace(/\.ndjson$/, '');
+  const t = Date.parse(stem.length === 13 ? `${stem}:00:00Z` : `${stem}T00:00:00Z`);
+  return Number.isNaN(t) ? null : t;
+}
+
+async function appendLine(tier, t, products) {
+  const dir = tierDir(tier);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.appendFile(path.join(dir, fileName(tier, t)), JSON.stringify({ t, p: products }) + '\n');
+}
+
+// Reduce a Hypixel product to the compact value array we store.
+// buy = top buy order (what we pay), sell = top sell offer (what we sell at),
+// matching the meaning of `buy`/`sell` on flip cards.
+function toValues(product) {
+  const { quick_status = {}, buy_summary, sell_summary } = product;
+  const topBuyOrder = sell_summary && sell_summary.length ? sell_summary[0].pricePerUnit : 0;
+  const topSellOffer = buy_summary && buy_summary.length ? buy_summary[0].pricePerUnit : 0;
+  return [
+    topBuyOrder,
+    topSellOffer,
+    quick_status.buyMovingWeek || 0,
+    quick_status.sellMovingWeek || 0,
+    quick_status.buyOrders || 0,
+    quick_status.sellOrders || 0,
+  ];
+}
+
+function addToBucket(tier, t, snapshot) {
+  const size = TIERS[tier].bucket;
+  const start = Math.floor(t / size) * size;
+  let bucket = pending[tier];
+
+  let finished = null;
+  if (bucket && bucket.start !== start) {
+    finished = bucket;
+    bucket = null;
+  }
+  if (!bucket) {
+    bucket = pending[tier] = { start, sums: {}, counts: {} };
+  }
+
+  for (const [id, values] of Object.entries(snapshot)) {
+    const sums = bucket.sums[id] || (bucket.sums[id] = new Array(FIELDS.length).fill(0));
+    for (let i = 0; i < values.length; i++) sums[i] += values[i];
+    bucket.counts[id] = (bucket.counts[id] || 0) + 1;
+  }
+
+  return finished;
+}
+
+function averageValues(sums, n) {
+  return sums.map(v => Math.round((v / n) * 10) / 10);
+}
+
+function averageBucket(bucket) {
+  const products = {};
+  for (const [id, sums] of Object.entries(bucket.sums)) {
+    products[id] = averageValues(sums, bucket.counts[id]);
+  }
+  return products;
+}
+
+// Delete history files that are entirely older than the tier's retention
+async function prune(now = Date.now()) {
+  for (const [tier, cfg] of Object.entries(TIERS)) {
+    let files;
+    try {
+      files = await fs.promises.readdir(tierDir(tier));
+    } catch (e) {
+      continue;
+    }
+    for (const file of files) {
+      const start = fileStart(file);
+      if (start == null) continue;
+      if (start + cfg.fileSpan < now - cfg.retention) {
+        await fs.promises.unlink(path.join(tierDir(tier), file)).catch(() => {});
+      }
+    }
+  }
+}
+
+// Record one bazaar snapshot (the `products` object from the Hypixel API)
+async function record(products, t = Date.now()) {
+  // Hypixel only refreshes every ~10-20s, skip polls that returned the same snapshot
+  if (t <= lastRecorded) return;
+  lastRecorded = t;
+
+  const snapshot = {};
+  for (const product of Object.values(products)) {
+    snapshot[product.product_id] = toValues(product);
+  }
+
+  try {
+    await appendLine('raw', t, snapshot);
+    for (const tier of ['5m', '1h']) {
+      const finished = addToBucket(tier, t, snapshot);
+      if (finished) await appendLine(tier, finished.start, averageBucket(finished));
+    }
+    if (t - lastPrune > HOUR) {
+      lastPrune = t;
+      await prune(t);
+    }
+  } catch (e) {
+    console.error('History write failed:', e.message);
+  }
+}
+
+// Pick a tier when the caller asks for resolution=auto (or nothing)
+function pickResolution(from, to, now = Date.now()) {
+  if (to - from <= 2 * HOUR && from >= now - TIERS.raw.retention) return 'raw';
+  if (to - from <= 3 * DAY && from >= now - TIERS['5m'].retention) return '5m';
+  return '1h';
+}
+
+function toPoint(t, values) {
+  const point = { t };
+  FIELDS.forEach((field, i) => {
+    point[field] = values[i];
+  });
+  return point;
+}
+
+// Call `onEntry(t, values)` for every stored line of a tier between `from` and `to`,
+// where `values` maps product ids to their stored value arrays
+async function scanTier(resolution, from, to, onEntry) {
+  const cfg = TIERS[resolution];
+  let files;
+  try {
+    files = await fs.promises.readdir(tierDir(resolution));
+  } catch (e) {
+    files = [];
+  }
+
+  const relevant = files
+    .filter(file => {
+      const start = fileStart(file);
+      return start != null && start <= to && start + cfg.fileSpan >= from;
+    })
+    .sort();
+
+  for (const file of relevant) {
+    const content = await fs.promises.readFile(path.join(tierDir(resolution), file), 'utf8');
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      // Cheap timestamp check before parsing the whole line
+      const match = /^\{"t":(\d+)/.exec(line);
+      if (!match) continue;
+      const t = Number(match[1]);
+      if (t < from || t > to) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // Skip a partially written line
+        continue;
+      }
+      onEntry(t, entry.p);
+    }
+  }
+}
+
+// Fill in the default range (the day up to now) and tier, throws on an inverted range or unknown tier
+function resolveRange({ from, to, resolution = 'auto' } = {}, now = Date.now()) {
+  to = to == null ? now : to;
+  from = from == null ? to - DAY : from;
+  if (from > to) throw new Error('from must not be after to');
+  if (!resolution || resolution === 'auto') resolution = pickResolution(from, to, now);
+  if (!TIERS[resolution]) {
+    throw new Error(`Unknown resolution "${resolution}" (expected ${Object.keys(TIERS).join(', ')} or auto)`);
+  }
+  return { from, to, resolution };
+}
+
+// Read the points for one product between `from` and `to` (ms timestamps)
+async function query(productId, options) {
+  const { from, to, resolution } = resolveRange(options);
+
+  const points = [];
+  await scanTier(resolution, from, to, (t, products) => {
+    const values = products[productId];
+    if (values) points.push(toPoint(t, values));
+  });
+
+  // Include the bucket that is still being filled so fresh data shows up
+  const open = pending[resolution];
+  if (open && open.sums[productId] && open.start >= from && open.start <= to) {
+    points.push(toPoint(open.start, averageValues(open.sums[productId], open.counts[productId])));
+  }
+
+  return { id: productId, resolution, from, to, points };
+}
+
+// Rows for the history exports: each point with its ISO time next to the timestamp
+const EXPORT_COLUMNS = ['t', 'time', ...FIELDS];
+
+function exportRows(points) {
+  return points.map(p => ({ ...p, time: new Date(p.t).toISOString() }));
+}
+
+// Read every product between `from` and `to`: calls `onEntry(t, { id: point })` once per stored line
+async function scan(options, onEntry) {
+  const { from, to, resolution } = resolveRange(options);
+  await scanTier(resolution, from, to, (t, products) => {
+    const points = {};
+    for (const [id, values] of Object.entries(products)) {
+      points[id] = toPoint(t, values);
+    }
+    onEntry(t, points);
+  });
+}
+
+// Every product's last stored point at or before `t`, from the finest tier that still covers `t`
+async function pointsAt(t, now = Date.now()) {
+  let resolution = '1h';
+  if (t >= now - TIERS.raw.retention) resolution = 'raw';
+  else if (t >= now - TIERS['5m'].retention) resolution = '5m';
+  // Look back a little more than one line of the tier
+  const lookback = Math.max(TIERS[resolution].bucket, 60 * 1000) * 3;
+
+  const points = {};
+  await scan({ from: t - lookback, to: t, resolution }, (_, entry) => Object.assign(points, entry));
+  return points;
+}
+
+// Points (same shape as history points) for the products of a live snapshot
+function toPoints(products, t = Date.now()) {
+  const points = {};
+  for (const product of Object.values(products)) {
+    points[product.product_id] = toPoint(t, toValues(product));
+  }
+  return points;
+}
+
+module.exports = {
+  FIELDS,
+  TIERS,
+  EXPORT_COLUMNS,
+  record,
+  resolveRange,
+  query,
+  exportRows,
+  scan,
+  pointsAt,
+  toPoints,
+  prune,
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { DATA_DIR } = require('./store');
+
+// Item icons, fetched from an icon CDN once and served from a disk cache after that,
+// so the browser never hot-links the CDN. `{id}` in the URL is replaced with the product id.
+//
+// Only responses that really are images are cached; a failed lookup is remembered
+// for FAILURE_TTL so missing icons don't hit the CDN on every page load.
+
+const ICON_URL = 'https://sky.coflnet.com/static/icon/{id}';
+const DEFAULT_ICON_DIR = path.join(DATA_DIR, 'icons');
+const DEFAULT_TIMEOUT = 10000;
+const FAILURE_TTL = 60 * 60 * 1000;
+
+// Content type from the file signature, null for anything that isn't a PNG, GIF, JPEG or WebP
+function imageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return null;
+}
+
+async function downloadIcon(url, timeout) {
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout });
+  return Buffer.from(response.data);
+}
+
+function createIconCache({ dir = DEFAULT_ICON_DIR, url = ICON_URL, timeout = DEFAULT_TIMEOUT, download = downloadIcon, now = Date.now } = {}) {
+  const failures = new Map();
+  const inFlight = new Map();
+
+  // Product ids are checked by the caller (normalizeProductId), ':' still has to go for Windows
+  const fileFor = id => path.join(dir, `${id.replace(/:/g, '~')}.img`);
+
+  async function fetchIcon(id) {
+    const failedAt = failures.get(id);
+    if (failedAt != null && now() - failedAt < FAILURE_TTL) return null;
+
+    let body;
+    try {
+      body = await download(url.replace('{id}', encodeURIComponent(id)), timeout);
+    } catch (err) {
+      body = null;
+    }
+    const type = imageType(body);
+    if (!type) {
+      failures.set(id, now());
+      return null;
+    }
+    failures.delete(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(id)}.tmp`;
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, fileFor(id));
+    return { type, body };
+  }
+
+  // { type, body } of the icon, null when there is none
+  async function get(id) {
+    try {
+      const body = await fs.promises.readFile(fileFor(id));
+      const type = imageType(body);
+      if (type) return { type, body };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    // Several cards asking for the same icon share one download
+    if (!inFlight.has(id)) {
+      inFlight.set(id, fetchIcon(id).finally(() => inFlight.delete(id)));
+    }
+    return inFlight.get(id);
+  }
+
+  return { get };
+}
+
+module.exports = {
+  ICON_URL,
+  DEFAULT_ICON_DIR,
+  imageType,
+  createIconCache,
+};
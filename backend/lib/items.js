@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+// Item metadata: display names, rarities, categories and NPC sell prices by product id.
+//
+// The database is a local JSON file keyed by id, generated from the Hypixel items
+// resource with `npm run refresh-items` (see refresh-items.js) or edited by hand:
+//   { "INK_SACK:3": { "name": "Cocoa Beans", "rarity": "COMMON", "category": null, "npcPrice": 3 } }
+// The server loads it once on startup (setItems). Ids that aren't in it keep the
+// old "ENCHANTED CARROT" style title and have no rarity.
+
+const DEFAULT_ITEMS_FILE = path.join(__dirname, '..', 'resources', 'items.json');
+const ITEMS_URL = 'https://api.hypixel.net/v2/resources/skyblock/items';
+const RARITIES = ['COMMON', 'UNCOMMON', 'RARE', 'EPIC', 'LEGENDARY', 'MYTHIC', 'DIVINE', 'SPECIAL', 'VERY_SPECIAL'];
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+let database = {};
+
+function validateItems(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('items must be an object keyed by product id');
+  }
+  const items = {};
+  for (const [id, entry] of Object.entries(input)) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) throw new Error(`${id}: name is required`);
+    const rarity = entry.rarity == null ? null : String(entry.rarity).toUpperCase();
+    if (rarity != null && !RARITIES.includes(rarity)) throw new Error(`${id}: unknown rarity ${entry.rarity}`);
+    const npcPrice = entry.npcPrice == null ? null : Number(entry.npcPrice);
+    if (npcPrice != null && !(npcPrice >= 0)) throw new Error(`${id}: npcPrice must be a number`);
+    items[id] = { name: entry.name.trim(), rarity, category: entry.category ? String(entry.category).toUpperCase() : null, npcPrice };
+  }
+  return items;
+}
+
+function loadItems(file = DEFAULT_ITEMS_FILE) {
+  return validateItems(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function setItems(items) {
+  database = items;
+}
+
+// Minecraft formatting codes (§a, §l, ...) some item names carry
+function stripFormatting(name) {
+  return name.replace(/§./g, '');
+}
+
+// Database entries from the Hypixel items resource ({ items: [{ id, name, tier, category, npc_sell_price }] }).
+// Items without a tier are common in game.
+function fromHypixel(response) {
+  if (!response || !Array.isArray(response.items)) throw new Error('Hypixel items response has no items');
+  const items = {};
+  for (const item of response.items) {
+    if (!item.id || !item.name) continue;
+    items[item.id] = {
+      name: stripFormatting(item.name),
+      rarity: RARITIES.includes(item.tier) ? item.tier : 'COMMON',
+      category: item.category || null,
+      npcPrice: item.npc_sell_price != null ? item.npc_sell_price : null,
+    };
+  }
+  return validateItems(items);
+}
+
+function displayName(id) {
+  const item = database[id];
+  return item ? item.name : id.replace(/_/g, ' ');
+}
+
+function rarity(id) {
+  const item = database[id];
+  return item ? item.rarity : null;
+}
+
+// Backend path of the product's icon, see lib/icons.js
+function iconPath(id) {
+  return `/api/items/${encodeURIComponent(id)}/icon`;
+}
+
+function parseSearchLimit(input) {
+  if (input == null || input === '') return DEFAULT_SEARCH_LIMIT;
+  const limit = Number(input);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) throw new Error(`limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}`);
+  return limit;
+}
+
+// Items whose display name or id contains the query, best matches first: exact, then
+// prefix, then anywhere. `ids` are searched too (e.g. bazaar products missing from the database).
+function searchItems(query, { ids = [], limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  const matches = [];
+  for (const id of new Set([...Object.keys(database), ...ids])) {
+    const name = displayName(id).toLowerCase();
+    const key = id.toLowerCase();
+    const spaced = key.replace(/_/g, ' ');
+    let rank;
+    if (name === q || key === q) rank = 0;
+    else if (name.startsWith(q) || key.startsWith(q) || spaced.startsWith(q)) rank = 1;
+    else if (name.includes(q) || key.includes(q) || spaced.includes(q)) rank = 2;
+    else continue;
+    matches.push({ rank, item: describe(id) });
+  }
+  matches.sort((a, b) => a.rank - b.rank || a.item.name.localeCompare(b.item.name));
+  return matches.slice(0, limit).map(m => m.item);
+}
+
+// Everything known about one id, for /api/items
+function describe(id) {
+  const item = database[id];
+  return {
+    id,
+    name: displayName(id),
+    rarity: item ? item.rarity : null,
+    category: item ? item.category : null,
+    npcPrice: item ? item.npcPrice : null,
+    icon: iconPath(id),
+  };
+}
+
+module.exports = {
+  DEFAULT_ITEMS_FILE,
+  ITEMS_URL,
+  RARITIES,
+  validateItems,
+  loadItems,
+  setItems,
+  fromHypixel,
+  displayName,
+  rarity,
+  iconPath,
+  parseSearchLimit,
+  searchItems,
+  describe,
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { DEFAULT_TAX } = require('./flips');
+
+// Trade journal: buy-order and sell-offer fills logged by the user.
+//
+// Sells are matched against earlier buys of the same product first-in
+// first-out. Each matched unit realizes `sellPrice * (1 - tax) - buyPrice`,
+// and the time between the two fills counts towards the average hold time.
+// Unmatched buys are the open positions.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function validateFill(input = {}) {
+  const fill = {
+    productId: typeof input.productId === 'string' ? input.productId.trim().toUpperCase() : '',
+    side: input.side,
+    quantity: Number(input.quantity),
+    price: Number(input.price),
+    t: input.t == null || input.t === '' ? Date.now() : Number(input.t),
+  };
+
+  if (!fill.productId) throw new Error('productId is required');
+  if (fill.side !== 'buy' && fill.side !== 'sell') throw new Error('side must be "buy" or "sell"');
+  if (!(fill.quantity > 0) || !Number.isInteger(fill.quantity)) throw new Error('quantity must be a positive integer');
+  if (!(fill.price > 0)) throw new Error('price must be a positive number');
+  if (!Number.isFinite(fill.t)) throw new Error('t must be a timestamp in milliseconds');
+
+  fill.id = crypto.randomUUID();
+  return fill;
+}
+
+function dayKey(t) {
+  return new Date(Math.floor(t / DAY) * DAY).toISOString().slice(0, 10);
+}
+
+// Summarize fills into realized P&L per item and per day, plus open positions.
+// `markPrices` ({ productId: current sell price }) values the open positions.
+function summarize(fills, taxRate = DEFAULT_TAX, markPrices = {}) {
+  const taxMultiplier = 1 - (taxRate / 100);
+  const sorted = [...fills].sort((a, b) => a.t - b.t);
+
+  const items = new Map();
+  const days = new Map();
+
+  function itemFor(productId) {
+    if (!items.has(productId)) {
+      items.set(productId, {
+        productId,
+        bought: 0,
+        sold: 0,
+        spent: 0,
+        earned: 0,
+        matched: 0,
+        realized: 0,
+        holdMs: 0,
+        predictedSum: 0,
+        predictedCount: 0,
+        lots: [],
+      });
+    }
+    return items.get(productId);
+  }
+
+  for (const fill of sorted) {
+    const item = itemFor(fill.productId);
+
+    if (fill.side === 'buy') {
+      item.bought += fill.quantity;
+      item.spent += fill.quantity * fill.price;
+      item.lots.push({ quantity: fill.quantity, price: fill.price, t: fill.t });
+      if (fill.predicted && typeof fill.predicted.margin === 'number') {
+        item.predictedSum += fill.predicted.margin * fill.quantity;
+        item.predictedCount += fill.quantity;
+      }
+      continue;
+    }
+
+    item.sold += fill.quantity;
+    item.earned += fill.quantity * fill.price * taxMultiplier;
+
+    let remaining = fill.quantity;
+    let realized = 0;
+    while (remaining > 0 && item.lots.length) {
+      const lot = item.lots[0];
+      const take = Math.min(lot.quantity, remaining);
+      realized += take * (fill.price * taxMultiplier - lot.price);
+      item.holdMs += take * (fill.t - lot.t);
+      item.matched += take;
+      lot.quantity -= take;
+      remaining -= take;
+      if (lot.quantity === 0) item.lots.shift();
+    }
+    // Selling more than we logged buying: nothing to match the rest against
+    item.realized += realized;
+
+    const key = dayKey(fill.t);
+    const day = days.get(key) || { day: key, realized: 0, sold: 0, trades: 0 };
+    day.realized += realized;
+    day.sold += fill.quantity;
+    day.trades += 1;
+    days.set(key, day);
+  }
+
+  const perItem = [];
+  const openPositions = [];
+  for (const item of items.values()) {
+    const openQuantity = item.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const openCost = item.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+
+    perItem.push({
+      productId: item.productId,
+      bought: item.bought,
+      sold: item.sold,
+      avgBuy: item.bought ? item.spent / item.bought : null,
+      avgSell: item.sold ? item.earned / taxMultiplier / item.sold : null,
+      realized: item.realized,
+      realizedMargin: item.matched ? item.realized / item.matched : null,
+      predictedMargin: item.predictedCount ? item.predictedSum / item.predictedCount : null,
+      avgHoldHours: item.matched ? item.holdMs / item.matched / (60 * 60 * 1000) : null,
+    });
+
+    if (openQuantity > 0) {
+      const markPrice = markPrices[item.productId];
+      openPositions.push({
+        productId: item.productId,
+        quantity: openQuantity,
+        avgCost: openCost / openQuantity,
+        cost: openCost,
+        since: item.lots[0].t,
+        markPrice: markPrice == null ? null : markPrice,
+        unrealized: markPrice == null ? null : openQuantity * markPrice * taxMultiplier - openCost,
+      });
+    }
+  }
+
+  perItem.sort((a, b) => b.realized - a.realized);
+  const perDay = [...days.values()].sort((a, b) => a.day.localeCompare(b.day));
+  const matched = [...items.values()].reduce((sum, item) => sum + item.matched, 0);
+  const holdMs = [...items.values()].reduce((sum, item) => sum + item.holdMs, 0);
+
+  return {
+    tax: taxRate,
+    totals: {
+      realized: perItem.reduce((sum, item) => sum + item.realized, 0),
+      openCost: openPositions.reduce((sum, p) => sum + p.cost, 0),
+      fills: fills.length,
+      avgHoldHours: matched ? holdMs / matched / (60 * 60 * 1000) : null,
+    },
+    perItem,
+    perDay,
+    openPositions,
+  };
+}
+
+module.exports = {
+  validateFill,
+  summarize,
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { MAX_FLIPS, buyQuote } = require('./flips');
+const { displayName, iconPath } = require('./items');
+
+// NPC arbitrage: buy on the bazaar below what NPC merchants pay and sell to the NPC.
+//
+// NPC prices come from a local JSON file keyed by product id, either a plain
+// price or an object with a per-product daily sell limit in items:
+//   { "ENCHANTED_CARROT": 480, "ENCHANTED_DIAMOND": { "price": 1280, "dailyLimit": 640 } }
+// NPC sales are not taxed. Items per hour are capped by the bazaar volume of the
+// buy mode (see buyQuote in flips.js), items per day additionally by the daily
+// limit, which is how much the NPC takes before it stops buying.
+
+const DEFAULT_NPC_PRICES_FILE = path.join(__dirname, '..', 'resources', 'npc-prices.json');
+
+function validateNpcPrices(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('NPC prices must be an object keyed by product id');
+  }
+  const prices = {};
+  for (const [id, entry] of Object.entries(input)) {
+    const price = Number(typeof entry === 'object' && entry ? entry.price : entry);
+    if (!(price > 0)) throw new Error(`${id}: price must be a positive number`);
+    const dailyLimit = entry && entry.dailyLimit != null ? Number(entry.dailyLimit) : null;
+    if (dailyLimit != null && !(dailyLimit > 0)) throw new Error(`${id}: dailyLimit must be a positive number`);
+    prices[id] = { price, dailyLimit };
+  }
+  return prices;
+}
+
+function loadNpcPrices(file = DEFAULT_NPC_PRICES_FILE) {
+  return validateNpcPrices(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Arbitrage card for one product, or null when it can't be bought on the bazaar.
+// `dailyLimit` applies to products without a limit of their own.
+function buildNpcFlip(product, npc, { buyMode = 'order', dailyLimit = null } = {}) {
+  const quote = buyQuote(product, buyMode);
+  if (!(quote.price > 0)) return null;
+
+  const id = product.product_id;
+  const profit = npc.price - quote.price;
+  const itemsPerHour = Math.floor(quote.hourly);
+  const limit = npc.dailyLimit || dailyLimit;
+  const itemsPerDay = limit ? Math.min(itemsPerHour * 24, limit) : itemsPerHour * 24;
+
+  return {
+    id,
+    title: displayName(id),
+    buy: quote.price,
+    npcPrice: npc.price,
+    profit,
+    roi: profit / quote.price,
+    itemsPerHour,
+    coinsPerHour: profit * itemsPerHour,
+    dailyLimit: limit || null,
+    itemsPerDay,
+    coinsPerDay: profit * itemsPerDay,
+    // Hours of buying it takes to reach the daily limit, null when volume runs out first
+    hoursToLimit: limit && itemsPerHour * 24 > limit ? limit / itemsPerHour : null,
+    href: `https://skyblock.bz/product/${id}`,
+    img: iconPath(id),
+  };
+}
+
+// Profitable NPC flips ranked by coins per day, which accounts for the daily limits
+function computeNpcFlips(products, npcPrices, options = {}) {
+  const { limit = MAX_FLIPS } = options;
+  const flips = [];
+  for (const [id, npc] of Object.entries(npcPrices)) {
+    const product = products && products[id];
+    if (!product) continue;
+    const flip = buildNpcFlip(product, npc, options);
+    if (flip && flip.profit > 0 && flip.itemsPerHour > 0) flips.push(flip);
+  }
+  flips.sort((a, b) => b.coinsPerDay - a.coinsPerDay);
+  return flips.slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_NPC_PRICES_FILE,
+  validateNpcPrices,
+  loadNpcPrices,
+  buildNpcFlip,
+  computeNpcFlips,
+};
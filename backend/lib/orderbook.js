@@ -0,0 +1,91 @@
+// Order-book depth helpers.
+//
+// Hypixel's buy_summary holds the sell offers (cheapest first) and
+// sell_summary holds the buy orders (highest first). Both are lists of
+// { amount, pricePerUnit, orders } levels.
+
+// Walk the levels in order until `quantity` items are filled or `budget` coins are spent.
+// Returns how much could be filled, what it cost and the volume-weighted average price.
+function walkBook(levels, { quantity = Infinity, budget = Infinity } = {}) {
+  let filled = 0;
+  let cost = 0;
+
+  for (const level of levels || []) {
+    if (filled >= quantity || cost >= budget) break;
+    const price = level.pricePerUnit;
+    if (!(price > 0)) continue;
+
+    let take = Math.min(level.amount, quantity - filled);
+    if (cost + take * price > budget) take = Math.floor((budget - cost) / price);
+    if (take <= 0) break;
+
+    filled += take;
+    cost += take * price;
+  }
+
+  return {
+    filled,
+    cost,
+    avgPrice: filled > 0 ? cost / filled : 0,
+    complete: filled >= quantity,
+  };
+}
+
+// Total amount listed across all levels we were given
+function bookDepth(levels) {
+  return (levels || []).reduce((sum, level) => sum + level.amount, 0);
+}
+
+// Competing orders re-priced as seen by an order that has to stay ahead of them.
+//
+// A large order at the top keeps getting outbid (undercut) by the orders behind it
+// and has to be re-placed past them, so the items that match a competing level are
+// priced as far beyond the top as that level is behind it. `limit` bounds the
+// price by the top of the other side, past which an instant trade is the better deal.
+function competingLevels(levels, limit) {
+  const top = levels[0].pricePerUnit;
+  return levels.map(level => ({ ...level, pricePerUnit: limit(2 * top - level.pricePerUnit) }));
+}
+
+// Simulate flipping `quantity` items (or as many as `budget` buys) with orders: a buy
+// order just above the top buy order, filled by instasells, and a sell offer just
+// below the top sell offer, filled by instabuys. The competing orders on each side
+// decide how much the price drifts (see competingLevels), so one item gets the
+// top-of-book margin and every deeper level makes it worse. Neither side fills past
+// the competing orders listed on it.
+function simulateFlip(product, { quantity, budget, taxRate }) {
+  const { buy_summary, sell_summary } = product;
+  if (!(buy_summary || []).length || !(sell_summary || []).length) return null;
+  const taxMultiplier = 1 - (taxRate / 100);
+
+  const topOffer = buy_summary[0].pricePerUnit;
+  const topOrder = sell_summary[0].pricePerUnit;
+  const buyLevels = competingLevels(sell_summary, price => Math.min(price, topOffer));
+  const sellLevels = competingLevels(buy_summary, price => Math.max(price, topOrder));
+
+  // Entry is limited by the quantity and/or budget, exit by whatever we managed to buy
+  const entry = walkBook(buyLevels, { quantity: quantity || Infinity, budget: budget || Infinity });
+  const exit = walkBook(sellLevels, { quantity: entry.filled });
+
+  const filled = Math.min(entry.filled, exit.filled);
+  if (filled <= 0) return null;
+
+  // Re-walk the entry side if the exit side couldn't absorb everything we bought
+  const usedEntry = filled === entry.filled ? entry : walkBook(buyLevels, { quantity: filled });
+  const margin = (exit.avgPrice * taxMultiplier) - usedEntry.avgPrice;
+
+  return {
+    simQuantity: filled,
+    simBuy: usedEntry.avgPrice,
+    simSell: exit.avgPrice,
+    simMargin: margin,
+    simProfit: margin * filled,
+    maxFillable: Math.min(bookDepth(sell_summary), bookDepth(buy_summary)),
+  };
+}
+
+module.exports = {
+  walkBook,
+  bookDepth,
+  simulateFlip,
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { displayName } = require('./items');
+const { validateWebhookUrl } = require('./webhooks');
+
+// Undercut tracker for the user's own open bazaar orders.
+//
+// A registered order is a buy order or sell offer at a price. On every poll it
+// is compared with the top of the book: buy orders compete with the highest
+// buy order (sell_summary[0]) and sell offers with the lowest sell offer
+// (buy_summary[0]). An order is
+//   - 'top' when nothing beats its price,
+//   - 'tied' when other orders sit at the same price (fills are shared),
+//   - 'undercut' when someone has a better price,
+//   - 'unknown' when the product or that side of the book is missing.
+// The suggested re-list price beats the top by one PRICE_STEP.
+
+const PRICE_STEP = 0.1;
+const SIDES = ['buy', 'sell'];
+
+function validateOrder(input = {}, existing = null) {
+  const order = { ...existing, ...input };
+  order.productId = typeof order.productId === 'string' ? order.productId.trim().toUpperCase() : '';
+  order.price = Number(order.price);
+  order.quantity = Number(order.quantity);
+
+  if (!order.productId) throw new Error('productId is required');
+  if (!SIDES.includes(order.side)) throw new Error('side must be "buy" or "sell"');
+  if (!(order.price > 0)) throw new Error('price must be a positive number');
+  if (!(order.quantity > 0) || !Number.isInteger(order.quantity)) throw new Error('quantity must be a positive integer');
+
+  order.webhookUrl = order.webhookUrl ? validateWebhookUrl(order.webhookUrl) : null;
+
+  // A new price is a re-list, it has to be undercut again before the next alert
+  if (existing && order.price !== existing.price) order.undercutAt = null;
+  order.undercutAt = order.undercutAt || null;
+  order.id = order.id || crypto.randomUUID();
+  order.createdAt = order.createdAt || Date.now();
+  return order;
+}
+
+function roundPrice(price) {
+  return Math.round(price * 10) / 10;
+}
+
+// Where `order` stands against the current book of its product
+function orderStatus(order, product) {
+  const levels = product && (order.side === 'buy' ? product.sell_summary : product.buy_summary);
+  const top = levels && levels[0];
+  if (!top) return { status: 'unknown', topPrice: null, behind: null, suggestedPrice: null };
+
+  const topPrice = top.pricePerUnit;
+  // Coins our price is worse than the top, negative when we are ahead of the book
+  const behind = order.side === 'buy' ? topPrice - order.price : order.price - topPrice;
+  let status = 'top';
+  if (behind > 1e-9) status = 'undercut';
+  // Our own order is one of the orders at the top price
+  else if (Math.abs(behind) <= 1e-9 && top.orders > 1) status = 'tied';
+
+  const suggestedPrice = status === 'top' ? order.price : roundPrice(order.side === 'buy' ? topPrice + PRICE_STEP : topPrice - PRICE_STEP);
+  return { status, topPrice, behind: Math.max(0, roundPrice(behind)), suggestedPrice };
+}
+
+// Compare every order with a snapshot. Returns the orders with their status and the alerts
+// for orders that were undercut since the last check; `undercutAt` is set/cleared on the orders.
+function checkOrders(orders, products, now = Date.now()) {
+  const results = [];
+  const alerts = [];
+
+  for (const order of orders) {
+    const status = orderStatus(order, products[order.productId]);
+    if (status.status === 'undercut' && !order.undercutAt) {
+      order.undercutAt = now;
+      const sideName = order.side === 'buy' ? 'buy order' : 'sell offer';
+      alerts.push({
+        id: crypto.randomUUID(),
+        ruleId: null,
+        ruleName: 'Order undercut',
+        orderId: order.id,
+        productId: order.productId,
+        title: displayName(order.productId),
+        href: `https://skyblock.bz/product/${order.productId}`,
+        message: `Your ${sideName} at ${order.price} is ${status.behind} coins behind the top (${status.topPrice}), re-list at ${status.suggestedPrice}`,
+        values: { price: order.price, topPrice: status.topPrice, behind: status.behind, suggestedPrice: status.suggestedPrice },
+        t: now,
+      });
+    } else if (status.status === 'top' || status.status === 'tied') {
+      order.undercutAt = null;
+    }
+    results.push({ ...order, ...status });
+  }
+
+  return { results, alerts };
+}
+
+module.exports = {
+  PRICE_STEP,
+  SIDES,
+  validateOrder,
+  orderStatus,
+  checkOrders,
+};
@@ -0,0 +1,53 @@
+// Which browser origins may call the API (CORS).
+//
+// CORS_ORIGINS is a comma separated list of origins, or `*` for any origin. Without it the
+// frontend's usual places are allowed: localhost on any port, and this codespace's forwarded
+// frontend port when running in GitHub Codespaces. Requests without an Origin header (curl,
+// scripts, same-origin) aren't affected. Logins use bearer tokens, not cookies, so CORS never
+// allows credentials.
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const FRONTEND_PORT = 5173;
+
+function allowedOrigins(env = process.env) {
+  if (env.CORS_ORIGINS) {
+    return env.CORS_ORIGINS.split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+  }
+  const origins = [];
+  if (env.CODESPACE_NAME && env.GITHUB_CODESPACES_PORT_FORWARDING_DOMAIN) {
+    origins.push(`https://${env.CODESPACE_NAME}-${FRONTEND_PORT}.${env.GITHUB_CODESPACES_PORT_FORWARDING_DOMAIN}`);
+  }
+  return origins;
+}
+
+function isLocalOrigin(origin) {
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return (protocol === 'http:' || protocol === 'https:') && LOCAL_HOSTS.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+function isAllowedOrigin(origin, env = process.env) {
+  if (!origin) return true;
+  const allowed = allowedOrigins(env);
+  if (allowed.includes('*') || allowed.includes(origin)) return true;
+  return !env.CORS_ORIGINS && isLocalOrigin(origin);
+}
+
+// Options for the `cors` middleware
+function corsOptions(env = process.env) {
+  return {
+    origin(origin, callback) {
+      callback(null, isAllowedOrigin(origin, env));
+    },
+    credentials: false,
+  };
+}
+
+module.exports = {
+  allowedOrigins,
+  isAllowedOrigin,
+  corsOptions,
+};
@@ -0,0 +1,120 @@
+// Budget-constrained portfolio planner.
+//
+// Model: every product we pick takes one order slot and holds `quantity`
+// items worth of capital. Orders are re-checked every `fillHours`, so a
+// product can't be given more than the market trades in that time
+// (the lower of its hourly instabuy/instasell volume), and the expected
+// profit of the whole plan is earned once per `fillHours`.
+
+// Hypixel caps the amount of a single bazaar order
+const MAX_ORDER_AMOUNT = 71680;
+
+function validatePlanInput(body = {}) {
+  const num = (v) => (v === '' || v == null ? NaN : Number(v));
+  const input = {
+    purse: num(body.purse),
+    maxOrders: num(body.maxOrders),
+    maxPerItem: body.maxPerItem == null || body.maxPerItem === '' ? Infinity : num(body.maxPerItem),
+    fillHours: body.fillHours == null || body.fillHours === '' ? 1 : num(body.fillHours),
+  };
+
+  if (!(input.purse > 0)) throw new Error('purse must be a positive number');
+  if (!(input.maxOrders >= 1)) throw new Error('maxOrders must be at least 1');
+  if (!(input.maxPerItem > 0)) throw new Error('maxPerItem must be a positive number');
+  if (!(input.fillHours > 0)) throw new Error('fillHours must be a positive number');
+  input.maxOrders = Math.floor(input.maxOrders);
+
+  return input;
+}
+
+// Largest quantity of a card we could hold, ignoring the shared purse
+function capacity(card, { maxPerItem, fillHours }) {
+  const hourlyVolume = Math.min(card.instabuy, card.instasell);
+  const byVolume = Math.floor(hourlyVolume * fillHours);
+  const bySpend = Math.floor(maxPerItem / card.buy);
+  const quantity = Math.min(byVolume, bySpend, MAX_ORDER_AMOUNT);
+  let limitedBy = 'volume';
+  if (quantity === bySpend && bySpend < byVolume) limitedBy = 'maxPerItem';
+  if (quantity === MAX_ORDER_AMOUNT && MAX_ORDER_AMOUNT < Math.min(byVolume, bySpend)) limitedBy = 'orderSize';
+  return { quantity, hourlyVolume, limitedBy };
+}
+
+// Fill slots in the given order until we run out of purse or slots
+function greedyFill(candidates, { purse, maxOrders }) {
+  let remaining = purse;
+  const picks = [];
+
+  for (const c of candidates) {
+    if (picks.length >= maxOrders) break;
+    if (remaining < c.card.buy) continue;
+    let quantity = c.quantity;
+    let limitedBy = c.limitedBy;
+    if (quantity * c.card.buy > remaining) {
+      quantity = Math.floor(remaining / c.card.buy);
+      limitedBy = 'purse';
+    }
+    if (quantity <= 0) continue;
+    remaining -= quantity * c.card.buy;
+    picks.push({ ...c, quantity, limitedBy });
+  }
+
+  const profit = picks.reduce((sum, p) => sum + p.quantity * p.card.margin, 0);
+  return { picks, profit, remaining };
+}
+
+// Pick quantities across cards to maximize expected coins/hour.
+// This is a knapsack with both a capital and a slot constraint, so we run two
+// greedy passes (best return on capital first, and best profit per slot first)
+// and keep whichever plan earns more.
+function planPortfolio(cards, options) {
+  const { fillHours } = options;
+
+  const candidates = cards
+    .filter(card => card.margin > 0 && card.buy > 0)
+    .map(card => ({ card, ...capacity(card, options) }))
+    .filter(c => c.quantity > 0);
+
+  const byReturn = [...candidates].sort((a, b) => (b.card.margin / b.card.buy) - (a.card.margin / a.card.buy));
+  const bySlot = [...candidates].sort((a, b) => (b.quantity * b.card.margin) - (a.quantity * a.card.margin));
+
+  const planA = greedyFill(byReturn, options);
+  const planB = greedyFill(bySlot, options);
+  const best = planB.profit > planA.profit ? planB : planA;
+
+  const allocations = best.picks.map(({ card, quantity, hourlyVolume, limitedBy }) => {
+    const expectedProfit = quantity * card.margin;
+    return {
+      id: card.id,
+      title: card.title,
+      img: card.img,
+      quantity,
+      buy: card.buy,
+      sell: card.sell,
+      margin: card.margin,
+      cost: quantity * card.buy,
+      expectedProfit,
+      coinsPerHour: expectedProfit / fillHours,
+      // Hours for the market to trade our quantity at its current hourly volume
+      estFillHours: quantity / hourlyVolume,
+      limitedBy,
+    };
+  });
+
+  const cost = allocations.reduce((sum, a) => sum + a.cost, 0);
+  return {
+    allocations,
+    totals: {
+      orders: allocations.length,
+      cost,
+      unusedPurse: options.purse - cost,
+      expectedProfit: best.profit,
+      coinsPerHour: best.profit / fillHours,
+    },
+  };
+}
+
+module.exports = {
+  MAX_ORDER_AMOUNT,
+  validatePlanInput,
+  planPortfolio,
+};
@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const { backoffDelay, withRetry } = require('./retry');
+
+// Single polling loop against the bazaar API.
+//
+// `fetchSnapshot` must resolve to { products, lastUpdated }. Every poll that
+// returns a new `lastUpdated` emits a 'snapshot' event, so listeners (history,
+// live streams, ...) only run when the market actually changed.
+//
+// A failing poll is retried `retries` times with exponential backoff. When
+// that doesn't help, the loop backs off too (up to `maxBackoff`, or longer
+// when the API asked for it with retryAfter) and the last good snapshot keeps
+// being served, flagged stale. Data also counts as stale when its
+// `lastUpdated` is older than `staleAfter`, even if the API still answers.
+// A 'status' event is emitted whenever the upstream state or staleness changes.
+function createPoller(fetchSnapshot, interval = 10000, options = {}) {
+  const {
+    retries = 2,
+    retryDelay = 1000,
+    maxBackoff = 5 * 60 * 1000,
+    staleAfter = Math.max(2 * 60 * 1000, 6 * interval),
+    now = Date.now,
+    wait,
+  } = options;
+
+  const poller = new EventEmitter();
+  let latest = null;
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+  // Whether the last poll brought a new lastUpdated, to line the next one up with the upstream's updates
+  let changed = false;
+
+  const health = {
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    failures: 0,
+    successes: 0,
+    // No attempts before this while backing off
+    retryAt: null,
+  };
+  let lastStatusKey = null;
+
+  function emitStatusChange() {
+    const status = poller.status();
+    const key = `${status.upstream}:${status.stale}`;
+    if (key === lastStatusKey) return;
+    lastStatusKey = key;
+    poller.emit('status', status);
+  }
+
+  async function poll() {
+    // Share a running request instead of hitting the API twice
+    if (inFlight) return inFlight;
+    inFlight = (async () => {
+      health.lastAttemptAt = now();
+      try {
+        const snapshot = await withRetry(() => fetchSnapshot(), { retries, baseDelay: retryDelay, maxDelay: interval, wait });
+        health.lastSuccessAt = now();
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.retryAt = null;
+        changed = !latest || snapshot.lastUpdated !== latest.lastUpdated;
+        if (changed) {
+          latest = snapshot;
+          poller.emit('snapshot', snapshot);
+        }
+        return latest;
+      } catch (err) {
+        health.lastErrorAt = now();
+        health.lastError = err.message;
+        health.failures++;
+        health.consecutiveFailures++;
+        const delay = backoffDelay(health.consecutiveFailures - 1, { baseDelay: interval, maxDelay: maxBackoff, retryAfter: err.retryAfter });
+        health.retryAt = now() + delay;
+        throw err;
+      } finally {
+        inFlight = null;
+        emitStatusChange();
+      }
+    })();
+    return inFlight;
+  }
+
+  poller.poll = poll;
+
+  // Latest snapshot, stale or not. Without one we fetch, unless the loop is backing off.
+  poller.get = async () => {
+    if (latest) return latest;
+    if (health.retryAt && now() < health.retryAt) {
+      throw new Error(`Bazaar data unavailable (${health.lastError}), retrying in ${Math.ceil((health.retryAt - now()) / 1000)}s`);
+    }
+    return poll();
+  };
+
+  poller.latest = () => latest;
+
+  // Is the snapshot being served out of date, and how old is it (ms since its lastUpdated)
+  poller.freshness = () => {
+    if (!latest) return { stale: true, age: null, lastUpdated: null };
+    const age = Math.max(0, now() - latest.lastUpdated);
+    return { stale: health.consecutiveFailures > 0 || age > staleAfter, age, lastUpdated: latest.lastUpdated };
+  };
+
+  // Upstream health for /api/health: ok, degraded (failing, serving the last good snapshot), down (failing, no data) or starting
+  poller.status = () => {
+    let upstream = 'ok';
+    if (health.consecutiveFailures > 0) upstream = latest ? 'degraded' : 'down';
+    else if (!latest) upstream = 'starting';
+    return { upstream, ...poller.freshness(), ...health };
+  };
+
+  function nextDelay() {
+    if (health.retryAt) return Math.max(0, health.retryAt - now());
+    // New data comes about every `interval` after the last lastUpdated; poll then, but never more than 4 times per interval
+    if (changed && latest) return Math.min(interval, Math.max(interval / 4, latest.lastUpdated + interval - now()));
+    return interval;
+  }
+
+  function schedule() {
+    if (!running) return;
+    timer = setTimeout(async () => {
+      try {
+        await poll();
+      } catch (err) {
+        console.error(`Background poll failed (${health.consecutiveFailures} in a row):`, err.message);
+      }
+      schedule();
+    }, nextDelay());
+  }
+
+  poller.start = () => {
+    if (running) return;
+    running = true;
+    schedule();
+  };
+
+  poller.stop = () => {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  // Live streams add one listener per client
+  poller.setMaxListeners(0);
+
+  return poller;
+}
+
+module.exports = {
+  createPoller,
+};
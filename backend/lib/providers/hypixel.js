@@ -0,0 +1,46 @@
+const axios = require('axios');
+const { parseRetryAfter } = require('../retry');
+
+const BAZAAR_URL = 'https://api.hypixel.net/v2/skyblock/bazaar';
+const DEFAULT_TIMEOUT = 10000;
+
+// Turns an axios failure into an error the poller's retries understand (see lib/retry.js)
+function upstreamError(err) {
+  const response = err.response;
+  if (!response) {
+    const reason = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' ? 'timed out' : err.message;
+    return Object.assign(new Error(`Hypixel API unreachable: ${reason}`), { retryable: true });
+  }
+  return Object.assign(new Error(`Hypixel API responded ${response.status}`), {
+    status: response.status,
+    // Rate limits and server errors pass, anything else won't fix itself on a retry
+    retryable: response.status === 429 || response.status >= 500,
+    retryAfter: parseRetryAfter(response.headers),
+  });
+}
+
+// Live provider: the public Hypixel bazaar endpoint
+function createHypixelProvider({ url = BAZAAR_URL, timeout = DEFAULT_TIMEOUT } = {}) {
+  return {
+    name: 'hypixel',
+    async fetch() {
+      let response;
+      try {
+        response = await axios.get(url, { timeout });
+      } catch (err) {
+        throw upstreamError(err);
+      }
+      if (!response.data.success) {
+        throw new Error('Hypixel API failed');
+      }
+      return response.data;
+    },
+  };
+}
+
+module.exports = {
+  BAZAAR_URL,
+  DEFAULT_TIMEOUT,
+  createHypixelProvider,
+  upstreamError,
+};
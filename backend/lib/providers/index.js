@@ -0,0 +1,52 @@
+const path = require('path');
+const { DATA_DIR } = require('../store');
+const { createHypixelProvider } = require('./hypixel');
+const { createReplayProvider } = require('./replay');
+const { withRecorder } = require('./recorder');
+
+const DEFAULT_RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+
+// Pick the bazaar data provider from the environment:
+//   BAZAAR_PROVIDER   hypixel (default) or replay
+//   HYPIXEL_TIMEOUT   ms before a Hypixel request is given up (default 10000)
+//   REPLAY_DIR        recordings to replay (default data/recordings)
+//   REPLAY_SPEED      replay speed multiplier (default 1)
+//   REPLAY_LOOP       set to 0/false to stop at the last recording
+//   RECORD_DIR        save every response of the provider to this folder
+//   RECORD_INTERVAL   minimum ms between two recordings (default 60000)
+function createProviderFromEnv(env = process.env) {
+  const kind = (env.BAZAAR_PROVIDER || 'hypixel').toLowerCase();
+
+  let provider;
+  if (kind === 'hypixel') {
+    provider = createHypixelProvider({
+      url: env.HYPIXEL_BAZAAR_URL || undefined,
+      timeout: env.HYPIXEL_TIMEOUT ? Number(env.HYPIXEL_TIMEOUT) : undefined,
+    });
+  } else if (kind === 'replay') {
+    provider = createReplayProvider({
+      dir: env.REPLAY_DIR || DEFAULT_RECORDINGS_DIR,
+      speed: env.REPLAY_SPEED ? Number(env.REPLAY_SPEED) : 1,
+      loop: !/^(0|false|no)$/i.test(env.REPLAY_LOOP || ''),
+    });
+  } else {
+    throw new Error(`Unknown BAZAAR_PROVIDER "${kind}" (expected hypixel or replay)`);
+  }
+
+  if (env.RECORD_DIR) {
+    provider = withRecorder(provider, {
+      dir: env.RECORD_DIR,
+      minInterval: env.RECORD_INTERVAL ? Number(env.RECORD_INTERVAL) : undefined,
+    });
+  }
+
+  return provider;
+}
+
+module.exports = {
+  DEFAULT_RECORDINGS_DIR,
+  createProviderFromEnv,
+  createHypixelProvider,
+  createReplayProvider,
+  withRecorder,
+};
@@ -0,0 +1,25 @@
+const { writeRecording } = require('./recordings');
+
+// Wrap a provider so new responses are also saved to `dir` for later replay.
+// Responses closer than `minInterval` ms to the previous recording are skipped
+// to keep the folder size manageable (each one is a few hundred KB gzipped).
+function withRecorder(provider, { dir, minInterval = 60000 }) {
+  let lastRecorded = 0;
+
+  return {
+    ...provider,
+    name: `${provider.name}+recorder`,
+    async fetch() {
+      const payload = await provider.fetch();
+      if (payload.lastUpdated - lastRecorded >= minInterval) {
+        lastRecorded = payload.lastUpdated;
+        writeRecording(dir, payload).catch(err => console.error('Failed to save recording:', err.message));
+      }
+      return payload;
+    },
+  };
+}
+
+module.exports = {
+  withRecorder,
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Recorded bazaar responses are stored one per file, named after their
+// `lastUpdated` timestamp: 1700000000000.json.gz (plain .json works too).
+
+const RECORDING_PATTERN = /\.json(\.gz)?$/;
+
+async function readRecording(file) {
+  let content = await fs.promises.readFile(file);
+  if (file.endsWith('.gz')) content = zlib.gunzipSync(content);
+  return JSON.parse(content.toString('utf8'));
+}
+
+async function writeRecording(dir, payload) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${payload.lastUpdated}.json.gz`);
+  await fs.promises.writeFile(file, zlib.gzipSync(JSON.stringify(payload)));
+  return file;
+}
+
+// List recordings in a folder ordered by time, as [{ file, t }].
+// Files that aren't named after a timestamp are opened to read their `lastUpdated`.
+async function listRecordings(dir) {
+  const files = (await fs.promises.readdir(dir)).filter(file => RECORDING_PATTERN.test(file));
+  const recordings = [];
+  for (const file of files) {
+    const full = path.join(dir, file);
+    const match = /^(\d+)\./.exec(file);
+    const t = match ? Number(match[1]) : (await readRecording(full)).lastUpdated;
+    if (Number.isFinite(t)) recordings.push({ file: full, t });
+  }
+  return recordings.sort((a, b) => a.t - b.t);
+}
+
+module.exports = {
+  readRecording,
+  writeRecording,
+  listRecordings,
+};
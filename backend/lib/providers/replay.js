@@ -0,0 +1,68 @@
+const { readRecording, listRecordings } = require('./recordings');
+
+// Replay provider: plays back recorded bazaar responses from a folder.
+//
+// The recorded timeline starts when the provider is first used and runs
+// `speed` times faster than real time. `lastUpdated` is shifted onto that
+// timeline (the original is kept in `recordedAt`), so history, risk
+// baselines and alerts behave as if the data were live. With `loop` the
+// recording starts over once it reaches the end.
+function createReplayProvider({ dir, speed = 1, loop = true, now = Date.now }) {
+  if (!dir) throw new Error('Replay provider needs a recordings folder');
+  if (!(speed > 0)) throw new Error('Replay speed must be a positive number');
+
+  let recordings = null;
+  let startedAt = null;
+  let current = null;
+
+  async function load() {
+    if (recordings) return recordings;
+    // Only cached once there is something to play, so an empty folder is listed again on the next fetch
+    const found = await listRecordings(dir);
+    if (!found.length) throw new Error(`No recordings found in ${dir}`);
+    recordings = found;
+    startedAt = now();
+    return recordings;
+  }
+
+  // Index of the recording that is "live" at the current replay position
+  function position() {
+    const first = recordings[0].t;
+    const duration = recordings[recordings.length - 1].t - first;
+    let elapsed = (now() - startedAt) * speed;
+    let lap = 0;
+    if (loop && duration > 0 && elapsed > duration) {
+      lap = Math.floor(elapsed / duration);
+      elapsed %= duration;
+    }
+
+    let index = 0;
+    while (index + 1 < recordings.length && recordings[index + 1].t - first <= elapsed) index++;
+    return { index, lap, duration };
+  }
+
+  return {
+    name: 'replay',
+    async fetch() {
+      await load();
+      const { index, lap, duration } = position();
+      const recording = recordings[index];
+
+      if (!current || current.file !== recording.file) {
+        current = { file: recording.file, payload: await readRecording(recording.file) };
+      }
+
+      const offset = recording.t - recordings[0].t + lap * duration;
+      return {
+        ...current.payload,
+        success: true,
+        recordedAt: current.payload.lastUpdated,
+        lastUpdated: startedAt + Math.round(offset / speed),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createReplayProvider,
+};
@@ -0,0 +1,43 @@
+// Retries with exponential backoff for calls to the upstream API.
+//
+// Errors can carry `retryable: false` (don't bother, e.g. a 404) and `retryAfter` in ms (the
+// server told us when to come back, e.g. a 429 with Retry-After). A wait longer than `maxDelay`
+// is left to the caller: the error is rethrown instead of blocking the request that long.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before retry number `attempt` (0-based): baseDelay, 2x, 4x, ... capped at maxDelay,
+// or the server's retryAfter when that is longer
+function backoffDelay(attempt, { baseDelay = 1000, maxDelay = 30000, retryAfter = null } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return retryAfter != null && retryAfter > delay ? retryAfter : delay;
+}
+
+async function withRetry(fn, { retries = 2, baseDelay = 1000, maxDelay = 30000, wait = sleep } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || err.retryable === false) throw err;
+      const delay = backoffDelay(attempt, { baseDelay, maxDelay, retryAfter: err.retryAfter });
+      if (delay > maxDelay) throw err;
+      await wait(delay);
+    }
+  }
+}
+
+// Retry-After (seconds or an HTTP date) or RateLimit-Reset (seconds) response headers in ms, null without either
+function parseRetryAfter(headers = {}, now = Date.now()) {
+  const value = headers['retry-after'] ?? headers['ratelimit-reset'];
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+module.exports = {
+  backoffDelay,
+  withRetry,
+  parseRetryAfter,
+};
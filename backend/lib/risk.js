@@ -0,0 +1,120 @@
+// Manipulation / outlier scoring for flips.
+//
+// Each product keeps an exponentially weighted baseline of its relative
+// spread and weekly volume, fed from every bazaar snapshot (and seeded from
+// recorded history on startup). A card's risk score (0-100) adds up:
+//   - a large gap between the first and second level of either side of the book
+//   - a spread far above the product's usual spread
+//   - a sudden jump in traded volume
+//   - very few buy orders / sell offers in quick_status
+
+const HALF_LIFE = 6 * 60 * 60 * 1000;
+// Observations needed before the baseline is trusted
+const MIN_OBSERVATIONS = 12;
+
+const baselines = new Map();
+
+function relativeSpread(point) {
+  if (!(point.buy > 0) || !(point.sell > 0)) return null;
+  return (point.sell - point.buy) / point.buy;
+}
+
+function updateStat(stat, x, alpha) {
+  if (!stat) return { mean: x, variance: 0 };
+  const diff = x - stat.mean;
+  const mean = stat.mean + alpha * diff;
+  const variance = (1 - alpha) * (stat.variance + alpha * diff * diff);
+  return { mean, variance };
+}
+
+// Feed one snapshot of history-shaped points ({ id: { buy, sell, buyMovingWeek, sellMovingWeek } })
+function observe(points, t = Date.now()) {
+  for (const [id, point] of Object.entries(points)) {
+    const spread = relativeSpread(point);
+    const volume = point.buyMovingWeek + point.sellMovingWeek;
+    const base = baselines.get(id);
+
+    if (!base) {
+      baselines.set(id, {
+        t,
+        n: 1,
+        spread: spread == null ? null : updateStat(null, spread),
+        volume: updateStat(null, volume),
+      });
+      continue;
+    }
+
+    if (t <= base.t) continue;
+    const alpha = 1 - Math.pow(0.5, (t - base.t) / HALF_LIFE);
+    base.t = t;
+    base.n += 1;
+    if (spread != null) base.spread = updateStat(base.spread, spread, alpha);
+    base.volume = updateStat(base.volume, volume, alpha);
+  }
+}
+
+function percent(x) {
+  return `${Math.round(x * 100)}%`;
+}
+
+// Score one product/card pair, returns { riskScore, riskReasons }
+function assessRisk(product, card) {
+  const { quick_status = {}, buy_summary = [], sell_summary = [] } = product;
+  const reasons = [];
+  let score = 0;
+
+  // Gap between the top two sell offers (cheapest first) and the top two buy orders (highest first)
+  if (buy_summary.length >= 2 && buy_summary[0].pricePerUnit > 0) {
+    const gap = (buy_summary[1].pricePerUnit - buy_summary[0].pricePerUnit) / buy_summary[0].pricePerUnit;
+    if (gap > 0.1) {
+      score += Math.min(30, gap * 100);
+      reasons.push(`Next sell offer is ${percent(gap)} above the top one`);
+    }
+  }
+  if (sell_summary.length >= 2 && sell_summary[1].pricePerUnit > 0) {
+    const gap = (sell_summary[0].pricePerUnit - sell_summary[1].pricePerUnit) / sell_summary[1].pricePerUnit;
+    if (gap > 0.1) {
+      score += Math.min(30, gap * 100);
+      reasons.push(`Top buy order is ${percent(gap)} above the next one`);
+    }
+  }
+
+  const base = baselines.get(card.id);
+  if (base && base.n >= MIN_OBSERVATIONS) {
+    const spread = relativeSpread({ buy: card.buy, sell: card.sell });
+    if (spread != null && base.spread && base.spread.mean > 0) {
+      const ratio = spread / base.spread.mean;
+      const sd = Math.sqrt(base.spread.variance);
+      const z = sd > 0 ? (spread - base.spread.mean) / sd : Infinity;
+      if (ratio > 1.5 && z > 3) {
+        score += Math.min(30, (ratio - 1) * 10);
+        reasons.push(`Spread is ${ratio.toFixed(1)}x its usual level`);
+      }
+    }
+
+    const volume = (quick_status.buyMovingWeek || 0) + (quick_status.sellMovingWeek || 0);
+    if (base.volume.mean > 0) {
+      const ratio = volume / base.volume.mean;
+      if (ratio > 1.25) {
+        score += Math.min(20, (ratio - 1) * 40);
+        reasons.push(`Weekly volume is up ${percent(ratio - 1)} on its baseline`);
+      }
+    }
+  }
+
+  // quick_status counts are named from the instant side: sellOrders are buy orders and buyOrders are sell offers
+  const buyOrders = quick_status.sellOrders || 0;
+  const sellOffers = quick_status.buyOrders || 0;
+  const orders = Math.min(buyOrders, sellOffers);
+  if (orders <= 5) {
+    score += orders <= 2 ? 20 : 10;
+    reasons.push(`Only ${buyOrders} buy orders / ${sellOffers} sell offers`);
+  }
+
+  return { riskScore: Math.min(100, Math.round(score)), riskReasons: reasons };
+}
+
+module.exports = {
+  observe,
+  assessRisk,
+};
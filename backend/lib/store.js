@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON file store for user-managed data (alert rules, ...).
+// The whole document is kept in memory and rewritten atomically on save.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function createStore(name, defaults) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = null;
+  let writing = Promise.resolve();
+
+  function get() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`Failed to read ${file}, starting empty:`, e.message);
+      data = JSON.parse(JSON.stringify(defaults));
+    }
+    return data;
+  }
+
+  // Writes are chained so they land in order, and go through a temp file so a crash can't truncate the store
+  function save() {
+    const json = JSON.stringify(get(), null, 2);
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, json);
+        await fs.promises.rename(`${file}.tmp`, file);
+      })
+      .catch(err => console.error(`Failed to write ${file}:`, err.message));
+    return writing;
+  }
+
+  // Mutate the document and persist it, returns whatever `fn` returns
+  async function update(fn) {
+    const result = fn(get());
+    await save();
+    return result;
+  }
+
+  return { get, save, update };
+}
+
+module.exports = {
+  DATA_DIR,
+  createStore,
+};
@@ -0,0 +1,67 @@
+const { backoffDelay } = require('./retry');
+
+// Backoff for failed logins, keyed by client address and by username, so neither guessing
+// many passwords for one account nor trying many accounts from one address gets far.
+//
+// The first FREE_ATTEMPTS failures of a key cost nothing, after that every failure locks it
+// for twice as long as the one before (1s, 2s, 4s, ... up to MAX_DELAY). A key nobody failed
+// on for FORGET_AFTER starts over. A successful login only clears its username: clearing the
+// address too would let someone reset their count by logging into an account of their own.
+
+const FREE_ATTEMPTS = 5;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 15 * 60 * 1000;
+const FORGET_AFTER = 60 * 60 * 1000;
+// Expired keys are swept once there are more than this many
+const SWEEP_AT = 10000;
+
+function createLoginThrottle({
+  freeAttempts = FREE_ATTEMPTS,
+  baseDelay = BASE_DELAY,
+  maxDelay = MAX_DELAY,
+  forgetAfter = FORGET_AFTER,
+  now = Date.now,
+} = {}) {
+  const failures = new Map();
+
+  const current = (key, t) => {
+    const entry = failures.get(key);
+    return entry && t - entry.lastFailure < forgetAfter ? entry : null;
+  };
+
+  // Milliseconds until all of `keys` may try again, 0 when they may now
+  function retryIn(keys) {
+    const t = now();
+    return Math.max(0, ...keys.map(key => {
+      const entry = current(key, t);
+      return entry ? entry.lockedUntil - t : 0;
+    }));
+  }
+
+  function fail(keys) {
+    const t = now();
+    if (failures.size > SWEEP_AT) {
+      for (const key of failures.keys()) {
+        if (!current(key, t)) failures.delete(key);
+      }
+    }
+    for (const key of keys) {
+      const entry = current(key, t);
+      const count = (entry ? entry.count : 0) + 1;
+      const lockedUntil = count > freeAttempts ? t + backoffDelay(count - freeAttempts - 1, { baseDelay, maxDelay }) : t;
+      failures.set(key, { count, lastFailure: t, lockedUntil });
+    }
+  }
+
+  function succeed(keys) {
+    for (const key of keys) failures.delete(key);
+  }
+
+  return { retryIn, fail, succeed };
+}
+
+module.exports = {
+  FREE_ATTEMPTS,
+  MAX_DELAY,
+  createLoginThrottle,
+};
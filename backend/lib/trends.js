@@ -0,0 +1,124 @@
+// Price trends and short-term forecasts for flips.
+//
+// Each product keeps, per side (top buy order and top sell offer), a fast and
+// a slow exponential moving average of the price plus time-weighted sums of
+// its log returns, fed from every bazaar snapshot (and seeded from recorded
+// history on startup). From those:
+//   - momentum: fast over slow average of the mid price, in percent
+//   - volatility: standard deviation of the mid price's log returns per hour, in percent
+//   - drift: average log return per hour of each side, extrapolated to the time
+//     the flip is expected to sell (competition's fillHours) for the forecast
+// A card's expected margin sells at the forecast sell offer instead of the current
+// one, and its risk-adjusted coins per hour also takes one standard deviation
+// of the price move until then off every item.
+
+const HOUR = 60 * 60 * 1000;
+const FAST_WINDOW = 15 * 60 * 1000;
+const SLOW_WINDOW = 2 * HOUR;
+// Returns are averaged over about this long
+const RETURN_WINDOW = HOUR;
+// Recorded time needed before trends are reported
+const MIN_HISTORY = 15 * 60 * 1000;
+// Forecast horizon when the fill time is unknown, and the longest one we extrapolate to
+const DEFAULT_HORIZON = 1;
+const MAX_HORIZON = 6;
+// Momentum (percent) beyond which a product counts as trending up or down
+const TREND_THRESHOLD = 0.5;
+
+const series = new Map();
+
+function decay(dt, window) {
+  return Math.exp(-dt / window);
+}
+
+function updateSide(side, price, dt) {
+  if (!side) return { price, fast: price, slow: price, returns: 0, squares: 0, time: 0 };
+  const r = Math.log(price / side.price);
+  const keep = decay(dt, RETURN_WINDOW);
+  return {
+    price,
+    fast: price + decay(dt, FAST_WINDOW) * (side.fast - price),
+    slow: price + decay(dt, SLOW_WINDOW) * (side.slow - price),
+    returns: side.returns * keep + r,
+    squares: side.squares * keep + r * r,
+    time: side.time * keep + dt / HOUR,
+  };
+}
+
+// Feed one snapshot of history-shaped points ({ id: { buy, sell } }), see lib/history.js
+function observe(points, t = Date.now()) {
+  for (const [id, point] of Object.entries(points)) {
+    if (!(point.buy > 0) || !(point.sell > 0)) continue;
+    const state = series.get(id);
+    if (!state) {
+      const mid = (point.buy + point.sell) / 2;
+      series.set(id, { start: t, t, buy: updateSide(null, point.buy), sell: updateSide(null, point.sell), mid: updateSide(null, mid) });
+      continue;
+    }
+    if (t <= state.t) continue;
+    const dt = t - state.t;
+    state.buy = updateSide(state.buy, point.buy, dt);
+    state.sell = updateSide(state.sell, point.sell, dt);
+    state.mid = updateSide(state.mid, (point.buy + point.sell) / 2, dt);
+    state.t = t;
+  }
+}
+
+function round(x, digits) {
+  const f = Math.pow(10, digits);
+  return Math.round(x * f) / f;
+}
+
+function drift(side) {
+  return side.time > 0 ? side.returns / side.time : 0;
+}
+
+const UNKNOWN = {
+  trend: null,
+  momentum: null,
+  volatility: null,
+  buyAverage: null,
+  sellAverage: null,
+  forecastHours: null,
+  forecastBuy: null,
+  forecastSell: null,
+  expectedMargin: null,
+  riskAdjustedCoinsPerHour: null,
+};
+
+// Trend fields for one card. `fillHours` (see lib/competition.js) is how long until the flip sells.
+function estimateTrend(card, { fillHours = null } = {}) {
+  const state = series.get(card.id);
+  if (!state || state.t - state.start < MIN_HISTORY) return { ...UNKNOWN };
+
+  const { buy, sell, mid } = state;
+  const momentum = ((mid.fast - mid.slow) / mid.slow) * 100;
+  const volatility = mid.time > 0 ? Math.sqrt(mid.squares / mid.time) : 0;
+  const horizon = fillHours == null ? DEFAULT_HORIZON : Math.min(fillHours, MAX_HORIZON);
+
+  // The buy order goes in now at the card's price, the items sell at the forecast price
+  const forecastBuy = card.buy * Math.exp(drift(buy) * horizon);
+  const forecastSell = card.sell * Math.exp(drift(sell) * horizon);
+  const expectedMargin = forecastSell * (1 - card.sellTax / 100) - card.buy;
+  const riskPerItem = card.sell * volatility * Math.sqrt(horizon);
+
+  return {
+    trend: momentum > TREND_THRESHOLD ? 'up' : momentum < -TREND_THRESHOLD ? 'down' : 'flat',
+    momentum: round(momentum, 2),
+    volatility: round(volatility * 100, 2),
+    buyAverage: buy.slow,
+    sellAverage: sell.slow,
+    forecastHours: round(horizon, 2),
+    forecastBuy,
+    forecastSell,
+    expectedMargin,
+    riskAdjustedCoinsPerHour: (expectedMargin - riskPerItem) * Math.min(card.instabuy, card.instasell),
+  };
+}
+
+module.exports = {
+  MIN_HISTORY,
+  TREND_THRESHOLD,
+  observe,
+  estimateTrend,
+};
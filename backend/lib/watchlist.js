@@ -0,0 +1,70 @@
+const { DEFAULT_TAX } = require('./flips');
+const { displayName } = require('./items');
+const { sellTaxFor } = require('./fees');
+
+// Watched products: returned with their current card and how they moved, whether
+// or not they make the flip list (top-100 cut, margin or volume filter).
+//
+// Movements are computed from history points (lib/history.js), so the current
+// state, the previous poll and any earlier reference time are compared the same way.
+
+const MAX_WATCHED = 200;
+const DELTA_FIELDS = ['buy', 'sell', 'margin', 'instabuy', 'instasell'];
+
+// Bazaar product ids look like ENCHANTED_CARROT or INK_SACK:3
+function normalizeProductId(id) {
+  const normalized = String(id || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_:-]+$/.test(normalized)) throw new Error(`Invalid product id "${id}"`);
+  return normalized;
+}
+
+// Card fields of a history point, computed the way lib/flips.js builds cards
+function pointValues(point, taxRate = DEFAULT_TAX) {
+  const hasBook = point.buy > 0 && point.sell > 0;
+  return {
+    buy: point.buy,
+    sell: point.sell,
+    margin: hasBook ? point.sell * (1 - taxRate / 100) - point.buy : null,
+    instabuy: Math.round(point.buyMovingWeek / 168),
+    instasell: Math.round(point.sellMovingWeek / 168),
+  };
+}
+
+// Change of every delta field from `past` to `current` (both history points), null without a past point
+function pointDeltas(current, past, taxRate = DEFAULT_TAX) {
+  if (!current || !past) return null;
+  const now = pointValues(current, taxRate);
+  const then = pointValues(past, taxRate);
+  const deltas = { t: past.t };
+  for (const field of DELTA_FIELDS) {
+    deltas[field] = now[field] != null && then[field] != null ? now[field] - then[field] : null;
+  }
+  return deltas;
+}
+
+// One watchlist entry per id, in watchlist order.
+// `cards` and `ranks` map ids to the current card and flip list position (1-based, missing when not a flip),
+// `current`, `previous` and `reference` map ids to history points. Products in `exempt` are sold untaxed (see lib/fees.js).
+function buildWatchlist(ids, { cards = {}, ranks = {}, current = {}, previous = {}, reference = {}, taxRate = DEFAULT_TAX, exempt = [] } = {}) {
+  return ids.map(id => {
+    const tax = sellTaxFor({ sellTax: taxRate, exemptions: exempt }, id);
+    return {
+      id,
+      title: displayName(id),
+      card: cards[id] || null,
+      rank: ranks[id] || null,
+      known: !!current[id],
+      sinceRefresh: pointDeltas(current[id], previous[id], tax),
+      sinceReference: pointDeltas(current[id], reference[id], tax),
+    };
+  });
+}
+
+module.exports = {
+  MAX_WATCHED,
+  DELTA_FIELDS,
+  normalizeProductId,
+  pointValues,
+  pointDeltas,
+  buildWatchlist,
+};
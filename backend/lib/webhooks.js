@@ -0,0 +1,106 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Where alert and order webhooks may be posted.
+//
+// Any account can register a webhook and the server posts to it on every poll, so
+// the URLs are restricted: https only, and the host has to be in WEBHOOK_HOSTS, a
+// comma separated list of hosts whose subdomains are allowed too (default: Discord).
+// `*` allows any host. Whatever the list says, a webhook is never delivered to a
+// loopback, private, link-local or otherwise internal address: the check runs on the
+// address the connection actually goes to, so a public name resolving to an internal
+// address is refused as well. Redirects aren't followed.
+
+const DEFAULT_HOSTS = ['discord.com', 'discordapp.com'];
+const TIMEOUT = 5000;
+
+// IPv4 ranges that aren't reachable on the public internet, as [network, prefix length]
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+];
+
+function allowedHosts(env = process.env) {
+  if (!env.WEBHOOK_HOSTS) return DEFAULT_HOSTS;
+  return env.WEBHOOK_HOSTS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const n = v4ToInt(ip);
+    return PRIVATE_V4.some(([network, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4ToInt(network) / 2 ** (32 - bits)));
+  }
+  if (net.isIPv6(ip)) {
+    const lower = ip.toLowerCase();
+    // IPv4-mapped addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+  }
+  return true;
+}
+
+// Throws unless `url` is an https URL on an allowed host, returns it otherwise
+function validateWebhookUrl(url, env = process.env) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('webhookUrl must be an https URL');
+  }
+  if (parsed.protocol !== 'https:') throw new Error('webhookUrl must be an https URL');
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) throw new Error('webhookUrl must not point to an internal address');
+  const hosts = allowedHosts(env);
+  if (!hosts.includes('*') && !hosts.some(h => host === h || host.endsWith(`.${h}`))) {
+    throw new Error(`webhookUrl host must be one of ${hosts.join(', ')} (WEBHOOK_HOSTS)`);
+  }
+  return url;
+}
+
+// dns.lookup that fails for internal addresses, used for the webhook connections
+function publicLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const internal = addresses.find(a => isPrivateAddress(a.address));
+      if (internal) return callback(new Error(`${hostname} resolves to the internal address ${internal.address}`));
+      callback(null, address, family);
+    });
+  };
+}
+
+const agent = new https.Agent({ lookup: publicLookup() });
+
+// Post `payload` to a webhook, re-checking the URL against the current WEBHOOK_HOSTS
+async function postWebhook(url, payload) {
+  validateWebhookUrl(url);
+  return axios.post(url, payload, { timeout: TIMEOUT, httpsAgent: agent, maxRedirects: 0 });
+}
+
+module.exports = {
+  isPrivateAddress,
+  validateWebhookUrl,
+  publicLookup,
+  postWebhook,
+};
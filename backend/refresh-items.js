@@ -0,0 +1,24 @@
+// Regenerates the item database (resources/items.json, or ITEMS_FILE) from the Hypixel items resource.
+// Usage: npm run refresh-items
+const fs = require('fs');
+const axios = require('axios');
+const items = require('./lib/items');
+
+async function refresh() {
+  const file = process.env.ITEMS_FILE || items.DEFAULT_ITEMS_FILE;
+  console.log(`Fetching ${items.ITEMS_URL}...`);
+  const response = await axios.get(items.ITEMS_URL, { timeout: 30000 });
+  if (!response.data.success) throw new Error('Hypixel API failed');
+
+  const database = items.fromHypixel(response.data);
+  // Sorted by id so refreshes diff cleanly
+  const sorted = Object.fromEntries(Object.keys(database).sort().map(id => [id, database[id]]));
+  fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(sorted, null, 2)}\n`);
+  fs.renameSync(`${file}.tmp`, file);
+  console.log(`Wrote ${Object.keys(sorted).length} items to ${file}. Restart the server to pick them up.`);
+}
+
+refresh().catch(err => {
+  console.error('Item refresh failed:', err.message);
+  process.exit(1);
+});
@@ -2,120 +2,358 @@ const express = require('express');
 const NodeCache = require('node-cache');
 const cors = require('cors');
 
+const { corsOptions } = require('./lib/origins');
+
 const app = express();
-app.use(cors({
-    origin: function (origin, callback) {
-        // Allow all origins, but reflect the request origin to support credentials
-        callback(null, true);
-    },
-    credentials: true
-}));
+// Only the configured frontend origins, see lib/origins.js
+app.use(cors(corsOptions()));
 app.use(express.json());
 
-const cache = new NodeCache({ stdTTL: 10 }); // cache 10 seconds to match Hypixel API refresh
+const cache = new NodeCache({ stdTTL: 10 }); // computed flips, also flushed on every new bazaar snapshot
+
+const history = require('./lib/history');
+const flips = require('./lib/flips');
+const crafts = require('./lib/crafts');
+const npc = require('./lib/npc');
+const { validatePlanInput, planPortfolio } = require('./lib/planner');
+const { createPoller } = require('./lib/poller');
+const { diffCards, isEmptyDiff } = require('./lib/diff');
+const risk = require('./lib/risk');
+const competition = require('./lib/competition');
+const trends = require('./lib/trends');
+const alerts = require('./lib/alerts');
+const journal = require('./lib/journal');
+const { createStore } = require('./lib/store');
+const exporter = require('./lib/exporter');
+const watchlist = require('./lib/watchlist');
+const orders = require('./lib/orders');
+const fees = require('./lib/fees');
+const accounts = require('./lib/accounts');
+const { createLoginThrottle } = require('./lib/throttle');
+const analytics = require('./lib/analytics');
+const items = require('./lib/items');
+const icons = require('./lib/icons');
+const { createProviderFromEnv } = require('./lib/providers');
+
+const alertStore = createStore('alerts', { rules: [] });
+const journalStore = createStore('journal', { fills: [] });
+const watchlistStore = createStore('watchlist', { ids: [] });
+const orderStore = createStore('orders', { orders: [] });
+const profileStore = createStore('profiles', { profiles: [] });
+const userStore = createStore('users', { users: [] });
+
+// New accounts can be created by anyone who reaches the server unless ALLOW_SIGNUP=false
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP !== 'false';
+
+// Bearer token auth, see lib/accounts.js. Requests without a token stay anonymous and share the global
+// watchlist, fee profiles, alert rules, orders and journal. EventSource can't send headers, so the
+// Server-Sent Events streams take a short-lived stream ticket as a `ticket` query parameter instead.
+const streamTickets = accounts.createStreamTickets();
+
+app.use((req, res, next) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  const ticket = !match && req.path.endsWith('/stream') && typeof req.query.ticket === 'string' ? req.query.ticket : null;
+  if (!match && !ticket) return next();
+  const users = userStore.get().users;
+  const session = match ? accounts.authenticate(users, match[1]) : streamTickets.redeem(users, ticket);
+  if (!session) return res.status(401).json({ success: false, error: match ? 'Invalid or revoked token' : 'Invalid or expired stream ticket' });
+  req.user = session.user;
+  req.token = session.token;
+  next();
+});
 
-function parseNum(str) {
-  if (!str) return null;
-  str = str.toString().trim().toLowerCase().replace(/,/g, '');
-  if (str === '-') return null;
-  const suffix = str.slice(-1);
-  if (suffix === 'k') return parseFloat(str) * 1e3;
-  if (suffix === 'm') return parseFloat(str) * 1e6;
-  if (suffix === 'b') return parseFloat(str) * 1e9;
-  const n = parseFloat(str);
-  return Number.isNaN(n) ? null : n;
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ success: false, error: 'Log in first' });
+  next();
 }
 
-const axios = require('axios');
+// Alert rules, orders and journal fills live in shared stores, tagged with the account they belong to.
+// Logged in users only see and change their own, anonymous requests share the untagged ones.
+function ownerOf(req) {
+  return req.user ? req.user.id : null;
+}
 
-async function getBazaarData(taxRate = 1.25) {
-  const cacheKey = `flips_${taxRate}`;
-  const cached = cache.get(cacheKey);
-  if (cached) return cached;
+function ownedBy(req) {
+  const owner = ownerOf(req);
+  return entry => (entry.owner || null) === owner;
+}
+
+const recipes = crafts.loadRecipes(process.env.RECIPES_FILE || crafts.DEFAULT_RECIPES_FILE);
+const npcPrices = npc.loadNpcPrices(process.env.NPC_PRICES_FILE || npc.DEFAULT_NPC_PRICES_FILE);
+const categories = analytics.loadCategories(process.env.CATEGORIES_FILE || analytics.DEFAULT_CATEGORIES_FILE);
+// Display names and rarities of every card, see lib/items.js
+items.setItems(items.loadItems(process.env.ITEMS_FILE || items.DEFAULT_ITEMS_FILE));
+const iconCache = icons.createIconCache({ url: process.env.ICON_URL || icons.ICON_URL });
+// Items per product per day the NPCs buy, for products without a limit in the price table
+const NPC_DAILY_LIMIT = Number(process.env.NPC_DAILY_LIMIT) || null;
 
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL) || 10000;
+// Snapshots older than this (ms since their lastUpdated) are served flagged stale, see lib/poller.js
+const STALE_AFTER = Number(process.env.STALE_AFTER) || undefined;
+
+// Live Hypixel data or a recorded replay, see lib/providers/index.js
+const provider = createProviderFromEnv();
+
+// The only place that talks to the provider, everything else reads the poller's latest snapshot.
+// Failed fetches are retried with backoff and the last good snapshot is served meanwhile.
+const poller = createPoller(async () => {
+  const payload = await provider.fetch();
+  return { products: payload.products, lastUpdated: payload.lastUpdated || Date.now() };
+}, POLL_INTERVAL, { staleAfter: STALE_AFTER });
+
+// History points of the latest two snapshots, for the watchlist's "since last refresh" deltas
+let latestPoints = {};
+let previousPoints = {};
+
+poller.on('snapshot', ({ products, lastUpdated }) => {
+  // Computed flips belong to the previous snapshot now
+  cache.flushAll();
+  history.record(products, lastUpdated);
+  previousPoints = latestPoints;
+  latestPoints = history.toPoints(products, lastUpdated);
+  risk.observe(latestPoints, lastUpdated);
+  competition.observe(latestPoints, lastUpdated);
+  trends.observe(latestPoints, lastUpdated);
   try {
-    const response = await axios.get('https://api.hypixel.net/v2/skyblock/bazaar');
-    if (!response.data.success) {
-      throw new Error('Hypixel API failed');
-    }
+    alerts.evaluate(alertStore.get().rules, getAllCards, lastUpdated);
+  } catch (err) {
+    console.error('Alert evaluation failed:', err);
+  }
+  try {
+    checkOpenOrders(products, lastUpdated);
+  } catch (err) {
+    console.error('Order check failed:', err);
+  }
+});
 
-    const products = response.data.products;
-    const cards = [];
-
-    Object.values(products).forEach(product => {
-      const { quick_status, product_id, buy_summary, sell_summary } = product;
-      
-      // Helper to get mean of top N prices
-      const getMeanPrice = (summary, count = 5) => {
-        if (!summary || !Array.isArray(summary) || summary.length === 0) return 0;
-        const limit = Math.min(summary.length, count);
-        let sum = 0;
-        for (let i = 0; i < limit; i++) {
-          sum += summary[i].pricePerUnit;
-        }
-        return sum / limit;
-      };
-
-      // buyPrice (High Price / Sell Offer) - calculated from top 1 sell offer (which are in buy_summary)
-      const buyPrice = getMeanPrice(buy_summary, 1); // same as comment below but for buy
-      
-      // sellPrice (Low Price / Buy Order) - calculated from top 1 buy order (which are in sell_summary)
-      const sellPrice = getMeanPrice(sell_summary, 1); // you can change the amount of orders that you want to be averaged to get the "sell price"
-      
-      if (buyPrice <= 0 || sellPrice <= 0) return;
-
-      // Tax calculation
-      // We buy at sellPrice (Low), Sell at buyPrice (High)
-      // Margin = (High * tax) - Low
-      const taxMultiplier = 1 - (taxRate / 100);
-      const margin = (buyPrice * taxMultiplier) - sellPrice;
-      
-      // Volume estimation (items per week / 168 hours)
-      // instabuy = buyMovingWeek (items bought instantly)
-      // instasell = sellMovingWeek (items sold instantly)
-      const instabuyHourly = Math.round(quick_status.buyMovingWeek / 168);
-      const instasellHourly = Math.round(quick_status.sellMovingWeek / 168);
-      
-      // Coins per hour = lower of instabuy/instasell * margin
-      const coinsPerHour = margin * Math.min(instabuyHourly, instasellHourly);
-
-      // Filter out low volume or negative margin
-      if (margin > 0 && Math.min(instabuyHourly, instasellHourly) > 10) {
-        cards.push({
-          id: product_id,
-          title: product_id.replace(/_/g, ' '),
-          buy: sellPrice, // Buy Order (Low)
-          sell: buyPrice, // Sell Offer (High)
-          instabuy: instabuyHourly, 
-          instasell: instasellHourly,
-          margin: margin,
-          coinsPerHour: coinsPerHour,
-          href: `https://skyblock.bz/product/${product_id}`,
-          img: `https://sky.coflnet.com/static/icon/${product_id}`, 
-          raw: JSON.stringify(quick_status)
-        });
-      }
-    });
+// Compare the registered orders with a snapshot and alert on the ones that just got undercut
+function checkOpenOrders(products, lastUpdated) {
+  const data = orderStore.get();
+  const before = data.orders.map(o => o.undercutAt);
+  const { alerts: undercuts } = orders.checkOrders(data.orders, products, lastUpdated);
+  if (data.orders.some((o, i) => o.undercutAt !== before[i])) orderStore.save();
+  for (const alert of undercuts) {
+    const order = data.orders.find(o => o.id === alert.orderId);
+    alerts.publish({ ...alert, owner: order.owner || null }, order.webhookUrl);
+  }
+}
+
+// Raw bazaar products, shared by every tax rate
+async function fetchBazaar() {
+  const { products } = await poller.get();
+  return products;
+}
+
+// Risk flags (lib/risk.js), competition / fill time estimates (lib/competition.js) and trends (lib/trends.js) for a flip card
+function decorateCard(product, card, fillQuantity = competition.DEFAULT_FILL_QUANTITY) {
+  const fill = competition.estimateCompetition(product, card, { quantity: fillQuantity });
+  return { ...risk.assessRisk(product, card), ...fill, ...trends.estimateTrend(card, { fillHours: fill.fillHours }) };
+}
 
-    // Sort by coins per hour
-    cards.sort((a, b) => b.coinsPerHour - a.coinsPerHour);
-    
-    // Top 100
-    const topCards = cards.slice(0, 100);
+// Flip card for one product, see lib/flips.js
+function buildCard(product, taxRate) {
+  const card = flips.buildCard(product, taxRate);
+  return card && Object.assign(card, decorateCard(product, card));
+}
 
-    cache.set(cacheKey, topCards);
-    return topCards;
+// Cards for every product of the latest snapshot, profitable or not
+function getAllCards(taxRate = flips.DEFAULT_TAX, exempt = []) {
+  const cacheKey = `cards_${taxRate}_${exempt.join(',')}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
 
+  const snapshot = poller.latest();
+  if (!snapshot) return [];
+  const feeModel = { sellTax: taxRate, exemptions: exempt };
+  const cards = Object.values(snapshot.products)
+    .map(product => buildCard(product, fees.sellTaxFor(feeModel, product.product_id)))
+    .filter(Boolean);
+  cache.set(cacheKey, cards);
+  return cards;
+}
+
+// Every profitable flip ranked by coins per hour, see computeFlips.
+// `sim` ({ quantity, budget }) switches to depth-aware pricing, `fillQuantity` is the order size fill times are quoted for
+// and products in `exempt` are sold untaxed.
+async function getBazaarData({ taxRate = flips.DEFAULT_TAX, exempt = [], sim = null, minVolume = flips.MIN_VOLUME, fillQuantity = competition.DEFAULT_FILL_QUANTITY } = {}) {
+  const cacheKey = `flips_${taxRate}_${exempt.join(',')}_${minVolume}_${fillQuantity}` + (sim ? `_sim_${sim.quantity}_${sim.budget}` : '');
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const products = await fetchBazaar();
+    const decorate = (product, card) => decorateCard(product, card, fillQuantity);
+    const cards = flips.computeFlips(products, { taxRate, exempt, sim, minVolume, decorate, limit: Infinity });
+    cache.set(cacheKey, cards);
+    return cards;
   } catch (e) {
     console.error('Bazaar API Error:', e);
     throw e;
   }
 }
 
+// Sell tax from one of the requester's fee profiles (`profile`, see lib/fees.js) or the plain `tax` parameter.
+// Returns the tax, the untaxed products and the fee breakdown, throws on an unknown profile.
+function parseFeeModel(query, profiles) {
+  if (query.profile) {
+    const profile = profiles.find(p => p.id === query.profile);
+    if (!profile) throw new Error(`Unknown fee profile ${query.profile}`);
+    const breakdown = fees.feeBreakdown(profile);
+    return { tax: breakdown.sellTax, exempt: breakdown.exemptions, fees: { profileId: profile.id, ...breakdown } };
+  }
+  const tax = flips.parseTax(query.tax);
+  return { tax, exempt: [], fees: { profileId: null, sellTax: tax, exemptions: [] } };
+}
+
+// Options shared by /api/flips and its live stream, throws on invalid filters
+function parseFlipOptions(query, profiles) {
+  const { tax, exempt, fees: breakdown } = parseFeeModel(query, profiles);
+  // Fill simulation: target quantity and/or coin budget (accepts 64, 10k, 2.5m, ...)
+  const quantity = flips.parseNum(query.quantity);
+  const budget = flips.parseNum(query.budget);
+  const sim = quantity > 0 || budget > 0 ? { quantity: quantity || null, budget: budget || null } : null;
+
+  let minVolume = flips.MIN_VOLUME;
+  if (query.minVolume != null && query.minVolume !== '') {
+    minVolume = flips.parseNum(query.minVolume);
+    if (!(minVolume >= 0)) throw new Error('minVolume must be zero or more');
+  }
+
+  // Fill times are quoted for the simulated quantity unless another one is asked for
+  let fillQuantity = (sim && sim.quantity) || competition.DEFAULT_FILL_QUANTITY;
+  if (query.fillQuantity != null && query.fillQuantity !== '') {
+    fillQuantity = flips.parseNum(query.fillQuantity);
+    if (!(fillQuantity > 0)) throw new Error('fillQuantity must be a positive number');
+  }
+
+  return { tax, exempt, fees: breakdown, sim, minVolume, fillQuantity, view: flips.parseFlipQuery(query, { sim: !!sim }) };
+}
+
+// One page of flips plus the counts the frontend needs to page through them
+async function getFlipPage({ tax, exempt, fees: breakdown, sim, minVolume, fillQuantity, view }) {
+  const cards = await getBazaarData({ taxRate: tax, exempt, sim, minVolume, fillQuantity });
+  const { data, total } = flips.queryFlips(cards, view);
+  return { data, total, totalUnfiltered: cards.length, limit: view.limit, offset: view.offset, fees: breakdown, ...poller.freshness() };
+}
+
 app.get('/api/flips', async (req, res) => {
+  let options;
+  try {
+    options = parseFlipOptions(req.query, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    res.json({ success: true, ...(await getFlipPage(options)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Same filters, tax and sort as /api/flips as a download. Exports every matching flip unless `limit` is given.
+app.get('/api/flips.:format(csv|json|xlsx)', async (req, res) => {
+  let options;
+  try {
+    options = parseFlipOptions(req.query, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  if (req.query.limit == null || req.query.limit === '') options.view.limit = Infinity;
+
+  try {
+    const { data } = await getFlipPage(options);
+    await exporter.sendExport(res, req.params.format, 'flips', exporter.flipColumns(data), data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Server-Sent Events: a full 'snapshot' on connect, then a 'diff' whenever a poll changes the list
+app.get('/api/flips/stream', async (req, res) => {
+  let options;
+  try {
+    options = parseFlipOptions(req.query, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let current = null;
+  let currentCounts = null;
+
+  async function update() {
+    try {
+      const { data: cards, ...counts } = await getFlipPage(options);
+      if (!current) {
+        send('snapshot', { data: cards, ...counts });
+      } else {
+        const diff = diffCards(current, cards);
+        // Counts can move while the page itself stays the same
+        if (!isEmptyDiff(diff) || counts.total !== currentCounts.total || counts.totalUnfiltered !== currentCounts.totalUnfiltered) {
+          send('diff', { ...diff, ...counts });
+        }
+      }
+      current = cards;
+      currentCounts = counts;
+    } catch (err) {
+      send('failure', { error: err.message });
+    }
+  }
+
+  const onSnapshot = () => update();
+  poller.on('snapshot', onSnapshot);
+  // The upstream failing or recovering, so the page can flag the data it shows as stale
+  const onStatus = status => {
+    send('status', { upstream: status.upstream, stale: status.stale, age: status.age, lastUpdated: status.lastUpdated, error: status.lastError });
+  };
+  poller.on('status', onStatus);
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    poller.off('snapshot', onSnapshot);
+    poller.off('status', onStatus);
+    clearInterval(heartbeat);
+  });
+
+  update();
+});
+
+// Craft-vs-buy: cost of a recipe's ingredients against the output's sell price, see lib/crafts.js
+app.get('/api/craft-flips', async (req, res) => {
+  let feeModel;
+  try {
+    feeModel = parseFeeModel(req.query, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  const { tax, exempt } = feeModel;
+  const buyMode = req.query.buy || 'order';
+  const sellMode = req.query.sell || 'offer';
+  if (!flips.BUY_MODES.includes(buyMode)) {
+    return res.status(400).json({ success: false, error: `buy must be one of ${flips.BUY_MODES.join(', ')}` });
+  }
+  if (!flips.SELL_MODES.includes(sellMode)) {
+    return res.status(400).json({ success: false, error: `sell must be one of ${flips.SELL_MODES.join(', ')}` });
+  }
+
+  const cacheKey = `crafts_${tax}_${exempt.join(',')}_${buyMode}_${sellMode}`;
   try {
-    const tax = req.query.tax ? parseFloat(req.query.tax) : 1.25;
-    const data = await getBazaarData(tax);
+    let data = cache.get(cacheKey);
+    if (!data) {
+      data = crafts.computeCraftFlips(await fetchBazaar(), recipes, { taxRate: tax, exempt, buyMode, sellMode });
+      cache.set(cacheKey, data);
+    }
     res.json({ success: true, data });
   } catch (err) {
     console.error(err);
@@ -123,8 +361,679 @@ app.get('/api/flips', async (req, res) => {
   }
 });
 
+// Buy on the bazaar, sell to NPC merchants, see lib/npc.js
+app.get('/api/npc-flips', async (req, res) => {
+  const buyMode = req.query.buy || 'order';
+  if (!flips.BUY_MODES.includes(buyMode)) {
+    return res.status(400).json({ success: false, error: `buy must be one of ${flips.BUY_MODES.join(', ')}` });
+  }
+  const dailyLimit = req.query.dailyLimit ? flips.parseNum(req.query.dailyLimit) : NPC_DAILY_LIMIT;
+  if (req.query.dailyLimit && !(dailyLimit > 0)) {
+    return res.status(400).json({ success: false, error: 'dailyLimit must be a positive number' });
+  }
+
+  const cacheKey = `npc_${buyMode}_${dailyLimit}`;
+  try {
+    let data = cache.get(cacheKey);
+    if (!data) {
+      data = npc.computeNpcFlips(await fetchBazaar(), npcPrices, { buyMode, dailyLimit });
+      cache.set(cacheKey, data);
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Allocate a purse across the current flips, see lib/planner.js for the model
+app.post('/api/plan', async (req, res) => {
+  let input;
+  let feeModel;
+  try {
+    input = validatePlanInput(req.body);
+    feeModel = parseFeeModel(req.body, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const cards = await getBazaarData({ taxRate: feeModel.tax, exempt: feeModel.exempt });
+    res.json({ success: true, data: { input, ...planPortfolio(cards, input) } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Alert rules CRUD, see lib/alerts.js for the rule format
+app.get('/api/alerts', (req, res) => {
+  res.json({ success: true, data: alertStore.get().rules.filter(ownedBy(req)) });
+});
+
+app.post('/api/alerts', async (req, res) => {
+  let rule;
+  try {
+    rule = alerts.validateRule({ ...req.body, id: undefined, createdAt: undefined, owner: ownerOf(req) });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await alertStore.update(data => data.rules.push(rule));
+  res.status(201).json({ success: true, data: rule });
+});
+
+// The requester's alerts fired recently (kept in memory), newest last
+app.get('/api/alerts/events', (req, res) => {
+  const since = parseInt(req.query.since, 10) || 0;
+  res.json({ success: true, data: alerts.recentAlerts(since).filter(ownedBy(req)) });
+});
+
+// Server-Sent Events: one 'alert' event per alert the requester's rules and orders fire
+app.get('/api/alerts/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const mine = ownedBy(req);
+  const onAlert = alert => mine(alert) && res.write(`event: alert\ndata: ${JSON.stringify(alert)}\n\n`);
+  alerts.events.on('alert', onAlert);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    alerts.events.off('alert', onAlert);
+    clearInterval(heartbeat);
+  });
+});
+
+app.get('/api/alerts/:id', (req, res) => {
+  const rule = alertStore.get().rules.filter(ownedBy(req)).find(r => r.id === req.params.id);
+  if (!rule) return res.status(404).json({ success: false, error: `Unknown alert rule ${req.params.id}` });
+  res.json({ success: true, data: rule });
+});
+
+app.put('/api/alerts/:id', async (req, res) => {
+  const rules = alertStore.get().rules;
+  const mine = ownedBy(req);
+  const index = rules.findIndex(r => r.id === req.params.id && mine(r));
+  if (index === -1) return res.status(404).json({ success: false, error: `Unknown alert rule ${req.params.id}` });
+
+  let rule;
+  try {
+    rule = alerts.validateRule({ ...req.body, id: rules[index].id, createdAt: rules[index].createdAt, owner: ownerOf(req) }, rules[index]);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await alertStore.update(data => {
+    data.rules[index] = rule;
+  });
+  res.json({ success: true, data: rule });
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  if (!alertStore.get().rules.filter(ownedBy(req)).some(r => r.id === req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown alert rule ${req.params.id}` });
+  }
+  await alertStore.update(data => {
+    data.rules = data.rules.filter(r => r.id !== req.params.id);
+  });
+  res.json({ success: true });
+});
+
+// Watchlist: watched products are returned with their card and deltas even when they aren't flips.
+// Logged in users have their own list, anonymous requests share the global one.
+function watchedIds(req) {
+  return req.user ? req.user.watchlist : watchlistStore.get().ids;
+}
+
+function updateWatched(req, fn) {
+  if (req.user) {
+    return userStore.update(() => {
+      req.user.watchlist = fn(req.user.watchlist);
+    });
+  }
+  return watchlistStore.update(data => {
+    data.ids = fn(data.ids);
+  });
+}
+
+app.get('/api/watchlist', async (req, res) => {
+  const since = parseTime(req.query.since);
+  if (req.query.since && since == null) {
+    return res.status(400).json({ success: false, error: 'since must be a timestamp or date' });
+  }
+
+  let feeModel;
+  try {
+    feeModel = parseFeeModel(req.query, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const { tax, exempt } = feeModel;
+    await poller.get();
+    const cards = {};
+    for (const card of getAllCards(tax, exempt)) cards[card.id] = card;
+    const ranks = {};
+    (await getBazaarData({ taxRate: tax, exempt })).forEach((card, i) => {
+      ranks[card.id] = i + 1;
+    });
+    const reference = since == null ? {} : await history.pointsAt(since);
+
+    res.json({
+      success: true,
+      data: watchlist.buildWatchlist(watchedIds(req), {
+        cards,
+        ranks,
+        current: latestPoints,
+        previous: previousPoints,
+        reference,
+        taxRate: tax,
+        exempt,
+      }),
+      since,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/watchlist/:id', async (req, res) => {
+  let id;
+  try {
+    id = watchlist.normalizeProductId(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  const ids = watchedIds(req);
+  if (!ids.includes(id)) {
+    if (ids.length >= watchlist.MAX_WATCHED) {
+      return res.status(400).json({ success: false, error: `The watchlist holds at most ${watchlist.MAX_WATCHED} products` });
+    }
+    const products = await fetchBazaar().catch(() => null);
+    if (products && !products[id]) {
+      return res.status(404).json({ success: false, error: `Unknown product ${id}` });
+    }
+    await updateWatched(req, list => [...list, id]);
+  }
+  res.json({ success: true, data: watchedIds(req) });
+});
+
+app.delete('/api/watchlist/:id', async (req, res) => {
+  const id = String(req.params.id).toUpperCase();
+  if (!watchedIds(req).includes(id)) {
+    return res.status(404).json({ success: false, error: `${id} is not on the watchlist` });
+  }
+  await updateWatched(req, list => list.filter(watched => watched !== id));
+  res.json({ success: true, data: watchedIds(req) });
+});
+
+// Open order tracker, see lib/orders.js. Orders are returned with where they stand in the latest snapshot.
+app.get('/api/orders', async (req, res) => {
+  try {
+    const products = await fetchBazaar();
+    const list = orderStore.get().orders.filter(ownedBy(req));
+    res.json({ success: true, data: list.map(o => ({ ...o, ...orders.orderStatus(o, products[o.productId]) })) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/orders', async (req, res) => {
+  let order;
+  try {
+    order = orders.validateOrder({ ...req.body, id: undefined, createdAt: undefined, undercutAt: undefined, owner: ownerOf(req) });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await orderStore.update(data => data.orders.push(order));
+  const snapshot = poller.latest();
+  res.status(201).json({ success: true, data: { ...order, ...orders.orderStatus(order, snapshot && snapshot.products[order.productId]) } });
+});
+
+// Update an order, e.g. with its new price after re-listing
+app.put('/api/orders/:id', async (req, res) => {
+  const list = orderStore.get().orders;
+  const mine = ownedBy(req);
+  const index = list.findIndex(o => o.id === req.params.id && mine(o));
+  if (index === -1) return res.status(404).json({ success: false, error: `Unknown order ${req.params.id}` });
+
+  let order;
+  try {
+    const { id, createdAt, undercutAt } = list[index];
+    order = orders.validateOrder({ ...req.body, id, createdAt, undercutAt, owner: ownerOf(req) }, list[index]);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await orderStore.update(data => {
+    data.orders[index] = order;
+  });
+  const snapshot = poller.latest();
+  res.json({ success: true, data: { ...order, ...orders.orderStatus(order, snapshot && snapshot.products[order.productId]) } });
+});
+
+app.delete('/api/orders/:id', async (req, res) => {
+  if (!orderStore.get().orders.filter(ownedBy(req)).some(o => o.id === req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown order ${req.params.id}` });
+  }
+  await orderStore.update(data => {
+    data.orders = data.orders.filter(o => o.id !== req.params.id);
+  });
+  res.json({ success: true });
+});
+
+// Market analytics, see lib/analytics.js. Movers compare the latest snapshot with the recorded history one `window` ago.
+async function windowPoints(windowName) {
+  const { lastUpdated } = await poller.get();
+  const from = lastUpdated - analytics.WINDOWS[windowName];
+  const cacheKey = `analytics_reference_${windowName}`;
+  let reference = cache.get(cacheKey);
+  if (!reference) {
+    reference = await history.pointsAt(from);
+    cache.set(cacheKey, reference);
+  }
+  return { current: latestPoints, reference, from, to: lastUpdated };
+}
+
+function moversRoute(compute) {
+  return async (req, res) => {
+    let windowName;
+    let limit;
+    try {
+      windowName = analytics.parseWindow(req.query.window);
+      limit = analytics.parseLimit(req.query.limit);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    try {
+      const { current, reference, from, to } = await windowPoints(windowName);
+      res.json({ success: true, data: { window: windowName, from, to, ...compute(current, reference, { limit }) }, ...poller.freshness() });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+app.get('/api/analytics/movers', moversRoute(analytics.priceMovers));
+app.get('/api/analytics/volume', moversRoute(analytics.volumeMovers));
+
+app.get('/api/analytics/spreads', async (req, res) => {
+  try {
+    await poller.get();
+    res.json({ success: true, data: analytics.spreadDistribution(latestPoints), ...poller.freshness() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/analytics/categories', async (req, res) => {
+  let feeModel;
+  try {
+    feeModel = parseFeeModel(req.query, feeProfiles(req));
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const cards = await getBazaarData({ taxRate: feeModel.tax, exempt: feeModel.exempt });
+    res.json({ success: true, data: analytics.categoryBreakdown(latestPoints, cards, categories), ...poller.freshness() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Upstream health for monitoring: 200 while there is data to serve (even stale), 503 without any
+app.get('/api/health', (req, res) => {
+  const status = poller.status();
+  res.status(status.upstream === 'down' ? 503 : 200).json({
+    success: status.upstream !== 'down',
+    data: { provider: provider.name, pollInterval: POLL_INTERVAL, uptime: Math.round(process.uptime()), ...status },
+  });
+});
+
+// Accounts, see lib/accounts.js. Send the returned token as `Authorization: Bearer <token>`.
+app.post('/api/auth/register', async (req, res) => {
+  if (!ALLOW_SIGNUP) return res.status(403).json({ success: false, error: 'Sign-up is disabled on this server' });
+  let user;
+  try {
+    user = await accounts.createUser(req.body, userStore.get().users);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  // Checked again after the await, two sign-ups can race for the same name
+  if (accounts.findUser(userStore.get().users, user.username)) {
+    return res.status(400).json({ success: false, error: `username ${user.username} is taken` });
+  }
+  const token = accounts.issueToken(user);
+  await userStore.update(data => data.users.push(user));
+  res.status(201).json({ success: true, data: { user: accounts.publicUser(user), token } });
+});
+
+// Failed logins back off per client address and per username, see lib/throttle.js
+const loginThrottle = createLoginThrottle();
+
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  const userKey = `user:${String(username || '').toLowerCase()}`;
+  const keys = [`ip:${req.ip}`, userKey];
+  const wait = loginThrottle.retryIn(keys);
+  if (wait > 0) {
+    const seconds = Math.ceil(wait / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({ success: false, error: `Too many failed logins, try again in ${seconds}s` });
+  }
+
+  const user = username ? accounts.findUser(userStore.get().users, username) : null;
+  if (!user || !(await accounts.verifyPassword(password, user.passwordHash))) {
+    loginThrottle.fail(keys);
+    return res.status(401).json({ success: false, error: 'Wrong username or password' });
+  }
+  loginThrottle.succeed([userKey]);
+  const token = await userStore.update(() => accounts.issueToken(user));
+  res.json({ success: true, data: { user: accounts.publicUser(user), token } });
+});
+
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+  await userStore.update(() => accounts.revokeToken(req.user, req.token.id));
+  res.json({ success: true });
+});
+
+// A ticket for opening one of the streams (`?ticket=`) within the next 30 seconds
+app.post('/api/auth/stream-ticket', requireUser, (req, res) => {
+  res.status(201).json({ success: true, data: streamTickets.issue(req.user, req.token) });
+});
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ success: true, data: accounts.publicUser(req.user) });
+});
+
+// API tokens for scripts and other devices; login tokens are listed too so they can be revoked
+app.get('/api/auth/tokens', requireUser, (req, res) => {
+  res.json({ success: true, data: req.user.tokens.map(t => ({ ...accounts.publicToken(t), current: t.id === req.token.id })) });
+});
+
+app.post('/api/auth/tokens', requireUser, async (req, res) => {
+  let token;
+  try {
+    token = accounts.issueToken(req.user, { name: req.body && req.body.name, kind: 'api' });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await userStore.save();
+  res.status(201).json({ success: true, data: { ...accounts.publicToken(req.user.tokens[req.user.tokens.length - 1]), token } });
+});
+
+app.delete('/api/auth/tokens/:id', requireUser, async (req, res) => {
+  if (!req.user.tokens.some(t => t.id === req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown token ${req.params.id}` });
+  }
+  await userStore.update(() => accounts.revokeToken(req.user, req.params.id));
+  res.json({ success: true });
+});
+
+// Per-user settings synced by the frontend (view state with the selected fee profile, and presets), null until first saved
+app.get('/api/settings', requireUser, (req, res) => {
+  res.json({ success: true, data: req.user.settings });
+});
+
+app.put('/api/settings', requireUser, async (req, res) => {
+  let settings;
+  try {
+    settings = accounts.validateSettings(req.body);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await userStore.update(() => {
+    req.user.settings = settings;
+  });
+  res.json({ success: true, data: settings });
+});
+
+// Fee profiles, see lib/fees.js. Pass `profile=<id>` instead of `tax` to /api/flips, its stream, exports, /api/watchlist, /api/craft-flips and /api/plan.
+// Logged in users have their own profiles, anonymous requests share the global ones.
+function feeProfiles(req) {
+  return req.user ? req.user.profiles || [] : profileStore.get().profiles;
+}
+
+function updateProfiles(req, fn) {
+  if (req.user) {
+    return userStore.update(() => {
+      req.user.profiles = fn(req.user.profiles || []);
+    });
+  }
+  return profileStore.update(data => {
+    data.profiles = fn(data.profiles);
+  });
+}
+
+function withFees(profile) {
+  return { ...profile, fees: fees.feeBreakdown(profile) };
+}
+
+app.get('/api/profiles', (req, res) => {
+  res.json({ success: true, data: feeProfiles(req).map(withFees) });
+});
+
+app.post('/api/profiles', async (req, res) => {
+  let profile;
+  try {
+    profile = fees.validateProfile({ ...req.body, id: undefined, createdAt: undefined });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await updateProfiles(req, list => [...list, profile]);
+  res.status(201).json({ success: true, data: withFees(profile) });
+});
+
+app.put('/api/profiles/:id', async (req, res) => {
+  const profiles = feeProfiles(req);
+  const index = profiles.findIndex(p => p.id === req.params.id);
+  if (index === -1) return res.status(404).json({ success: false, error: `Unknown fee profile ${req.params.id}` });
+
+  let profile;
+  try {
+    profile = fees.validateProfile({ ...req.body, id: profiles[index].id, createdAt: profiles[index].createdAt }, profiles[index]);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  await updateProfiles(req, list => list.map(p => (p.id === profile.id ? profile : p)));
+  // Flips computed with the old fees are cached under the old tax / exemptions, nothing to flush
+  res.json({ success: true, data: withFees(profile) });
+});
+
+app.delete('/api/profiles/:id', async (req, res) => {
+  if (!feeProfiles(req).some(p => p.id === req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown fee profile ${req.params.id}` });
+  }
+  await updateProfiles(req, list => list.filter(p => p.id !== req.params.id));
+  res.json({ success: true });
+});
+
+// Trade journal, see lib/journal.js
+app.get('/api/journal', (req, res) => {
+  res.json({ success: true, data: journalStore.get().fills.filter(ownedBy(req)) });
+});
+
+app.post('/api/journal/fills', async (req, res) => {
+  let fill;
+  try {
+    fill = { ...journal.validateFill(req.body), owner: ownerOf(req) };
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  // Remember what the flip list predicted when the fill was logged
+  const tax = flips.parseTax(req.body.tax);
+  const card = getAllCards(tax).find(c => c.id === fill.productId);
+  if (card) fill.predicted = { buy: card.buy, sell: card.sell, margin: card.margin, tax };
+
+  await journalStore.update(data => data.fills.push(fill));
+  res.status(201).json({ success: true, data: fill });
+});
+
+app.delete('/api/journal/fills/:id', async (req, res) => {
+  if (!journalStore.get().fills.filter(ownedBy(req)).some(f => f.id === req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown fill ${req.params.id}` });
+  }
+  await journalStore.update(data => {
+    data.fills = data.fills.filter(f => f.id !== req.params.id);
+  });
+  res.json({ success: true });
+});
+
+app.get('/api/journal/summary', (req, res) => {
+  const tax = flips.parseTax(req.query.tax);
+  const markPrices = {};
+  for (const card of getAllCards(tax)) markPrices[card.id] = card.sell;
+  res.json({ success: true, data: journal.summarize(journalStore.get().fills.filter(ownedBy(req)), tax, markPrices) });
+});
+
+// Current state of a single product: its card (even if it isn't a flip) and the top of the order book
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const tax = flips.parseTax(req.query.tax);
+    const depth = Math.min(parseInt(req.query.depth, 10) || 10, 30);
+    const products = await fetchBazaar();
+    const product = products[req.params.id];
+    if (!product) {
+      return res.status(404).json({ success: false, error: `Unknown product ${req.params.id}` });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        card: buildCard(product, tax),
+        quickStatus: product.quick_status,
+        // sell_summary holds buy orders and buy_summary holds sell offers
+        buyOrders: (product.sell_summary || []).slice(0, depth),
+        sellOffers: (product.buy_summary || []).slice(0, depth),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Item metadata search by display name or product id, over the item database and the current bazaar products
+app.get('/api/items', (req, res) => {
+  let limit;
+  try {
+    limit = items.parseSearchLimit(req.query.limit);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  const latest = poller.latest();
+  const ids = latest ? Object.keys(latest.products) : [];
+  res.json({ success: true, data: items.searchItems(req.query.q, { ids, limit }) });
+});
+
+app.get('/api/items/:id', (req, res) => {
+  let id;
+  try {
+    id = watchlist.normalizeProductId(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  const latest = poller.latest();
+  res.json({ success: true, data: { ...items.describe(id), onBazaar: !!(latest && latest.products[id]) } });
+});
+
+// Icons are cached on disk by lib/icons.js, browsers may keep them for a day
+app.get('/api/items/:id/icon', async (req, res) => {
+  let id;
+  try {
+    id = watchlist.normalizeProductId(req.params.id);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  try {
+    const icon = await iconCache.get(id);
+    if (!icon) return res.status(404).json({ success: false, error: `No icon for ${id}` });
+    res.set('Cache-Control', 'public, max-age=86400').type(icon.type).send(icon.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Accepts epoch milliseconds or anything Date.parse understands
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+// from, to and resolution of the history routes, throws on values that don't parse and on an inverted range
+function parseHistoryRange(query) {
+  const range = { resolution: query.resolution };
+  for (const key of ['from', 'to']) {
+    range[key] = parseTime(query[key]);
+    if (query[key] && range[key] == null) throw new Error(`${key} must be a timestamp or date`);
+  }
+  return history.resolveRange(range);
+}
+
+app.get('/api/products/:id/history', async (req, res) => {
+  let range;
+  try {
+    range = parseHistoryRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    res.json({ success: true, data: await history.query(req.params.id, range) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// History points as a download, same parameters as /api/products/:id/history
+app.get('/api/products/:id/history.:format(csv|json|xlsx)', async (req, res) => {
+  let range;
+  try {
+    range = parseHistoryRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const data = await history.query(req.params.id, range);
+    const name = `${req.params.id.replace(/[^A-Za-z0-9_-]/g, '_')}-history-${data.resolution}`;
+    await exporter.sendExport(res, req.params.format, name, history.EXPORT_COLUMNS, history.exportRows(data.points));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Keep polling in the background so history is recorded and streams update even with no requests coming in
+poller.start();
+
 // Auto-scrape on startup
 (async () => {
+  // Warm up the risk baselines and price trends from the last day of recorded history
+  try {
+    await history.scan({ from: Date.now() - 24 * 60 * 60 * 1000, resolution: '5m' }, (t, points) => {
+      risk.observe(points, t);
+      trends.observe(points, t);
+    });
+  } catch (err) {
+    console.error('Risk baseline and trend seeding failed:', err.message);
+  }
+
   console.log('Initial fetch starting...');
   try {
     await getBazaarData();
@@ -135,4 +1044,4 @@ app.get('/api/flips', async (req, res) => {
 })();
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`Scraper backend listening on ${PORT}`));
+app.listen(PORT, () => console.log(`Scraper backend listening on ${PORT} (data provider: ${provider.name})`));
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const accounts = require('../lib/accounts');
+
+test('createUser hashes the password and rejects taken or invalid names', async () => {
+  const user = await accounts.createUser({ username: 'Trader_1', password: 'correct horse' }, []);
+  assert.equal(user.username, 'Trader_1');
+  assert.ok(!user.passwordHash.includes('correct horse'));
+  assert.equal(await accounts.verifyPassword('correct horse', user.passwordHash), true);
+  assert.equal(await accounts.verifyPassword('wrong horse', user.passwordHash), false);
+  assert.equal(await accounts.verifyPassword('correct horse', 'garbage'), false);
+
+  await assert.rejects(accounts.createUser({ username: 'trader_1', password: 'another one' }, [user]), /taken/);
+  await assert.rejects(accounts.createUser({ username: 'a', password: 'long enough' }, []), /username/);
+  await assert.rejects(accounts.createUser({ username: 'someone', password: 'short' }, []), /password/);
+});
+
+test('tokens authenticate until revoked and only their hash is stored', async () => {
+  const user = await accounts.createUser({ username: 'someone', password: 'long enough' }, []);
+  const token = accounts.issueToken(user);
+  assert.ok(!JSON.stringify(user).includes(token));
+
+  const session = accounts.authenticate([user], token);
+  assert.equal(session.user, user);
+  assert.equal(session.token.kind, 'login');
+  assert.equal(accounts.authenticate([user], 'sbf_unknown'), null);
+
+  assert.equal(accounts.revokeToken(user, session.token.id), true);
+  assert.equal(accounts.authenticate([user], token), null);
+});
+
+test('old login tokens are dropped, API tokens are kept and need a name', async () => {
+  const user = await accounts.createUser({ username: 'someone', password: 'long enough' }, []);
+  const api = accounts.issueToken(user, { name: 'sheets', kind: 'api' });
+  const first = accounts.issueToken(user);
+  for (let i = 0; i < accounts.MAX_LOGIN_TOKENS; i++) accounts.issueToken(user);
+
+  assert.equal(user.tokens.filter(t => t.kind === 'login').length, accounts.MAX_LOGIN_TOKENS);
+  assert.equal(accounts.authenticate([user], first), null);
+  assert.equal(accounts.authenticate([user], api).token.name, 'sheets');
+  assert.throws(() => accounts.issueToken(user, { kind: 'api' }), /name/);
+});
+
+test('validateSettings checks the shape and size', () => {
+  const settings = accounts.validateSettings({ view: { sortBy: 'margin' }, presets: [{ name: 'a', state: {} }] });
+  assert.deepEqual(settings.view, { sortBy: 'margin' });
+  assert.ok(settings.updatedAt);
+  assert.equal(accounts.validateSettings({}).view, null);
+
+  assert.throws(() => accounts.validateSettings([]), /object/);
+  assert.throws(() => accounts.validateSettings({ presets: {} }), /presets/);
+  assert.throws(() => accounts.validateSettings({ view: { blob: 'x'.repeat(70 * 1024) } }), /KB/);
+});
+
+test('stream tickets open one stream before they expire, and not after the token is revoked', async () => {
+  let now = 1000;
+  const tickets = accounts.createStreamTickets({ ttl: 30000, now: () => now });
+  const user = await accounts.createUser({ username: 'someone', password: 'long enough' }, []);
+  const token = accounts.issueToken(user);
+  const { token: entry } = accounts.authenticate([user], token);
+
+  const issued = tickets.issue(user, entry);
+  assert.equal(issued.expiresAt, 31000);
+  assert.ok(!issued.ticket.includes(token));
+  assert.equal(tickets.redeem([user], issued.ticket).user, user);
+  assert.equal(tickets.redeem([user], issued.ticket), null);
+  assert.equal(tickets.redeem([user], 'sbs_unknown'), null);
+
+  const late = tickets.issue(user, entry).ticket;
+  now += 30000;
+  assert.equal(tickets.redeem([user], late), null);
+
+  const revoked = tickets.issue(user, entry).ticket;
+  accounts.revokeToken(user, entry.id);
+  assert.equal(tickets.redeem([user], revoked), null);
+});
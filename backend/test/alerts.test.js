@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const alerts = require('../lib/alerts');
+
+const MINUTE = 60 * 1000;
+
+function rule(input) {
+  return alerts.validateRule({ name: 'test', conditions: [{ field: 'margin', op: '>', value: 100 }], ...input });
+}
+
+function card(id, margin) {
+  return { id, title: id.replace(/_/g, ' '), href: `https://example.test/${id}`, margin };
+}
+
+// Cards by tax, evaluated at `t`
+function run(rules, cards, t) {
+  return alerts.evaluate(rules, () => cards, t);
+}
+
+test('validateRule fills in defaults and rejects malformed rules', () => {
+  const r = rule({ cooldownMinutes: '5' });
+  assert.equal(r.pattern, '*');
+  assert.equal(r.cooldownMinutes, 5);
+  assert.equal(r.tax, 1.125);
+  assert.equal(r.webhookUrl, null);
+  assert.equal(r.enabled, true);
+  assert.ok(r.id && r.createdAt);
+
+  assert.throws(() => alerts.validateRule({ conditions: [{ field: 'margin', op: '>', value: 1 }] }), /name is required/);
+  assert.throws(() => rule({ conditions: [] }), /non-empty/);
+  assert.throws(() => rule({ conditions: [{ field: 'margin', op: '=>', value: 1 }] }), /op must be/);
+  assert.throws(() => rule({ conditions: [{ field: 'margin', op: '>', value: 'lots' }] }), /value must be a number/);
+  assert.throws(() => rule({ webhookUrl: 'ftp://x' }), /https/);
+  assert.throws(() => rule({ webhookUrl: 'http://169.254.169.254/latest/meta-data' }), /https/);
+  assert.equal(rule({ webhookUrl: 'https://discord.com/api/webhooks/1/abc' }).webhookUrl, 'https://discord.com/api/webhooks/1/abc');
+});
+
+test('patterns match ids case-insensitively with wildcards and lists', () => {
+  const regex = alerts.patternToRegex('enchanted_*, WHEAT');
+  assert.ok(regex.test('ENCHANTED_CARROT'));
+  assert.ok(regex.test('WHEAT'));
+  assert.ok(!regex.test('WHEAT_SEEDS'));
+  assert.ok(alerts.patternToRegex('').test('ANYTHING'));
+});
+
+test('an alert fires when a product starts matching, once while it keeps matching', () => {
+  const r = rule({ pattern: 'ENCHANTED_*', cooldownMinutes: 0, owner: 'u1' });
+  const emitted = [];
+  const onAlert = alert => emitted.push(alert);
+  alerts.events.on('alert', onAlert);
+  try {
+    const fired = run([r], [card('ENCHANTED_CARROT', 150), card('ENCHANTED_DIAMOND', 50), card('WHEAT', 500)], 0);
+    assert.deepEqual(fired.map(a => a.productId), ['ENCHANTED_CARROT']);
+    assert.equal(fired[0].message, 'ENCHANTED CARROT: margin 150 > 100');
+    assert.deepEqual(fired[0].values, { margin: 150 });
+    assert.equal(fired[0].owner, 'u1');
+    assert.deepEqual(emitted, fired);
+
+    assert.deepEqual(run([r], [card('ENCHANTED_CARROT', 160)], MINUTE), []);
+    // It has to stop matching before it can fire again
+    run([r], [card('ENCHANTED_CARROT', 90)], 2 * MINUTE);
+    assert.equal(run([r], [card('ENCHANTED_CARROT', 150)], 3 * MINUTE).length, 1);
+    assert.ok(alerts.recentAlerts(2 * MINUTE).every(a => a.t > 2 * MINUTE));
+  } finally {
+    alerts.events.off('alert', onAlert);
+  }
+});
+
+test('the cooldown holds back alerts for products that flap', () => {
+  const r = rule({ cooldownMinutes: 15 });
+  const t0 = 100 * MINUTE;
+  assert.equal(run([r], [card('FLAPPY', 150)], t0).length, 1);
+  run([r], [card('FLAPPY', 50)], t0 + MINUTE);
+  assert.equal(run([r], [card('FLAPPY', 150)], t0 + 2 * MINUTE).length, 0);
+  run([r], [card('FLAPPY', 50)], t0 + 10 * MINUTE);
+  assert.equal(run([r], [card('FLAPPY', 150)], t0 + 16 * MINUTE).length, 1);
+});
+
+test('disabled rules and cards missing a field never fire', () => {
+  assert.deepEqual(run([rule({ enabled: false })], [card('A', 1000)], 0), []);
+  const volume = rule({ conditions: [{ field: 'instabuy', op: '>=', value: 0 }] });
+  assert.deepEqual(run([volume], [card('A', 1000)], 0), []);
+});
+
+test('all conditions of a rule have to hold', () => {
+  const r = rule({
+    cooldownMinutes: 0,
+    conditions: [
+      { field: 'margin', op: '>', value: 100 },
+      { field: 'margin', op: '<=', value: 200 },
+    ],
+  });
+  const fired = run([r], [card('IN', 150), card('ABOVE', 250)], 0);
+  assert.deepEqual(fired.map(a => a.productId), ['IN']);
+  assert.equal(fired[0].message, 'IN: margin 150 > 100, margin 150 <= 200');
+});
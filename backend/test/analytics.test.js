@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const analytics = require('../lib/analytics');
+
+// History point with hourly instabuys/instasells `hourly` on both sides
+function point(buy, sell, hourly = 100) {
+  return { t: 0, buy, sell, buyMovingWeek: hourly * 168, sellMovingWeek: hourly * 168, buyOrders: 1, sellOrders: 1 };
+}
+
+const categories = analytics.validateCategories({
+  farming: { ids: ['WHEAT'], patterns: ['^ENCHANTED_(WHEAT|CARROT)'] },
+  enchanted: { patterns: ['^ENCHANTED_'] },
+});
+
+test('the bundled category file loads and covers the main categories', () => {
+  const names = analytics.loadCategories().map(c => c.name);
+  for (const name of ['farming', 'mining', 'combat', 'enchanted', 'essences']) assert.ok(names.includes(name), name);
+});
+
+test('categorize matches ids and patterns, several categories at once', () => {
+  assert.deepEqual(analytics.categorize('WHEAT', categories), ['farming']);
+  assert.deepEqual(analytics.categorize('ENCHANTED_CARROT', categories), ['farming', 'enchanted']);
+  assert.deepEqual(analytics.categorize('BOOSTER_COOKIE', categories), [analytics.OTHER]);
+  assert.throws(() => analytics.validateCategories({ x: {} }), /ids and\/or patterns/);
+  assert.throws(() => analytics.validateCategories({ x: { patterns: ['('] } }), /invalid pattern/);
+});
+
+test('priceMovers ranks mid price changes and skips thin or new products', () => {
+  const current = { A: point(110, 130), B: point(40, 50), C: point(20, 20), THIN: point(500, 600, 1), NEW: point(5, 6) };
+  const reference = { A: point(90, 110), B: point(50, 50), C: point(20, 20), THIN: point(100, 100, 1) };
+  const movers = analytics.priceMovers(current, reference, { limit: 5 });
+
+  assert.equal(movers.compared, 3);
+  assert.deepEqual(movers.up.map(m => [m.id, m.changePct]), [['A', 20]]);
+  assert.deepEqual(movers.down.map(m => [m.id, m.now, m.before, m.changePct]), [['B', 45, 50, -10]]);
+  assert.deepEqual(analytics.priceMovers(current, {}), { compared: 0, up: [], down: [] });
+});
+
+test('volumeMovers compares weekly volumes', () => {
+  const movers = analytics.volumeMovers({ A: point(1, 2, 300), B: point(1, 2, 50) }, { A: point(1, 2, 100), B: point(1, 2, 100) });
+  assert.deepEqual(movers.up.map(m => [m.id, m.changePct]), [['A', 200]]);
+  assert.deepEqual(movers.down.map(m => [m.id, m.changePct]), [['B', -50]]);
+});
+
+test('spreadDistribution buckets spreads in percent of the buy order', () => {
+  const dist = analytics.spreadDistribution({ A: point(100, 100.5), B: point(100, 103), C: point(100, 180), D: point(0, 10) });
+  assert.equal(dist.products, 3);
+  assert.equal(dist.median, 3);
+  assert.deepEqual(dist.buckets.map(b => b.count), [1, 0, 1, 0, 0, 0, 1]);
+  assert.deepEqual(dist.buckets[dist.buckets.length - 1], { min: 50, max: null, count: 1 });
+});
+
+test('categoryBreakdown sums flips per category, best categories first', () => {
+  const points = { WHEAT: point(5, 6), ENCHANTED_CARROT: point(400, 480), BOOSTER_COOKIE: point(1000, 1100) };
+  const cards = [
+    { id: 'ENCHANTED_CARROT', coinsPerHour: 5000, realisticCoinsPerHour: 500, margin: 70 },
+    { id: 'WHEAT', coinsPerHour: 1000, realisticCoinsPerHour: 100, margin: 1 },
+  ];
+  const rows = analytics.categoryBreakdown(points, cards, categories);
+
+  assert.deepEqual(rows.map(r => r.category), ['farming', 'enchanted', analytics.OTHER]);
+  assert.equal(rows[0].products, 2);
+  assert.equal(rows[0].flips, 2);
+  assert.equal(rows[0].coinsPerHour, 6000);
+  assert.equal(rows[0].topFlip.id, 'ENCHANTED_CARROT');
+  assert.deepEqual({ flips: rows[2].flips, topFlip: rows[2].topFlip, medianSpreadPct: rows[2].medianSpreadPct }, { flips: 0, topFlip: null, medianSpreadPct: 10 });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_FILL_QUANTITY, observe, estimateCompetition } = require('../lib/competition');
+const { buildCard } = require('../lib/flips');
+const { products } = require('./fixtures/bazaar.json');
+
+const MINUTE = 60 * 1000;
+
+function estimate(product, options) {
+  return estimateCompetition(product, buildCard(product, 0), options);
+}
+
+// A product with `buyOrders` buy orders and `sellOffers` sell offers at the top of the book
+function contested(id, buyOrders, sellOffers) {
+  return {
+    product_id: id,
+    sell_summary: [{ amount: 1000, pricePerUnit: 100, orders: buyOrders }],
+    buy_summary: [{ amount: 1000, pricePerUnit: 200, orders: sellOffers }],
+    quick_status: { productId: id, sellOrders: buyOrders, buyOrders: sellOffers, buyMovingWeek: 168 * 100, sellMovingWeek: 168 * 100 },
+  };
+}
+
+test('competitors are the orders near the top of each side of the book', () => {
+  // Buy orders at 150 and 149.5 are within 1%, sell offers at 200 and 201 too
+  const carrot = estimate(products.ENCHANTED_CARROT);
+  assert.equal(carrot.buyCompetitors, 32);
+  assert.equal(carrot.sellCompetitors, 24);
+  assert.equal(carrot.competitors, 56);
+
+  // 850 is far below the 900 buy order, 1100 far above the 1000 sell offer
+  const diamond = estimate(products.ENCHANTED_DIAMOND);
+  assert.equal(diamond.buyCompetitors, 1);
+  assert.equal(diamond.sellCompetitors, 2);
+});
+
+test('realistic coins per hour only counts our share of the fills', () => {
+  const card = buildCard(products.ENCHANTED_DIAMOND, 0);
+  const result = estimateCompetition(products.ENCHANTED_DIAMOND, card);
+  // 40 instasells / 2 fill our buy orders, 50 instabuys / 3 our sell offers
+  assert.equal(result.fillShare, Math.round((1 / 3) * 1e4) / 1e4);
+  assert.equal(result.realisticCoinsPerHour, card.margin * 50 * (1 / 3));
+  assert.ok(result.realisticCoinsPerHour < card.coinsPerHour);
+});
+
+test('fill time covers buying and then selling the quantity', () => {
+  const result = estimate(products.ENCHANTED_DIAMOND, { quantity: 100 });
+  assert.equal(result.fillQuantity, 100);
+  assert.equal(result.fillHours, 100 / 20 + 100 / (50 / 3));
+  assert.equal(estimate(products.ENCHANTED_DIAMOND).fillQuantity, DEFAULT_FILL_QUANTITY);
+});
+
+test('fill time is unknown when one side never fills', () => {
+  const product = contested('NO_INSTASELLS', 1, 1);
+  product.quick_status.sellMovingWeek = 0;
+  assert.equal(estimate(product).fillHours, null);
+});
+
+test('frequent undercuts between polls add competitors', () => {
+  const product = contested('CHURNING', 2, 2);
+  assert.equal(estimate(product).buyCompetitors, 2);
+
+  // The top buy order is outbid on every poll, the sell offers never move
+  const t0 = Date.now();
+  for (let i = 0; i <= 60; i++) observe({ CHURNING: { buy: 100 + i, sell: 200 } }, t0 + i * MINUTE);
+  const result = estimate({ ...product, quick_status: { ...product.quick_status, sellOrders: 50 } });
+  assert.ok(result.buyUndercutsPerHour > 20);
+  assert.ok(result.buyCompetitors > 5);
+  assert.equal(result.sellUndercutsPerHour, 0);
+  assert.equal(result.sellCompetitors, 2);
+});
+
+test('competitors never exceed the orders quick_status counts on that side', () => {
+  const t0 = Date.now();
+  for (let i = 0; i <= 60; i++) observe({ CAPPED: { buy: 100 + i, sell: 200 } }, t0 + i * MINUTE);
+  assert.equal(estimate(contested('CAPPED', 2, 2)).buyCompetitors, 2);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateRecipes, loadRecipes, buildCraft, computeCraftFlips } = require('../lib/crafts');
+
+// Top buy order `order`, top sell offer `offer`, weekly instabuys/instasells for `hourly` per hour
+function product(id, { order, offer, instabuyHourly, instasellHourly }) {
+  return {
+    product_id: id,
+    sell_summary: order ? [{ amount: 1000, pricePerUnit: order, orders: 1 }] : [],
+    buy_summary: offer ? [{ amount: 1000, pricePerUnit: offer, orders: 1 }] : [],
+    quick_status: { productId: id, buyMovingWeek: instabuyHourly * 168, sellMovingWeek: instasellHourly * 168 },
+  };
+}
+
+const products = {
+  CARROT_ITEM: product('CARROT_ITEM', { order: 2, offer: 3, instabuyHourly: 100000, instasellHourly: 80000 }),
+  ENCHANTED_CARROT: product('ENCHANTED_CARROT', { order: 400, offer: 500, instabuyHourly: 300, instasellHourly: 200 }),
+  GOLDEN_CARROT: product('GOLDEN_CARROT', { order: 10, offer: 12, instabuyHourly: 1000, instasellHourly: 640 }),
+  ENCHANTED_GOLDEN_CARROT: product('ENCHANTED_GOLDEN_CARROT', { order: 50000, offer: 60000, instabuyHourly: 50, instasellHourly: 40 }),
+  NO_OFFERS: product('NO_OFFERS', { order: 5, offer: 0, instabuyHourly: 100, instasellHourly: 100 }),
+};
+
+const recipes = validateRecipes({
+  ENCHANTED_CARROT: { ingredients: { CARROT_ITEM: 160 } },
+  ENCHANTED_GOLDEN_CARROT: { ingredients: { ENCHANTED_CARROT: 128, GOLDEN_CARROT: 32 } },
+  NO_OFFERS: { ingredients: { CARROT_ITEM: 1 } },
+  MISSING_OUTPUT: { ingredients: { CARROT_ITEM: 1 } },
+});
+
+test('validateRecipes defaults the count and rejects malformed recipes', () => {
+  assert.equal(recipes.ENCHANTED_CARROT.count, 1);
+  assert.throws(() => validateRecipes([]), /object keyed by output/);
+  assert.throws(() => validateRecipes({ A: { ingredients: {} } }), /A: ingredients/);
+  assert.throws(() => validateRecipes({ A: { ingredients: { B: 0 } } }), /B quantity/);
+  assert.throws(() => validateRecipes({ A: { count: -1, ingredients: { B: 1 } } }), /count/);
+});
+
+test('the bundled recipe file is valid', () => {
+  const bundled = loadRecipes();
+  assert.ok(Object.keys(bundled).length > 0);
+  assert.deepEqual(bundled.ENCHANTED_CARROT, { count: 1, ingredients: { CARROT_ITEM: 160 } });
+});
+
+test('buildCraft prices ingredients at buy orders and the output at its sell offer after tax', () => {
+  const craft = buildCraft('ENCHANTED_CARROT', recipes.ENCHANTED_CARROT, products, { taxRate: 1 });
+  assert.equal(craft.cost, 160 * 2);
+  assert.equal(craft.sell, 500);
+  assert.equal(craft.revenue, 500 * 0.99);
+  assert.equal(craft.profit, 500 * 0.99 - 320);
+  assert.deepEqual(craft.ingredients, [{ id: 'CARROT_ITEM', quantity: 160, price: 2, cost: 320, hourly: 80000 }]);
+});
+
+test('buildCraft can instabuy ingredients and instasell the output', () => {
+  const craft = buildCraft('ENCHANTED_CARROT', recipes.ENCHANTED_CARROT, products, { taxRate: 0, buyMode: 'instant', sellMode: 'instant' });
+  assert.equal(craft.cost, 160 * 3);
+  assert.equal(craft.sell, 400);
+  assert.equal(craft.profit, 400 - 480);
+  // 100000 instabuys / 160 = 625 crafts, the output's 200 instasells are slower
+  assert.equal(craft.craftsPerHour, 200);
+  assert.equal(craft.bottleneck, 'ENCHANTED_CARROT');
+});
+
+test('buildCraft caps crafts per hour at the slowest ingredient', () => {
+  // Buy orders on ENCHANTED_CARROT fill at 200/h = 1.56 crafts, GOLDEN_CARROT at 640/32 = 20, the output sells 50/h
+  const craft = buildCraft('ENCHANTED_GOLDEN_CARROT', recipes.ENCHANTED_GOLDEN_CARROT, products, { taxRate: 0 });
+  assert.equal(craft.bottleneck, 'ENCHANTED_CARROT');
+  assert.equal(craft.craftsPerHour, 1);
+  assert.equal(craft.cost, 128 * 400 + 32 * 10);
+  assert.equal(craft.coinsPerHour, craft.profit);
+});
+
+test('buildCraft skips recipes whose output or ingredients cannot be traded', () => {
+  assert.equal(buildCraft('NO_OFFERS', recipes.NO_OFFERS, products), null);
+  assert.equal(buildCraft('MISSING_OUTPUT', recipes.MISSING_OUTPUT, products), null);
+  assert.equal(buildCraft('ENCHANTED_CARROT', { count: 1, ingredients: { UNKNOWN: 1 } }, products), null);
+});
+
+test('computeCraftFlips keeps profitable crafts ranked by coins per hour', () => {
+  const crafts = computeCraftFlips(products, recipes, { taxRate: 1 });
+  assert.deepEqual(crafts.map(c => c.id), ['ENCHANTED_CARROT', 'ENCHANTED_GOLDEN_CARROT']);
+  assert.ok(crafts[0].coinsPerHour >= crafts[1].coinsPerHour);
+
+  const instant = computeCraftFlips(products, recipes, { taxRate: 0, buyMode: 'instant', sellMode: 'instant' });
+  assert.ok(!instant.some(c => c.id === 'ENCHANTED_CARROT'));
+  assert.deepEqual(computeCraftFlips({}, recipes), []);
+});
+
+test('computeCraftFlips sells exempt outputs untaxed', () => {
+  const taxed = computeCraftFlips(products, recipes, { taxRate: 1 });
+  const exempt = computeCraftFlips(products, recipes, { taxRate: 1, exempt: ['ENCHANTED_CARROT'] });
+  const carrot = list => list.find(c => c.id === 'ENCHANTED_CARROT');
+  assert.equal(carrot(exempt).revenue, carrot(taxed).revenue / 0.99);
+  assert.equal(exempt.find(c => c.id === 'ENCHANTED_GOLDEN_CARROT').revenue, taxed.find(c => c.id === 'ENCHANTED_GOLDEN_CARROT').revenue);
+});
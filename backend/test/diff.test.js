@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffCards, isEmptyDiff } = require('../lib/diff');
+
+const carrot = { id: 'ENCHANTED_CARROT', margin: 47.75, riskReasons: [] };
+const diamond = { id: 'ENCHANTED_DIAMOND', margin: 88.75, riskReasons: ['Only 1 buy orders / 2 sell offers'] };
+const wheat = { id: 'WHEAT', margin: 1.9, riskReasons: [] };
+
+test('diffCards reports added and removed cards by id', () => {
+  const diff = diffCards([carrot, diamond], [diamond, wheat]);
+  assert.deepEqual(diff.added, [wheat]);
+  assert.deepEqual(diff.removed, ['ENCHANTED_CARROT']);
+  assert.deepEqual(diff.changed, []);
+});
+
+test('diffCards only sends the fields that changed', () => {
+  const diff = diffCards([carrot, diamond], [{ ...carrot, margin: 50, fillHours: null }, diamond]);
+  assert.deepEqual(diff.changed, [{ id: 'ENCHANTED_CARROT', changes: { margin: 50, fillHours: null } }]);
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+});
+
+test('diffCards compares nested values by content', () => {
+  const same = diffCards([diamond], [{ ...diamond, riskReasons: [...diamond.riskReasons] }]);
+  assert.ok(isEmptyDiff(same));
+
+  const changed = diffCards([diamond], [{ ...diamond, riskReasons: [] }]);
+  assert.deepEqual(changed.changed, [{ id: 'ENCHANTED_DIAMOND', changes: { riskReasons: [] } }]);
+});
+
+test('isEmptyDiff is true only when nothing was added, removed or changed', () => {
+  assert.ok(isEmptyDiff(diffCards([], [])));
+  assert.ok(isEmptyDiff(diffCards([carrot], [{ ...carrot }])));
+  assert.ok(!isEmptyDiff(diffCards([carrot], [])));
+  assert.ok(!isEmptyDiff(diffCards([], [carrot])));
+});
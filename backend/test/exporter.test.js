@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { FLIP_COLUMNS, SIM_COLUMNS, flipColumns, toCsv, toXlsx } = require('../lib/exporter');
+
+test('toCsv writes a header and raw values', () => {
+  const csv = toCsv(['id', 'margin', 'riskScore'], [
+    { id: 'WHEAT', margin: 1.23456789, riskScore: 0 },
+    { id: 'INK_SACK:3', margin: -5 },
+  ]);
+  assert.equal(csv, 'id,margin,riskScore\r\nWHEAT,1.23456789,0\r\nINK_SACK:3,-5,\r\n');
+});
+
+test('toCsv quotes cells with separators, quotes and newlines', () => {
+  const csv = toCsv(['title', 'reasons'], [{ title: 'A "quoted", name', reasons: ['one', 'two'] }, { title: 'line\nbreak' }]);
+  assert.equal(csv, 'title,reasons\r\n"A ""quoted"", name",one; two\r\n"line\nbreak",\r\n');
+});
+
+test('flipColumns adds the simulation columns only when they were computed', () => {
+  assert.deepEqual(flipColumns([{ margin: 1 }]), FLIP_COLUMNS);
+  assert.deepEqual(flipColumns([{ margin: 1, simMargin: 2 }]), [...FLIP_COLUMNS, ...SIM_COLUMNS]);
+  assert.deepEqual(flipColumns([]), FLIP_COLUMNS);
+});
+
+test('toXlsx writes a readable workbook with numeric cells', async () => {
+  const buffer = await toXlsx(['id', 'margin'], [{ id: 'WHEAT', margin: 1.5 }], 'flips');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.getWorksheet('flips');
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['id', 'margin']);
+  assert.deepEqual(sheet.getRow(2).values.slice(1), ['WHEAT', 1.5]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BASE_TAX, MAX_FLIPPER_LEVEL, validateProfile, feeBreakdown, sellTaxFor } = require('../lib/fees');
+const { DEFAULT_TAX, computeFlips } = require('../lib/flips');
+const { products } = require('./fixtures/bazaar.json');
+
+test('validateProfile defaults to no upgrades with a cookie and normalizes exemptions', () => {
+  const profile = validateProfile({ name: ' Main ', exemptions: ['enchanted_carrot', ' WHEAT', 'WHEAT', ''] });
+  assert.equal(profile.name, 'Main');
+  assert.equal(profile.flipperLevel, 0);
+  assert.equal(profile.cookie, true);
+  assert.deepEqual(profile.exemptions, ['ENCHANTED_CARROT', 'WHEAT']);
+  assert.ok(profile.id);
+});
+
+test('validateProfile rejects malformed profiles', () => {
+  assert.throws(() => validateProfile({}), /name/);
+  assert.throws(() => validateProfile({ name: 'a', flipperLevel: MAX_FLIPPER_LEVEL + 1 }), /flipperLevel/);
+  assert.throws(() => validateProfile({ name: 'a', flipperLevel: 1.5 }), /flipperLevel/);
+  assert.throws(() => validateProfile({ name: 'a', exemptions: 'WHEAT' }), /exemptions/);
+});
+
+test('each Bazaar Flipper level takes 0.125% off the base tax', () => {
+  const tax = level => feeBreakdown(validateProfile({ name: 'a', flipperLevel: level })).sellTax;
+  assert.equal(tax(0), BASE_TAX);
+  assert.equal(tax(1), DEFAULT_TAX);
+  assert.equal(tax(2), 1);
+});
+
+test('the breakdown lists every modifier', () => {
+  const breakdown = feeBreakdown(validateProfile({ name: 'a', flipperLevel: 2, cookie: false, exemptions: ['WHEAT'] }));
+  assert.deepEqual(Object.keys(breakdown), ['baseTax', 'flipperDiscount', 'cookieSurcharge', 'sellTax', 'exemptions']);
+  assert.equal(breakdown.flipperDiscount, 0.25);
+  assert.equal(sellTaxFor(breakdown, 'WHEAT'), 0);
+  assert.equal(sellTaxFor(breakdown, 'ENCHANTED_CARROT'), breakdown.sellTax);
+});
+
+test('exempt products are flipped without tax', () => {
+  const flips = computeFlips(products, { taxRate: 1.25, exempt: ['TAX_EDGE'] });
+  const edge = flips.find(c => c.id === 'TAX_EDGE');
+  assert.equal(edge.sellTax, 0);
+  assert.equal(edge.taxPerItem, 0);
+  assert.equal(edge.margin, 12);
+
+  const carrot = flips.find(c => c.id === 'ENCHANTED_CARROT');
+  assert.equal(carrot.sellTax, 1.25);
+  assert.equal(carrot.taxPerItem, 2.5);
+});
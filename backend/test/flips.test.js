@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_TAX,
+  MAX_FLIPS,
+  parseNum,
+  parseTax,
+  getMeanPrice,
+  buildCard,
+  computeFlips,
+  parseFlipQuery,
+  queryFlips,
+} = require('../lib/flips');
+const { products } = require('./fixtures/bazaar.json');
+
+// A liquid product with a positive margin, `rank` makes the coins per hour unique
+function liquidProduct(id, rank) {
+  return {
+    product_id: id,
+    sell_summary: [{ amount: 1000, pricePerUnit: 100, orders: 5 }],
+    buy_summary: [{ amount: 1000, pricePerUnit: 200, orders: 5 }],
+    quick_status: { productId: id, buyMovingWeek: 168 * (100 + rank), sellMovingWeek: 168 * (100 + rank) },
+  };
+}
+
+test('parseNum reads plain numbers, separators and k/m/b suffixes', () => {
+  assert.equal(parseNum('1500'), 1500);
+  assert.equal(parseNum('1,500'), 1500);
+  assert.equal(parseNum(' 2.5k '), 2500);
+  assert.equal(parseNum('3M'), 3e6);
+  assert.equal(parseNum('1.2b'), 1.2e9);
+  assert.equal(parseNum('.5k'), 500);
+  assert.equal(parseNum('-2k'), -2000);
+  assert.equal(parseNum(640), 640);
+});
+
+test('parseNum keeps zero and rejects anything that is not a number', () => {
+  assert.equal(parseNum('0'), 0);
+  assert.equal(parseNum(0), 0);
+  for (const input of [undefined, null, '', '   ', '-', 'k', 'abc', '10x', '1.2.3', '5kk', NaN, Infinity]) {
+    assert.equal(parseNum(input), null, `parseNum(${JSON.stringify(input)})`);
+  }
+});
+
+test('parseTax falls back to the default tax', () => {
+  assert.equal(DEFAULT_TAX, 1.125);
+  assert.equal(parseTax(undefined), DEFAULT_TAX);
+  assert.equal(parseTax(''), DEFAULT_TAX);
+  assert.equal(parseTax('abc'), DEFAULT_TAX);
+  assert.equal(parseTax('1.25'), 1.25);
+  assert.equal(parseTax('0'), 0);
+  assert.equal(parseTax(2), 2);
+});
+
+test('getMeanPrice averages the top levels and handles empty summaries', () => {
+  const levels = [{ pricePerUnit: 10 }, { pricePerUnit: 20 }, { pricePerUnit: 60 }];
+  assert.equal(getMeanPrice(levels, 1), 10);
+  assert.equal(getMeanPrice(levels, 2), 15);
+  assert.equal(getMeanPrice(levels, 10), 30);
+  assert.equal(getMeanPrice([], 1), 0);
+  assert.equal(getMeanPrice(undefined, 1), 0);
+});
+
+test('buildCard buys at the top buy order and sells at the top sell offer after tax', () => {
+  const card = buildCard(products.ENCHANTED_DIAMOND, 1.125);
+  assert.equal(card.id, 'ENCHANTED_DIAMOND');
+  assert.equal(card.title, 'ENCHANTED DIAMOND');
+  assert.equal(card.buy, 900);
+  assert.equal(card.sell, 1000);
+  assert.equal(card.margin, 1000 * (1 - 0.01125) - 900);
+  assert.equal(card.instabuy, 50);
+  assert.equal(card.instasell, 40);
+  assert.equal(card.coinsPerHour, card.margin * 40);
+});
+
+test('buildCard applies the given tax rate', () => {
+  assert.equal(buildCard(products.ENCHANTED_DIAMOND, 0).margin, 100);
+  assert.equal(buildCard(products.ENCHANTED_DIAMOND, 2).margin, 80);
+  assert.equal(buildCard(products.ENCHANTED_DIAMOND).margin, buildCard(products.ENCHANTED_DIAMOND, DEFAULT_TAX).margin);
+});
+
+test('buildCard returns null when one side of the book is empty', () => {
+  assert.equal(buildCard(products.NO_BUY_ORDERS, 1.125), null);
+  assert.equal(buildCard(products.NO_SELL_OFFERS, 1.125), null);
+});
+
+test('computeFlips keeps profitable, liquid products ranked by coins per hour', () => {
+  const flips = computeFlips(products, { taxRate: 1.125 });
+  assert.deepEqual(flips.map(c => c.id), ['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND', 'TAX_EDGE']);
+});
+
+test('computeFlips drops flips that the tax makes unprofitable', () => {
+  // 1000 * (1 - 1.25%) = 987.5, below the 988 buy order
+  const ids = computeFlips(products, { taxRate: 1.25 }).map(c => c.id);
+  assert.ok(!ids.includes('TAX_EDGE'));
+  assert.ok(!ids.includes('NEGATIVE_MARGIN'));
+});
+
+test('computeFlips needs more than 10 instabuys and instasells per hour', () => {
+  const ids = computeFlips(products, { taxRate: 0 }).map(c => c.id);
+  assert.ok(!ids.includes('LOW_VOLUME'));
+
+  const eleven = { ...products.LOW_VOLUME, quick_status: { ...products.LOW_VOLUME.quick_status, sellMovingWeek: 11 * 168 } };
+  assert.deepEqual(computeFlips({ LOW_VOLUME: eleven }).map(c => c.id), ['LOW_VOLUME']);
+});
+
+test('computeFlips returns at most the top 100 flips', () => {
+  const many = {};
+  for (let i = 0; i < 150; i++) many[`ITEM_${i}`] = liquidProduct(`ITEM_${i}`, i);
+
+  const flips = computeFlips(many);
+  assert.equal(flips.length, MAX_FLIPS);
+  assert.equal(flips[0].id, 'ITEM_149');
+  assert.equal(flips[MAX_FLIPS - 1].id, 'ITEM_50');
+  assert.equal(computeFlips(many, { limit: 5 }).length, 5);
+});
+
+test('computeFlips handles empty payloads', () => {
+  assert.deepEqual(computeFlips({}), []);
+  assert.deepEqual(computeFlips(undefined), []);
+  assert.deepEqual(computeFlips({ NO_BUY_ORDERS: products.NO_BUY_ORDERS, NO_SELL_OFFERS: products.NO_SELL_OFFERS }), []);
+});
+
+test('computeFlips ranks by simulated coins per hour when simulating fills', () => {
+  const flips = computeFlips(products, { taxRate: 1.125, sim: { quantity: 50 } });
+  assert.deepEqual(flips.map(c => c.id), ['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND', 'TAX_EDGE']);
+
+  // 50 items fit into the top level on both sides
+  const carrot = flips[0];
+  assert.equal(carrot.simQuantity, 50);
+  assert.equal(carrot.simBuy, 150);
+  assert.equal(carrot.simSell, 200);
+  assert.equal(carrot.simMargin, carrot.margin);
+  assert.equal(carrot.maxFillable, 13000);
+
+  // Past the 20 buy orders at 900 the order competes with the ones at 850 and pays 950,
+  // past the 30 sell offers at 1000 it undercuts the ones at 1100, floored at the top buy order
+  const diamond = flips[1];
+  assert.equal(diamond.simBuy, (20 * 900 + 30 * 950) / 50);
+  assert.equal(diamond.simSell, (30 * 1000 + 20 * 900) / 50);
+  assert.equal(diamond.simMargin, 960 * (1 - 0.01125) - 930);
+  assert.ok(diamond.simMargin < diamond.margin);
+  assert.equal(diamond.simCoinsPerHour, diamond.simMargin * 40);
+  assert.equal(diamond.maxFillable, 120);
+
+  // At 6000 items the diamond book only has 120 buy orders to compete with and loses money
+  const deep = computeFlips(products, { taxRate: 1.125, sim: { quantity: 6000 } });
+  assert.deepEqual(deep.map(c => c.id), ['ENCHANTED_CARROT', 'TAX_EDGE']);
+  assert.equal(deep[0].simBuy, (5000 * 150 + 1000 * 150.5) / 6000);
+  assert.equal(deep[0].simSell, (4000 * 200 + 2000 * 199) / 6000);
+  assert.equal(deep[1].simQuantity, 1000);
+});
+
+test('computeFlips lets the caller decorate cards', () => {
+  const flips = computeFlips(products, { decorate: product => ({ orders: product.quick_status.buyOrders }) });
+  assert.equal(flips.find(c => c.id === 'ENCHANTED_CARROT').orders, 24);
+});
+
+test('computeFlips takes the minimum volume as an option', () => {
+  const ids = minVolume => computeFlips(products, { minVolume }).map(c => c.id);
+  assert.ok(ids(9).includes('LOW_VOLUME'));
+  assert.ok(!ids(10).includes('LOW_VOLUME'));
+  assert.deepEqual(ids(100), ['ENCHANTED_CARROT']);
+});
+
+test('parseFlipQuery reads ranges, keywords, sort and page', () => {
+  const query = parseFlipQuery({
+    buyMin: '1k',
+    marginMax: '2.5m',
+    include: 'Enchanted, coal ',
+    exclude: 'block',
+    sortBy: 'margin',
+    sortDir: 'asc',
+    limit: '50',
+    offset: '100',
+  });
+  assert.deepEqual(query.ranges, [
+    { field: 'buy', min: 1000, max: Infinity },
+    { field: 'margin', min: -Infinity, max: 2.5e6 },
+  ]);
+  assert.deepEqual(query.include, ['enchanted', 'coal']);
+  assert.deepEqual(query.exclude, ['block']);
+  assert.equal(query.sortBy, 'margin');
+  assert.equal(query.sortDir, 'asc');
+  assert.equal(query.limit, 50);
+  assert.equal(query.offset, 100);
+});
+
+test('parseFlipQuery defaults to the top 100 by coins per hour', () => {
+  assert.deepEqual(parseFlipQuery({}), {
+    ranges: [],
+    include: [],
+    exclude: [],
+    sortBy: 'coinsPerHour',
+    sortDir: 'desc',
+    limit: MAX_FLIPS,
+    offset: 0,
+  });
+  assert.equal(parseFlipQuery({}, { sim: true }).sortBy, 'simCoinsPerHour');
+});
+
+test('parseFlipQuery rejects invalid parameters', () => {
+  assert.throws(() => parseFlipQuery({ buyMin: 'cheap' }), /buyMin must be a number/);
+  assert.throws(() => parseFlipQuery({ sortBy: 'href' }), /sortBy/);
+  assert.throws(() => parseFlipQuery({ sortDir: 'up' }), /sortDir/);
+  assert.throws(() => parseFlipQuery({ limit: '0' }), /limit/);
+  assert.throws(() => parseFlipQuery({ limit: '5000' }), /limit/);
+  assert.throws(() => parseFlipQuery({ offset: '-1' }), /offset/);
+});
+
+test('queryFlips filters, sorts and pages the flip list', () => {
+  const cards = computeFlips(products, { minVolume: 0, limit: Infinity });
+  const ids = query => queryFlips(cards, parseFlipQuery(query)).data.map(c => c.id);
+
+  assert.deepEqual(ids({ include: 'enchanted' }), ['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND']);
+  assert.deepEqual(ids({ exclude: 'enchanted, tax' }), ['LOW_VOLUME']);
+  assert.deepEqual(ids({ include: 'low volume' }), ['LOW_VOLUME']);
+  assert.deepEqual(ids({ buyMin: '500', buyMax: '950' }), ['LOW_VOLUME', 'ENCHANTED_DIAMOND']);
+  assert.deepEqual(ids({ sortBy: 'margin', sortDir: 'asc' }), ['TAX_EDGE', 'ENCHANTED_CARROT', 'ENCHANTED_DIAMOND', 'LOW_VOLUME']);
+  assert.deepEqual(ids({ sortBy: 'title', sortDir: 'asc' }), ['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND', 'LOW_VOLUME', 'TAX_EDGE']);
+
+  const page = queryFlips(cards, parseFlipQuery({ sortBy: 'margin', limit: '2', offset: '1' }));
+  assert.deepEqual(page.data.map(c => c.id), ['ENCHANTED_DIAMOND', 'ENCHANTED_CARROT']);
+  assert.equal(page.total, 4);
+});
+
+test('queryFlips treats unscored risk as 0 and missing fields as not matching', () => {
+  const cards = [
+    { id: 'A', title: 'A', margin: 5, riskScore: 60 },
+    { id: 'B', title: 'B', margin: 3 },
+    { id: 'C', title: 'C', margin: 1, simMargin: 2 },
+  ];
+  const ids = query => queryFlips(cards, parseFlipQuery(query)).data.map(c => c.id);
+  assert.deepEqual(ids({ riskScoreMax: '30', sortBy: 'margin' }), ['B', 'C']);
+  assert.deepEqual(ids({ simMarginMin: '0' }), ['C']);
+  // Missing sort values go last in both directions
+  assert.deepEqual(ids({ sortBy: 'simMargin', sortDir: 'asc' }), ['C', 'A', 'B']);
+});
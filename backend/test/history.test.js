@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The history folder is read when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+process.env.HISTORY_DIR = dir;
+const history = require('../lib/history');
+const { toCsv } = require('../lib/exporter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A bazaar snapshot with one product whose top buy order is `buy` and top sell offer `sell`
+function snapshot(buy, sell) {
+  return {
+    WHEAT: {
+      product_id: 'WHEAT',
+      sell_summary: [{ amount: 100, pricePerUnit: buy, orders: 1 }],
+      buy_summary: [{ amount: 100, pricePerUnit: sell, orders: 1 }],
+      quick_status: { buyMovingWeek: 1000, sellMovingWeek: 2000, buyOrders: 3, sellOrders: 4 },
+    },
+  };
+}
+
+test('resolveRange defaults to the last day and picks the finest tier that covers the range', () => {
+  const now = Date.UTC(2026, 0, 10);
+  assert.deepEqual(history.resolveRange({}, now), { from: now - DAY, to: now, resolution: '5m' });
+  assert.equal(history.resolveRange({ from: now - HOUR }, now).resolution, 'raw');
+  assert.equal(history.resolveRange({ from: now - 2 * DAY }, now).resolution, '5m');
+  assert.equal(history.resolveRange({ from: now - 30 * DAY }, now).resolution, '1h');
+  // A short range that is older than the raw retention
+  assert.equal(history.resolveRange({ from: now - 10 * HOUR, to: now - 9 * HOUR }, now).resolution, '5m');
+  assert.equal(history.resolveRange({ from: now - HOUR, resolution: '1h' }, now).resolution, '1h');
+  assert.throws(() => history.resolveRange({ resolution: '1m' }, now), /Unknown resolution/);
+  assert.throws(() => history.resolveRange({ from: now, to: now - 1 }, now), /from must not be after to/);
+});
+
+test('snapshots are stored raw and averaged into 5 minute and hourly buckets', async () => {
+  const start = Math.floor(Date.now() / HOUR) * HOUR - 2 * HOUR;
+  await history.record(snapshot(10, 20), start);
+  await history.record(snapshot(12, 22), start + MINUTE);
+  // The same snapshot polled twice is only stored once
+  await history.record(snapshot(99, 99), start + MINUTE);
+  await history.record(snapshot(14, 24), start + 5 * MINUTE);
+
+  const raw = await history.query('WHEAT', { from: start, to: start + HOUR, resolution: 'raw' });
+  assert.deepEqual(raw.points.map(p => p.buy), [10, 12, 14]);
+  assert.deepEqual(raw.points[0], { t: start, buy: 10, sell: 20, buyMovingWeek: 1000, sellMovingWeek: 2000, buyOrders: 3, sellOrders: 4 });
+
+  // The first bucket is finished and written, the second one is still open
+  const buckets = await history.query('WHEAT', { from: start, to: start + HOUR, resolution: '5m' });
+  assert.deepEqual(buckets.points.map(p => [p.t, p.buy, p.sell]), [
+    [start, 11, 21],
+    [start + 5 * MINUTE, 14, 24],
+  ]);
+  assert.equal(fs.readdirSync(path.join(dir, '5m')).length, 1);
+
+  const hourly = await history.query('WHEAT', { from: start, to: start + HOUR, resolution: '1h' });
+  assert.deepEqual(hourly.points.map(p => p.buy), [12]);
+
+  assert.deepEqual((await history.query('NOPE', { from: start, to: start + HOUR, resolution: 'raw' })).points, []);
+});
+
+test('history exports have the ISO time next to every point', async () => {
+  const start = Math.floor(Date.now() / HOUR) * HOUR - 2 * HOUR;
+  const { points } = await history.query('WHEAT', { from: start, to: start, resolution: 'raw' });
+  const csv = toCsv(history.EXPORT_COLUMNS, history.exportRows(points));
+  assert.equal(
+    csv,
+    `t,time,buy,sell,buyMovingWeek,sellMovingWeek,buyOrders,sellOrders\r\n${start},${new Date(start).toISOString()},10,20,1000,2000,3,4\r\n`,
+  );
+});
+
+test('prune deletes the files that are past their tier retention', async () => {
+  const now = Date.UTC(2026, 0, 10, 12);
+  const rawDir = path.join(dir, 'raw');
+  const hourlyDir = path.join(dir, '1h');
+  fs.mkdirSync(rawDir, { recursive: true });
+  fs.mkdirSync(hourlyDir, { recursive: true });
+  fs.writeFileSync(path.join(rawDir, '2026-01-10T11.ndjson'), '');
+  fs.writeFileSync(path.join(rawDir, '2026-01-10T02.ndjson'), '');
+  fs.writeFileSync(path.join(rawDir, 'notes.txt'), '');
+  fs.writeFileSync(path.join(hourlyDir, '2025-12-01.ndjson'), '');
+  fs.writeFileSync(path.join(hourlyDir, '2024-12-01.ndjson'), '');
+
+  await history.prune(now);
+
+  const raw = fs.readdirSync(rawDir);
+  assert.ok(raw.includes('2026-01-10T11.ndjson'));
+  assert.ok(!raw.includes('2026-01-10T02.ndjson'));
+  assert.ok(raw.includes('notes.txt'));
+  assert.deepEqual(fs.readdirSync(hourlyDir).filter(f => f.startsWith('202')).sort(), ['2025-12-01.ndjson']);
+});
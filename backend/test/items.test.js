@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const items = require('../lib/items');
+const { imageType, createIconCache } = require('../lib/icons');
+const { buildCard, parseFlipQuery, queryFlips } = require('../lib/flips');
+const { products } = require('./fixtures/bazaar.json');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+
+function withItems(database, fn) {
+  items.setItems(database);
+  try {
+    return fn();
+  } finally {
+    items.setItems({});
+  }
+}
+
+test('the bundled item database is valid and names the odd ids', () => {
+  const database = items.loadItems();
+  assert.equal(database['INK_SACK:3'].name, 'Cocoa Beans');
+  assert.equal(database.ENCHANTED_CARROT_ON_A_STICK.name, 'Enchanted Carrot on a Stick');
+  assert.equal(database.ENCHANTED_CARROT.rarity, 'UNCOMMON');
+});
+
+test('validateItems normalizes entries and rejects malformed ones', () => {
+  assert.deepEqual(items.validateItems({ WHEAT: { name: ' Wheat ', rarity: 'common' } }), {
+    WHEAT: { name: 'Wheat', rarity: 'COMMON', category: null, npcPrice: null },
+  });
+  assert.throws(() => items.validateItems([]), /object keyed by product id/);
+  assert.throws(() => items.validateItems({ WHEAT: {} }), /WHEAT: name is required/);
+  assert.throws(() => items.validateItems({ WHEAT: { name: 'Wheat', rarity: 'SHINY' } }), /unknown rarity/);
+  assert.throws(() => items.validateItems({ WHEAT: { name: 'Wheat', npcPrice: 'a lot' } }), /npcPrice/);
+});
+
+test('fromHypixel maps the items resource and defaults the rarity to common', () => {
+  const database = items.fromHypixel({
+    items: [
+      { id: 'INK_SACK:3', name: 'Cocoa Beans', npc_sell_price: 3 },
+      { id: 'HYPERION', name: '§dHyperion', tier: 'LEGENDARY', category: 'SWORD' },
+      { name: 'no id' },
+    ],
+  });
+  assert.deepEqual(database, {
+    'INK_SACK:3': { name: 'Cocoa Beans', rarity: 'COMMON', category: null, npcPrice: 3 },
+    HYPERION: { name: 'Hyperion', rarity: 'LEGENDARY', category: 'SWORD', npcPrice: null },
+  });
+  assert.throws(() => items.fromHypixel({ success: true }), /no items/);
+});
+
+test('cards use display names and rarities, unknown ids keep the old title', () => {
+  const card = withItems({ ENCHANTED_DIAMOND: { name: 'Enchanted Diamond', rarity: 'UNCOMMON' } }, () => buildCard(products.ENCHANTED_DIAMOND, 0));
+  assert.equal(card.title, 'Enchanted Diamond');
+  assert.equal(card.rarity, 'UNCOMMON');
+  assert.equal(card.img, '/api/items/ENCHANTED_DIAMOND/icon');
+
+  const unknown = buildCard(products.ENCHANTED_CARROT, 0);
+  assert.equal(unknown.title, 'ENCHANTED CARROT');
+  assert.equal(unknown.rarity, null);
+  assert.equal(items.iconPath('INK_SACK:3'), '/api/items/INK_SACK%3A3/icon');
+});
+
+test('keyword filters match the display name and the id', () => {
+  const cards = [
+    { id: 'INK_SACK:3', title: 'Cocoa Beans', margin: 1 },
+    { id: 'ENCHANTED_CARROT', title: 'Enchanted Carrot', margin: 2 },
+  ];
+  const ids = include => queryFlips(cards, parseFlipQuery({ include })).data.map(c => c.id);
+  assert.deepEqual(ids('cocoa'), ['INK_SACK:3']);
+  assert.deepEqual(ids('ink_sack'), ['INK_SACK:3']);
+  assert.deepEqual(ids('ink sack'), ['INK_SACK:3']);
+  assert.deepEqual(ids('enchanted_carrot'), ['ENCHANTED_CARROT']);
+});
+
+test('searchItems ranks exact, then prefix, then substring matches', () => {
+  const database = {
+    CARROT_ITEM: { name: 'Carrot', rarity: 'COMMON' },
+    ENCHANTED_CARROT: { name: 'Enchanted Carrot', rarity: 'UNCOMMON' },
+    ENCHANTED_GOLDEN_CARROT: { name: 'Enchanted Golden Carrot', rarity: 'RARE' },
+  };
+  withItems(database, () => {
+    assert.deepEqual(items.searchItems('carrot').map(i => i.id), ['CARROT_ITEM', 'ENCHANTED_CARROT', 'ENCHANTED_GOLDEN_CARROT']);
+    assert.deepEqual(items.searchItems('enchanted g').map(i => i.id), ['ENCHANTED_GOLDEN_CARROT']);
+    assert.deepEqual(items.searchItems('carrot_item').map(i => i.id), ['CARROT_ITEM']);
+    // Bazaar products missing from the database are found by id
+    assert.deepEqual(items.searchItems('mystery', { ids: ['MYSTERY_BOX'] }), [
+      { id: 'MYSTERY_BOX', name: 'MYSTERY BOX', rarity: null, category: null, npcPrice: null, icon: '/api/items/MYSTERY_BOX/icon' },
+    ]);
+    assert.equal(items.searchItems('carrot', { limit: 1 }).length, 1);
+    assert.deepEqual(items.searchItems('  '), []);
+  });
+  assert.throws(() => items.parseSearchLimit('0'), /limit must be/);
+  assert.equal(items.parseSearchLimit(''), 20);
+});
+
+test('imageType only accepts image signatures', () => {
+  assert.equal(imageType(PNG), 'image/png');
+  assert.equal(imageType(Buffer.from('GIF89a______')), 'image/gif');
+  assert.equal(imageType(Buffer.from('<html>not found</html>')), null);
+  assert.equal(imageType(null), null);
+});
+
+test('icons are downloaded once and served from disk after that', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icons-'));
+  const urls = [];
+  const cache = createIconCache({
+    dir,
+    url: 'https://icons.test/{id}',
+    download: async url => {
+      urls.push(url);
+      return PNG;
+    },
+  });
+  try {
+    const [a, b] = await Promise.all([cache.get('INK_SACK:3'), cache.get('INK_SACK:3')]);
+    assert.equal(a.type, 'image/png');
+    assert.equal(b, a);
+    assert.deepEqual(urls, ['https://icons.test/INK_SACK%3A3']);
+
+    const fresh = createIconCache({ dir, download: async () => assert.fail('should come from disk') });
+    assert.ok((await fresh.get('INK_SACK:3')).body.equals(PNG));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('missing icons are not fetched again for a while', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icons-'));
+  let t = 0;
+  let calls = 0;
+  const cache = createIconCache({
+    dir,
+    now: () => t,
+    download: async () => {
+      calls++;
+      return Buffer.from('<html>404</html>');
+    },
+  });
+  try {
+    assert.equal(await cache.get('NOPE'), null);
+    assert.equal(await cache.get('NOPE'), null);
+    assert.equal(calls, 1);
+    t += 2 * 60 * 60 * 1000;
+    assert.equal(await cache.get('NOPE'), null);
+    assert.equal(calls, 2);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
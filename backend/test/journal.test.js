@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFill, summarize } = require('../lib/journal');
+
+const HOUR = 60 * 60 * 1000;
+const DAY1 = Date.UTC(2026, 0, 1);
+const DAY2 = DAY1 + 24 * HOUR;
+
+function fill(productId, side, quantity, price, t, extra = {}) {
+  return { ...validateFill({ productId, side, quantity, price, t }), ...extra };
+}
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('validateFill normalizes the product id and rejects malformed fills', () => {
+  const f = validateFill({ productId: ' enchanted_carrot ', side: 'buy', quantity: '64', price: '150.5', t: DAY1 });
+  assert.equal(f.productId, 'ENCHANTED_CARROT');
+  assert.equal(f.quantity, 64);
+  assert.equal(f.price, 150.5);
+  assert.equal(f.t, DAY1);
+  assert.ok(f.id);
+  assert.ok(validateFill({ productId: 'A', side: 'sell', quantity: 1, price: 1 }).t > 0);
+
+  assert.throws(() => validateFill({ side: 'buy', quantity: 1, price: 1 }), /productId/);
+  assert.throws(() => validateFill({ productId: 'A', side: 'hold', quantity: 1, price: 1 }), /side/);
+  assert.throws(() => validateFill({ productId: 'A', side: 'buy', quantity: 1.5, price: 1 }), /quantity/);
+  assert.throws(() => validateFill({ productId: 'A', side: 'buy', quantity: 1, price: 0 }), /price/);
+  assert.throws(() => validateFill({ productId: 'A', side: 'buy', quantity: 1, price: 1, t: 'noon' }), /t must be/);
+});
+
+test('sells realize their profit after tax against the oldest buys first', () => {
+  const fills = [
+    // Logged out of order, summarize sorts them by time
+    fill('CARROT', 'sell', 15, 200, DAY1 + 2 * HOUR),
+    fill('CARROT', 'buy', 10, 100, DAY1, { predicted: { margin: 15 } }),
+    fill('CARROT', 'buy', 10, 120, DAY1 + HOUR),
+  ];
+  const summary = summarize(fills, 2, { CARROT: 150 });
+  const [carrot] = summary.perItem;
+
+  // 10 bought at 100 and 5 at 120, all sold at 200 minus 2% tax
+  near(carrot.realized, 10 * (196 - 100) + 5 * (196 - 120));
+  near(carrot.realizedMargin, carrot.realized / 15);
+  assert.equal(carrot.bought, 20);
+  assert.equal(carrot.sold, 15);
+  assert.equal(carrot.avgBuy, 110);
+  near(carrot.avgSell, 200);
+  assert.equal(carrot.predictedMargin, 15);
+  near(carrot.avgHoldHours, (10 * 2 + 5 * 1) / 15);
+
+  assert.equal(summary.openPositions.length, 1);
+  const open = summary.openPositions[0];
+  assert.equal(open.quantity, 5);
+  assert.equal(open.avgCost, 120);
+  assert.equal(open.since, DAY1 + HOUR);
+  near(open.unrealized, 5 * 150 * 0.98 - 600);
+
+  assert.equal(summary.tax, 2);
+  near(summary.totals.realized, carrot.realized);
+  assert.equal(summary.totals.openCost, 600);
+  assert.equal(summary.totals.fills, 3);
+});
+
+test('P&L is grouped per day and sells without logged buys realize nothing', () => {
+  const summary = summarize([
+    fill('A', 'buy', 1, 100, DAY1),
+    fill('A', 'sell', 1, 150, DAY1 + HOUR),
+    fill('B', 'sell', 10, 50, DAY2),
+  ], 0);
+  assert.deepEqual(summary.perDay, [
+    { day: '2026-01-01', realized: 50, sold: 1, trades: 1 },
+    { day: '2026-01-02', realized: 0, sold: 10, trades: 1 },
+  ]);
+  assert.deepEqual(summary.perItem.map(i => [i.productId, i.realized, i.realizedMargin]), [
+    ['A', 50, 50],
+    ['B', 0, null],
+  ]);
+  assert.deepEqual(summary.openPositions, []);
+});
+
+test('open positions without a mark price have no unrealized value', () => {
+  const { openPositions, totals } = summarize([fill('A', 'buy', 4, 25, DAY1)]);
+  assert.equal(openPositions[0].markPrice, null);
+  assert.equal(openPositions[0].unrealized, null);
+  assert.equal(totals.avgHoldHours, null);
+  assert.deepEqual(summarize([]).totals, { realized: 0, openCost: 0, fills: 0, avgHoldHours: null });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateNpcPrices, loadNpcPrices, buildNpcFlip, computeNpcFlips } = require('../lib/npc');
+
+// Top buy order `order`, top sell offer `offer`, hourly instabuys/instasells
+function product(id, { order, offer, instabuyHourly, instasellHourly }) {
+  return {
+    product_id: id,
+    sell_summary: order ? [{ amount: 1000, pricePerUnit: order, orders: 1 }] : [],
+    buy_summary: offer ? [{ amount: 1000, pricePerUnit: offer, orders: 1 }] : [],
+    quick_status: { productId: id, buyMovingWeek: instabuyHourly * 168, sellMovingWeek: instasellHourly * 168 },
+  };
+}
+
+const products = {
+  ENCHANTED_CARROT: product('ENCHANTED_CARROT', { order: 400, offer: 470, instabuyHourly: 50, instasellHourly: 100 }),
+  ENCHANTED_DIAMOND: product('ENCHANTED_DIAMOND', { order: 1200, offer: 1300, instabuyHourly: 10, instasellHourly: 40 }),
+  WHEAT: product('WHEAT', { order: 7, offer: 8, instabuyHourly: 5000, instasellHourly: 5000 }),
+  NO_ORDERS: product('NO_ORDERS', { order: 0, offer: 5, instabuyHourly: 100, instasellHourly: 100 }),
+};
+
+const npcPrices = validateNpcPrices({
+  ENCHANTED_CARROT: 480,
+  ENCHANTED_DIAMOND: { price: 1280, dailyLimit: 240 },
+  WHEAT: 6,
+  NO_ORDERS: 10,
+  NOT_ON_BAZAAR: 100,
+});
+
+test('validateNpcPrices accepts plain prices and objects with a daily limit', () => {
+  assert.deepEqual(npcPrices.ENCHANTED_CARROT, { price: 480, dailyLimit: null });
+  assert.deepEqual(npcPrices.ENCHANTED_DIAMOND, { price: 1280, dailyLimit: 240 });
+  assert.throws(() => validateNpcPrices({ A: 0 }), /A: price/);
+  assert.throws(() => validateNpcPrices({ A: { price: 5, dailyLimit: -1 } }), /dailyLimit/);
+  assert.throws(() => validateNpcPrices([]), /keyed by product id/);
+});
+
+test('the bundled NPC price table is valid', () => {
+  assert.ok(Object.keys(loadNpcPrices()).length > 0);
+});
+
+test('buildNpcFlip buys with buy orders and sells to the NPC untaxed', () => {
+  const flip = buildNpcFlip(products.ENCHANTED_CARROT, npcPrices.ENCHANTED_CARROT);
+  assert.equal(flip.buy, 400);
+  assert.equal(flip.profit, 80);
+  assert.equal(flip.roi, 0.2);
+  // Buy orders fill at the instasell rate
+  assert.equal(flip.itemsPerHour, 100);
+  assert.equal(flip.coinsPerHour, 8000);
+  assert.equal(flip.itemsPerDay, 2400);
+  assert.equal(flip.hoursToLimit, null);
+});
+
+test('buildNpcFlip can instabuy at the top sell offer', () => {
+  const flip = buildNpcFlip(products.ENCHANTED_CARROT, npcPrices.ENCHANTED_CARROT, { buyMode: 'instant' });
+  assert.equal(flip.buy, 470);
+  assert.equal(flip.profit, 10);
+  assert.equal(flip.itemsPerHour, 50);
+});
+
+test('buildNpcFlip caps items per day at the daily limit', () => {
+  const flip = buildNpcFlip(products.ENCHANTED_DIAMOND, npcPrices.ENCHANTED_DIAMOND);
+  assert.equal(flip.itemsPerHour, 40);
+  assert.equal(flip.itemsPerDay, 240);
+  assert.equal(flip.coinsPerDay, 80 * 240);
+  assert.equal(flip.hoursToLimit, 6);
+
+  // A general limit only applies to products without their own
+  const carrot = buildNpcFlip(products.ENCHANTED_CARROT, npcPrices.ENCHANTED_CARROT, { dailyLimit: 1000 });
+  assert.equal(carrot.itemsPerDay, 1000);
+  assert.equal(buildNpcFlip(products.ENCHANTED_DIAMOND, npcPrices.ENCHANTED_DIAMOND, { dailyLimit: 1000 }).itemsPerDay, 240);
+});
+
+test('computeNpcFlips keeps profitable products ranked by coins per day', () => {
+  const flips = computeNpcFlips(products, npcPrices);
+  assert.deepEqual(flips.map(f => f.id), ['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND']);
+  assert.deepEqual(computeNpcFlips(products, npcPrices, { dailyLimit: 100 }).map(f => f.id), ['ENCHANTED_DIAMOND', 'ENCHANTED_CARROT']);
+  assert.deepEqual(computeNpcFlips({}, npcPrices), []);
+});
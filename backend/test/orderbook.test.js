@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { walkBook, bookDepth, simulateFlip } = require('../lib/orderbook');
+
+// buy_summary holds the sell offers (cheapest first), sell_summary the buy orders (highest first)
+const book = {
+  buy_summary: [
+    { amount: 10, pricePerUnit: 130, orders: 1 },
+    { amount: 100, pricePerUnit: 135, orders: 3 },
+    { amount: 1000, pricePerUnit: 160, orders: 9 },
+  ],
+  sell_summary: [
+    { amount: 20, pricePerUnit: 100, orders: 2 },
+    { amount: 200, pricePerUnit: 95, orders: 4 },
+    { amount: 300, pricePerUnit: 80, orders: 6 },
+  ],
+};
+
+test('walkBook fills level by level at the volume-weighted price', () => {
+  assert.deepEqual(walkBook(book.buy_summary, { quantity: 30 }), { filled: 30, cost: 10 * 130 + 20 * 135, avgPrice: 4000 / 30, complete: true });
+  assert.deepEqual(walkBook(book.buy_summary, { quantity: 5000 }).filled, 1110);
+  assert.equal(walkBook(book.buy_summary, { quantity: 5000 }).complete, false);
+  assert.deepEqual(walkBook([], { quantity: 1 }), { filled: 0, cost: 0, avgPrice: 0, complete: false });
+  assert.equal(bookDepth(book.sell_summary), 520);
+});
+
+test('walkBook stops at the budget without going over it', () => {
+  const result = walkBook(book.buy_summary, { budget: 2000 });
+  // 10 @ 130, then 5 more @ 135 fit into the remaining 700 coins
+  assert.equal(result.filled, 15);
+  assert.equal(result.cost, 1975);
+  assert.ok(result.cost <= 2000);
+});
+
+test('simulateFlip buys with a buy order and sells with a sell offer at the top of the book', () => {
+  const result = simulateFlip(book, { quantity: 10, taxRate: 0 });
+  assert.equal(result.simBuy, 100);
+  assert.equal(result.simSell, 130);
+  assert.equal(result.simMargin, 30);
+  assert.equal(result.simProfit, 300);
+  assert.equal(result.maxFillable, 520);
+
+  const taxed = simulateFlip(book, { quantity: 10, taxRate: 1.25 });
+  assert.equal(taxed.simMargin, 130 * (1 - 0.0125) - 100);
+});
+
+test('simulateFlip prices deeper items past the competing orders', () => {
+  const result = simulateFlip(book, { quantity: 50, taxRate: 0 });
+  // 30 items past the buy orders at 100 compete with the ones at 95 and pay 105,
+  // 40 items past the sell offers at 130 compete with the ones at 135 and get 125
+  assert.equal(result.simBuy, (20 * 100 + 30 * 105) / 50);
+  assert.equal(result.simSell, (10 * 130 + 40 * 125) / 50);
+  assert.equal(result.simMargin, 23);
+});
+
+test('simulateFlip margin never improves as the quantity grows', () => {
+  let previous = Infinity;
+  for (const quantity of [1, 10, 20, 50, 200, 500, 1000]) {
+    const { simMargin } = simulateFlip(book, { quantity, taxRate: 1.125 });
+    assert.ok(simMargin <= previous, `margin at ${quantity} (${simMargin}) beats ${previous}`);
+    previous = simMargin;
+  }
+  assert.ok(previous < 0);
+});
+
+test('simulateFlip never prices an order past the top of the other side', () => {
+  const result = simulateFlip(book, { quantity: 1000, taxRate: 0 });
+  // The buy orders at 80 would put the price at 120, under the 130 of an instabuy;
+  // the sell offers at 160 would put it at 100, which is what an instasell gets
+  assert.equal(result.simQuantity, 520);
+  assert.equal(result.simBuy, (20 * 100 + 200 * 105 + 300 * 120) / 520);
+  assert.equal(result.simSell, (10 * 130 + 100 * 125 + 410 * 100) / 520);
+
+  // A crossed book is flipped instantly
+  const crossed = {
+    buy_summary: [{ amount: 10, pricePerUnit: 100, orders: 1 }],
+    sell_summary: [{ amount: 10, pricePerUnit: 120, orders: 1 }],
+  };
+  assert.equal(simulateFlip(crossed, { quantity: 5, taxRate: 0 }).simMargin, 20);
+});
+
+test('simulateFlip caps the quantity at what the exit side can absorb', () => {
+  const result = simulateFlip({ ...book, buy_summary: book.buy_summary.slice(0, 1) }, { quantity: 50, taxRate: 0 });
+  assert.equal(result.simQuantity, 10);
+  // The entry is re-walked for the 10 items that can actually be sold
+  assert.equal(result.simBuy, 100);
+  assert.equal(result.simSell, 130);
+});
+
+test('simulateFlip respects the budget and needs both sides of the book', () => {
+  assert.equal(simulateFlip(book, { budget: 2000, taxRate: 0 }).simQuantity, 20);
+  assert.equal(simulateFlip({ buy_summary: book.buy_summary, sell_summary: [] }, { quantity: 10, taxRate: 0 }), null);
+  assert.equal(simulateFlip({ buy_summary: [], sell_summary: book.sell_summary }, { quantity: 10, taxRate: 0 }), null);
+});
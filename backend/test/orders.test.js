@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateOrder, orderStatus, checkOrders } = require('../lib/orders');
+const { products } = require('./fixtures/bazaar.json');
+
+function order(side, price, extra = {}) {
+  return validateOrder({ productId: 'ENCHANTED_DIAMOND', side, price, quantity: 64, ...extra });
+}
+
+test('validateOrder normalizes the product and rejects malformed orders', () => {
+  const o = order('buy', '900', { productId: ' enchanted_diamond ' });
+  assert.equal(o.productId, 'ENCHANTED_DIAMOND');
+  assert.equal(o.price, 900);
+  assert.equal(o.undercutAt, null);
+  assert.ok(o.id);
+
+  assert.throws(() => order('bid', 900), /side/);
+  assert.throws(() => order('buy', 0), /price/);
+  assert.throws(() => order('buy', 900, { quantity: 1.5 }), /quantity/);
+  assert.throws(() => order('buy', 900, { productId: '' }), /productId/);
+  assert.throws(() => order('buy', 900, { webhookUrl: 'ftp://x' }), /webhookUrl/);
+  assert.throws(() => order('buy', 900, { webhookUrl: 'https://127.0.0.1/hook' }), /internal address/);
+});
+
+test('validateOrder clears the undercut flag when the order is re-listed at a new price', () => {
+  const existing = { ...order('buy', 900), undercutAt: 1 };
+  assert.equal(validateOrder({ quantity: 32 }, existing).undercutAt, 1);
+  assert.equal(validateOrder({ price: 910 }, existing).undercutAt, null);
+});
+
+test('a buy order is compared with the highest buy order', () => {
+  // The top buy order of ENCHANTED_DIAMOND is 1 order at 900
+  assert.deepEqual(orderStatus(order('buy', 900), products.ENCHANTED_DIAMOND), {
+    status: 'top',
+    topPrice: 900,
+    behind: 0,
+    suggestedPrice: 900,
+  });
+  assert.deepEqual(orderStatus(order('buy', 880), products.ENCHANTED_DIAMOND), {
+    status: 'undercut',
+    topPrice: 900,
+    behind: 20,
+    suggestedPrice: 900.1,
+  });
+});
+
+test('a sell offer is compared with the lowest sell offer', () => {
+  // The top sell offer level of ENCHANTED_DIAMOND holds 2 orders at 1000
+  assert.equal(orderStatus(order('sell', 1000), products.ENCHANTED_DIAMOND).status, 'tied');
+  assert.equal(orderStatus(order('sell', 1000), products.ENCHANTED_DIAMOND).suggestedPrice, 999.9);
+  assert.deepEqual(orderStatus(order('sell', 1050), products.ENCHANTED_DIAMOND), {
+    status: 'undercut',
+    topPrice: 1000,
+    behind: 50,
+    suggestedPrice: 999.9,
+  });
+  assert.equal(orderStatus(order('sell', 990), products.ENCHANTED_DIAMOND).status, 'top');
+});
+
+test('orders of unknown products or empty sides have an unknown status', () => {
+  assert.equal(orderStatus(order('buy', 900), undefined).status, 'unknown');
+  assert.equal(orderStatus(order('buy', 900), products.NO_BUY_ORDERS).status, 'unknown');
+});
+
+test('checkOrders alerts once per undercut until the order is back on top', () => {
+  const o = order('buy', 890);
+  const first = checkOrders([o], products, 1000);
+  assert.equal(first.alerts.length, 1);
+  assert.equal(first.alerts[0].orderId, o.id);
+  assert.equal(first.alerts[0].values.behind, 10);
+  assert.match(first.alerts[0].message, /re-list at 900.1/);
+  assert.equal(o.undercutAt, 1000);
+
+  assert.equal(checkOrders([o], products, 2000).alerts.length, 0);
+  assert.equal(o.undercutAt, 1000);
+
+  // Re-listed above the top, then outbid again
+  o.price = 905;
+  assert.equal(checkOrders([o], products, 3000).results[0].status, 'top');
+  assert.equal(o.undercutAt, null);
+  o.price = 800;
+  assert.equal(checkOrders([o], products, 4000).alerts.length, 1);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isAllowedOrigin } = require('../lib/origins');
+
+test('only localhost is allowed by default', () => {
+  assert.equal(isAllowedOrigin('http://localhost:5173', {}), true);
+  assert.equal(isAllowedOrigin('http://127.0.0.1:4173', {}), true);
+  assert.equal(isAllowedOrigin('https://evil.example', {}), false);
+  assert.equal(isAllowedOrigin('http://localhost.evil.example', {}), false);
+  assert.equal(isAllowedOrigin(undefined, {}), true);
+});
+
+test('the codespace frontend is allowed inside a codespace', () => {
+  const env = { CODESPACE_NAME: 'fuzzy-robot', GITHUB_CODESPACES_PORT_FORWARDING_DOMAIN: 'app.github.dev' };
+  assert.equal(isAllowedOrigin('https://fuzzy-robot-5173.app.github.dev', env), true);
+  assert.equal(isAllowedOrigin('https://someone-else-5173.app.github.dev', env), false);
+});
+
+test('CORS_ORIGINS replaces the defaults', () => {
+  const env = { CORS_ORIGINS: 'https://flips.example.com/, https://team.example.com' };
+  assert.equal(isAllowedOrigin('https://flips.example.com', env), true);
+  assert.equal(isAllowedOrigin('https://team.example.com', env), true);
+  assert.equal(isAllowedOrigin('http://localhost:5173', env), false);
+  assert.equal(isAllowedOrigin('https://anything.example', { CORS_ORIGINS: '*' }), true);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_ORDER_AMOUNT, validatePlanInput, planPortfolio } = require('../lib/planner');
+
+// Flip card bought at `buy` with `margin` per item, traded `hourly` times per hour both ways
+function card(id, { buy, margin, hourly }) {
+  return { id, title: id, img: null, buy, sell: buy + margin, margin, instabuy: hourly, instasell: hourly * 2 };
+}
+
+function plan(cards, input) {
+  return planPortfolio(cards, validatePlanInput(input));
+}
+
+test('validatePlanInput defaults fillHours and maxPerItem and rejects bad input', () => {
+  assert.deepEqual(validatePlanInput({ purse: '1000', maxOrders: '3.7' }), { purse: 1000, maxOrders: 3, maxPerItem: Infinity, fillHours: 1 });
+  assert.throws(() => validatePlanInput({ maxOrders: 1 }), /purse/);
+  assert.throws(() => validatePlanInput({ purse: 1, maxOrders: 0 }), /maxOrders/);
+  assert.throws(() => validatePlanInput({ purse: 1, maxOrders: 1, maxPerItem: -5 }), /maxPerItem/);
+  assert.throws(() => validatePlanInput({ purse: 1, maxOrders: 1, fillHours: 'soon' }), /fillHours/);
+});
+
+test('quantities are capped by the volume traded while the orders fill', () => {
+  const { allocations, totals } = plan([card('A', { buy: 10, margin: 2, hourly: 50 })], { purse: 1e6, maxOrders: 5, fillHours: 2 });
+  assert.equal(allocations.length, 1);
+  assert.equal(allocations[0].quantity, 100);
+  assert.equal(allocations[0].limitedBy, 'volume');
+  assert.equal(allocations[0].cost, 1000);
+  assert.equal(allocations[0].expectedProfit, 200);
+  assert.equal(allocations[0].estFillHours, 2);
+  assert.deepEqual(totals, { orders: 1, cost: 1000, unusedPurse: 1e6 - 1000, expectedProfit: 200, coinsPerHour: 100 });
+});
+
+test('quantities are capped by the spend per item and the bazaar order size', () => {
+  const [capped] = plan([card('A', { buy: 10, margin: 2, hourly: 1000 })], { purse: 1e6, maxOrders: 5, maxPerItem: 255 }).allocations;
+  assert.equal(capped.quantity, 25);
+  assert.equal(capped.limitedBy, 'maxPerItem');
+
+  const [huge] = plan([card('A', { buy: 1, margin: 1, hourly: 1e6 })], { purse: 1e9, maxOrders: 5 }).allocations;
+  assert.equal(huge.quantity, MAX_ORDER_AMOUNT);
+  assert.equal(huge.limitedBy, 'orderSize');
+});
+
+test('the purse is shared and the last pick gets what is left of it', () => {
+  const cards = [card('A', { buy: 10, margin: 5, hourly: 60 }), card('B', { buy: 10, margin: 2, hourly: 60 }), card('C', { buy: 500, margin: 100, hourly: 60 })];
+  const { allocations, totals } = plan(cards, { purse: 1000, maxOrders: 5 });
+  assert.deepEqual(allocations.map(a => [a.id, a.quantity, a.limitedBy]), [
+    ['A', 60, 'volume'],
+    ['B', 40, 'purse'],
+  ]);
+  assert.equal(totals.cost, 1000);
+  assert.equal(totals.unusedPurse, 0);
+});
+
+test('the number of orders is limited to the free slots', () => {
+  const cards = ['A', 'B', 'C', 'D'].map((id, i) => card(id, { buy: 10, margin: 4 - i, hourly: 10 }));
+  const { allocations } = plan(cards, { purse: 1e6, maxOrders: 2 });
+  assert.deepEqual(allocations.map(a => a.id), ['A', 'B']);
+});
+
+test('the plan earning more of the two greedy passes wins', () => {
+  // A has the best return on capital but can only take a few coins, B fills the one slot with more profit
+  const cards = [card('A', { buy: 1, margin: 0.5, hourly: 10 }), card('B', { buy: 100, margin: 10, hourly: 10 })];
+  const { allocations, totals } = plan(cards, { purse: 1000, maxOrders: 1 });
+  assert.deepEqual(allocations.map(a => a.id), ['B']);
+  assert.equal(totals.expectedProfit, 100);
+});
+
+test('unprofitable or unpriced cards and cards the purse cannot buy once are skipped', () => {
+  const cards = [card('LOSS', { buy: 10, margin: -1, hourly: 100 }), card('FREE', { buy: 0, margin: 5, hourly: 100 }), card('PRICEY', { buy: 5000, margin: 500, hourly: 100 })];
+  assert.deepEqual(plan(cards, { purse: 1000, maxOrders: 3 }), {
+    allocations: [],
+    totals: { orders: 0, cost: 0, unusedPurse: 1000, expectedProfit: 0, coinsPerHour: 0 },
+  });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPoller } = require('../lib/poller');
+const { backoffDelay, withRetry, parseRetryAfter } = require('../lib/retry');
+const { upstreamError } = require('../lib/providers/hypixel');
+
+const noWait = async () => {};
+
+// fetchSnapshot that plays the given results (snapshots or errors) in order
+function scripted(results) {
+  let calls = 0;
+  const fn = async () => {
+    const result = results[Math.min(calls++, results.length - 1)];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+test('backoffDelay doubles up to the cap and honours a longer retryAfter', () => {
+  assert.deepEqual([0, 1, 2, 10].map(a => backoffDelay(a, { baseDelay: 100, maxDelay: 1000 })), [100, 200, 400, 1000]);
+  assert.equal(backoffDelay(0, { baseDelay: 100, retryAfter: 5000 }), 5000);
+});
+
+test('withRetry retries retryable errors only', async () => {
+  const waits = [];
+  const flaky = scripted([new Error('a'), new Error('b'), 'ok']);
+  assert.equal(await withRetry(flaky, { retries: 2, baseDelay: 10, wait: async ms => waits.push(ms) }), 'ok');
+  assert.deepEqual(waits, [10, 20]);
+
+  const fatal = scripted([Object.assign(new Error('not found'), { retryable: false }), 'ok']);
+  await assert.rejects(withRetry(fatal, { wait: noWait }), /not found/);
+  assert.equal(fatal.calls(), 1);
+
+  // Told to come back later than we are willing to wait within one call
+  const limited = scripted([Object.assign(new Error('429'), { retryAfter: 60000 }), 'ok']);
+  await assert.rejects(withRetry(limited, { maxDelay: 1000, wait: noWait }), /429/);
+});
+
+test('parseRetryAfter reads seconds and dates', () => {
+  assert.equal(parseRetryAfter({ 'retry-after': '3' }), 3000);
+  assert.equal(parseRetryAfter({ 'ratelimit-reset': '10' }), 10000);
+  assert.equal(parseRetryAfter({ 'retry-after': new Date(65000).toUTCString() }, 5000), 60000);
+  assert.equal(parseRetryAfter({}), null);
+});
+
+test('upstreamError marks what is worth retrying', () => {
+  const timeout = upstreamError(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+  assert.equal(timeout.message, 'Hypixel API unreachable: timed out');
+  assert.equal(timeout.retryable, true);
+
+  const limited = upstreamError({ response: { status: 429, headers: { 'retry-after': '20' } } });
+  assert.equal(limited.retryable, true);
+  assert.equal(limited.retryAfter, 20000);
+
+  assert.equal(upstreamError({ response: { status: 403, headers: {} } }).retryable, false);
+});
+
+test('the last good snapshot is served stale while the upstream fails', async () => {
+  let clock = 1_000_000;
+  const fetch = scripted([{ products: { A: {} }, lastUpdated: clock }, new Error('timed out')]);
+  const poller = createPoller(fetch, 10000, { retries: 1, wait: noWait, now: () => clock });
+  const statuses = [];
+  poller.on('status', s => statuses.push(s.upstream));
+
+  await poller.poll();
+  assert.deepEqual(poller.freshness(), { stale: false, age: 0, lastUpdated: 1_000_000 });
+
+  clock += 15000;
+  await assert.rejects(poller.poll(), /timed out/);
+  assert.equal(fetch.calls(), 3);
+  assert.deepEqual(await poller.get(), { products: { A: {} }, lastUpdated: 1_000_000 });
+  assert.deepEqual(poller.freshness(), { stale: true, age: 15000, lastUpdated: 1_000_000 });
+
+  const status = poller.status();
+  assert.equal(status.upstream, 'degraded');
+  assert.equal(status.consecutiveFailures, 1);
+  assert.equal(status.lastError, 'timed out');
+  assert.equal(status.retryAt, clock + 10000);
+  assert.deepEqual(statuses, ['ok', 'degraded']);
+});
+
+test('old upstream data is stale even when the API answers', async () => {
+  let clock = 0;
+  const poller = createPoller(scripted([{ products: {}, lastUpdated: 0 }]), 10000, { staleAfter: 60000, now: () => clock });
+  await poller.poll();
+  clock = 61000;
+  await poller.poll();
+  assert.equal(poller.status().upstream, 'ok');
+  assert.equal(poller.freshness().stale, true);
+});
+
+test('without any snapshot get() fails fast while backing off', async () => {
+  let clock = 0;
+  const fetch = scripted([Object.assign(new Error('Hypixel API responded 429'), { retryAfter: 30000 })]);
+  const poller = createPoller(fetch, 10000, { wait: noWait, now: () => clock });
+
+  await assert.rejects(poller.get(), /429/);
+  assert.equal(poller.status().upstream, 'down');
+  assert.equal(poller.status().retryAt, 30000);
+
+  await assert.rejects(poller.get(), /retrying in 30s/);
+  assert.equal(fetch.calls(), 1);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createReplayProvider, withRecorder } = require('../lib/providers');
+const { writeRecording, listRecordings, readRecording } = require('../lib/providers/recordings');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+}
+
+function payload(lastUpdated, price) {
+  return { success: true, lastUpdated, products: { WHEAT: { product_id: 'WHEAT', quick_status: { buyPrice: price } } } };
+}
+
+test('recordings are listed in time order, named or not', async () => {
+  const dir = tempDir();
+  try {
+    await writeRecording(dir, payload(2000, 2));
+    await writeRecording(dir, payload(1000, 1));
+    fs.writeFileSync(path.join(dir, 'manual.json'), JSON.stringify(payload(1500, 1.5)));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const recordings = await listRecordings(dir);
+    assert.deepEqual(recordings.map(r => r.t), [1000, 1500, 2000]);
+    assert.deepEqual(await readRecording(recordings[0].file), payload(1000, 1));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the replay provider plays recordings back on a shifted, sped-up timeline', async () => {
+  const dir = tempDir();
+  let t = 50000;
+  try {
+    await writeRecording(dir, payload(1000, 1));
+    await writeRecording(dir, payload(61000, 2));
+    await writeRecording(dir, payload(121000, 3));
+    const provider = createReplayProvider({ dir, speed: 2, now: () => t });
+
+    let data = await provider.fetch();
+    assert.equal(data.products.WHEAT.quick_status.buyPrice, 1);
+    assert.equal(data.recordedAt, 1000);
+    assert.equal(data.lastUpdated, 50000);
+
+    // 30s at double speed is the minute between the first two recordings
+    t += 30000;
+    data = await provider.fetch();
+    assert.equal(data.products.WHEAT.quick_status.buyPrice, 2);
+    assert.equal(data.lastUpdated, 80000);
+
+    // Past the end it starts over, later on the timeline
+    t += 40000;
+    data = await provider.fetch();
+    assert.equal(data.products.WHEAT.quick_status.buyPrice, 1);
+    assert.equal(data.lastUpdated, 110000);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an empty recordings folder keeps failing until recordings show up', async () => {
+  const dir = tempDir();
+  try {
+    const provider = createReplayProvider({ dir, now: () => 0 });
+    await assert.rejects(provider.fetch(), /No recordings found/);
+    await assert.rejects(provider.fetch(), /No recordings found/);
+
+    await writeRecording(dir, payload(1000, 1));
+    assert.equal((await provider.fetch()).products.WHEAT.quick_status.buyPrice, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the recorder saves responses at most once per interval', async () => {
+  const dir = tempDir();
+  let lastUpdated = 0;
+  const source = { name: 'fake', fetch: async () => payload((lastUpdated += 20000), 1) };
+  try {
+    const provider = withRecorder(source, { dir, minInterval: 60000 });
+    assert.equal(provider.name, 'fake+recorder');
+    for (let i = 0; i < 6; i++) await provider.fetch();
+    // Writes aren't awaited by fetch
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual((await listRecordings(dir)).map(r => r.t), [60000, 120000]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
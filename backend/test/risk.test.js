@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { observe, assessRisk } = require('../lib/risk');
+
+const MINUTE = 60 * 1000;
+
+// Top buy order `order` and sell offer `offer`, each with a second level at `nextOrder` / `nextOffer`
+function product(id, { order = 100, offer = 110, nextOrder = order, nextOffer = offer, buyOrders = 20, sellOffers = 20, weekly = 10000 } = {}) {
+  return {
+    product_id: id,
+    sell_summary: [
+      { amount: 100, pricePerUnit: order, orders: 1 },
+      { amount: 100, pricePerUnit: nextOrder, orders: 1 },
+    ],
+    buy_summary: [
+      { amount: 100, pricePerUnit: offer, orders: 1 },
+      { amount: 100, pricePerUnit: nextOffer, orders: 1 },
+    ],
+    quick_status: { productId: id, sellOrders: buyOrders, buyOrders: sellOffers, buyMovingWeek: weekly, sellMovingWeek: weekly },
+  };
+}
+
+function assess(p) {
+  return assessRisk(p, { id: p.product_id, buy: p.sell_summary[0].pricePerUnit, sell: p.buy_summary[0].pricePerUnit });
+}
+
+// Feed `count` snapshots a minute apart with the product's usual spread and volume
+function seed(id, count, { buy = 100, sell = 110, weekly = 10000 } = {}) {
+  for (let i = 0; i < count; i++) {
+    observe({ [id]: { buy, sell, buyMovingWeek: weekly, sellMovingWeek: weekly } }, i * MINUTE);
+  }
+}
+
+test('a deep, busy book without history has no risk', () => {
+  assert.deepEqual(assess(product('CALM')), { riskScore: 0, riskReasons: [] });
+});
+
+test('gaps behind the top of either side of the book are flagged', () => {
+  const { riskScore, riskReasons } = assess(product('GAPPY', { offer: 100, nextOffer: 120, order: 90, nextOrder: 60 }));
+  // 20% and 50% gaps, the second one capped at 30 points
+  assert.equal(riskScore, 50);
+  assert.deepEqual(riskReasons, ['Next sell offer is 20% above the top one', 'Top buy order is 50% above the next one']);
+});
+
+test('thin order counts are flagged', () => {
+  assert.deepEqual(assess(product('FEW', { buyOrders: 4, sellOffers: 30 })), { riskScore: 10, riskReasons: ['Only 4 buy orders / 30 sell offers'] });
+  assert.equal(assess(product('FEWER', { buyOrders: 30, sellOffers: 1 })).riskScore, 20);
+});
+
+test('spread and volume are only compared with a baseline of enough snapshots', () => {
+  seed('YOUNG', 5);
+  assert.equal(assess(product('YOUNG', { offer: 200, weekly: 50000 })).riskScore, 0);
+
+  seed('SEASONED', 12);
+  const { riskScore, riskReasons } = assess(product('SEASONED', { offer: 200, weekly: 15000 }));
+  // Spread 100% against a usual 10%, volume up 50%
+  assert.deepEqual(riskReasons, ['Spread is 10.0x its usual level', 'Weekly volume is up 50% on its baseline']);
+  assert.equal(riskScore, 30 + 20);
+});
+
+test('the score never goes past 100', () => {
+  seed('EVERYTHING', 12);
+  const { riskScore, riskReasons } = assess(
+    product('EVERYTHING', { order: 100, nextOrder: 10, offer: 1000, nextOffer: 5000, buyOrders: 1, sellOffers: 1, weekly: 100000 }),
+  );
+  assert.equal(riskReasons.length, 5);
+  assert.equal(riskScore, 100);
+});
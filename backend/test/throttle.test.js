@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLoginThrottle } = require('../lib/throttle');
+
+function setup() {
+  const clock = { t: 0 };
+  const throttle = createLoginThrottle({ freeAttempts: 3, baseDelay: 1000, maxDelay: 8000, forgetAfter: 60000, now: () => clock.t });
+  return { clock, throttle };
+}
+
+test('failures past the free attempts lock the key for twice as long each time', () => {
+  const { clock, throttle } = setup();
+  const keys = ['ip:1.2.3.4', 'user:someone'];
+  for (let i = 0; i < 3; i++) throttle.fail(keys);
+  assert.equal(throttle.retryIn(keys), 0);
+
+  const waits = [];
+  for (let i = 0; i < 5; i++) {
+    throttle.fail(keys);
+    waits.push(throttle.retryIn(keys));
+    clock.t += throttle.retryIn(keys);
+  }
+  assert.deepEqual(waits, [1000, 2000, 4000, 8000, 8000]);
+  assert.equal(throttle.retryIn(keys), 0);
+});
+
+test('the address and the username are limited separately', () => {
+  const { throttle } = setup();
+  // One address trying many accounts
+  for (const name of ['a', 'b', 'c', 'd']) throttle.fail(['ip:1.2.3.4', `user:${name}`]);
+  assert.equal(throttle.retryIn(['ip:1.2.3.4', 'user:e']), 1000);
+  assert.equal(throttle.retryIn(['ip:5.6.7.8', 'user:e']), 0);
+
+  // Many addresses trying one account
+  for (const ip of ['1', '2', '3', '4']) throttle.fail([`ip:${ip}`, 'user:victim']);
+  assert.equal(throttle.retryIn(['ip:9', 'user:victim']), 1000);
+});
+
+test('a success clears the username and old failures are forgotten', () => {
+  const { clock, throttle } = setup();
+  for (let i = 0; i < 4; i++) throttle.fail(['ip:1', 'user:someone']);
+  throttle.succeed(['user:someone']);
+  assert.equal(throttle.retryIn(['ip:2', 'user:someone']), 0);
+  assert.equal(throttle.retryIn(['ip:1', 'user:other']), 1000);
+
+  clock.t += 60000;
+  assert.equal(throttle.retryIn(['ip:1', 'user:other']), 0);
+  throttle.fail(['ip:1']);
+  assert.equal(throttle.retryIn(['ip:1']), 0);
+});
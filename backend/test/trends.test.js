@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MIN_HISTORY, observe, estimateTrend } = require('../lib/trends');
+
+const MINUTE = 60 * 1000;
+
+// `count` snapshots of one product a minute apart, prices from price(i)
+function feed(id, count, price, start = 0) {
+  for (let i = 0; i < count; i++) {
+    const { buy, sell } = price(i);
+    observe({ [id]: { buy, sell } }, start + i * MINUTE);
+  }
+}
+
+function card(id, buy, sell, { tax = 0, volume = 100 } = {}) {
+  return { id, buy, sell, sellTax: tax, margin: sell * (1 - tax / 100) - buy, instabuy: volume, instasell: volume };
+}
+
+test('no trend until enough history was recorded', () => {
+  assert.equal(estimateTrend(card('TREND_UNKNOWN', 100, 110)).trend, null);
+
+  feed('TREND_SHORT', MIN_HISTORY / MINUTE, () => ({ buy: 100, sell: 110 }));
+  const result = estimateTrend(card('TREND_SHORT', 100, 110));
+  assert.equal(result.trend, null);
+  assert.equal(result.riskAdjustedCoinsPerHour, null);
+});
+
+test('flat prices forecast themselves with no risk penalty', () => {
+  feed('TREND_FLAT', 60, () => ({ buy: 100, sell: 110 }));
+  const result = estimateTrend(card('TREND_FLAT', 100, 110), { fillHours: 2 });
+  assert.equal(result.trend, 'flat');
+  assert.equal(result.momentum, 0);
+  assert.equal(result.volatility, 0);
+  assert.equal(result.forecastHours, 2);
+  assert.equal(result.forecastSell, 110);
+  assert.equal(result.expectedMargin, 10);
+  assert.equal(result.riskAdjustedCoinsPerHour, 1000);
+  assert.equal(result.sellAverage, 110);
+});
+
+test('rising prices trend up and forecast a higher sell price', () => {
+  feed('TREND_UP', 60, i => ({ buy: 100 * 1.002 ** i, sell: 110 * 1.002 ** i }));
+  const now = { buy: 100 * 1.002 ** 59, sell: 110 * 1.002 ** 59 };
+  const result = estimateTrend(card('TREND_UP', now.buy, now.sell), { fillHours: 1 });
+  assert.equal(result.trend, 'up');
+  assert.ok(result.momentum > 0);
+  assert.ok(result.sellAverage < now.sell);
+  // 0.2% a minute is about 12.7% an hour
+  assert.ok(Math.abs(result.forecastSell / now.sell - 1.002 ** 60) < 1e-6);
+  assert.ok(result.expectedMargin > now.sell - now.buy);
+});
+
+test('falling and volatile prices are penalized in the risk-adjusted ranking', () => {
+  feed('TREND_DOWN', 60, i => ({ buy: 100 * 0.998 ** i, sell: 110 * 0.998 ** i }));
+  const down = { buy: 100 * 0.998 ** 59, sell: 110 * 0.998 ** 59 };
+  const falling = estimateTrend(card('TREND_DOWN', down.buy, down.sell), { fillHours: 1 });
+  assert.equal(falling.trend, 'down');
+  assert.ok(falling.expectedMargin < down.sell - down.buy);
+  assert.ok(falling.riskAdjustedCoinsPerHour < (down.sell - down.buy) * 100);
+
+  feed('TREND_CHOPPY', 60, i => (i % 2 ? { buy: 95, sell: 105 } : { buy: 105, sell: 115 }));
+  const choppy = estimateTrend(card('TREND_CHOPPY', 95, 105), { fillHours: 1 });
+  assert.ok(choppy.volatility > 5);
+  assert.ok(choppy.riskAdjustedCoinsPerHour < 0);
+});
+
+test('forecasts go no further than the longest horizon', () => {
+  feed('TREND_SLOW', 60, () => ({ buy: 100, sell: 110 }));
+  assert.equal(estimateTrend(card('TREND_SLOW', 100, 110), { fillHours: 100 }).forecastHours, 6);
+  assert.equal(estimateTrend(card('TREND_SLOW', 100, 110)).forecastHours, 1);
+});
+
+test('older snapshots than the last one are ignored', () => {
+  feed('TREND_LATE', 60, () => ({ buy: 100, sell: 110 }));
+  observe({ TREND_LATE: { buy: 1, sell: 1000 } }, 30 * MINUTE);
+  assert.equal(estimateTrend(card('TREND_LATE', 100, 110)).volatility, 0);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeProductId, pointValues, pointDeltas, buildWatchlist } = require('../lib/watchlist');
+
+function point(t, buy, sell, buyMovingWeek = 168 * 50, sellMovingWeek = 168 * 40) {
+  return { t, buy, sell, buyMovingWeek, sellMovingWeek, buyOrders: 0, sellOrders: 0 };
+}
+
+test('normalizeProductId uppercases ids and rejects anything else', () => {
+  assert.equal(normalizeProductId(' enchanted_carrot '), 'ENCHANTED_CARROT');
+  assert.equal(normalizeProductId('INK_SACK:3'), 'INK_SACK:3');
+  assert.throws(() => normalizeProductId(''), /Invalid product id/);
+  assert.throws(() => normalizeProductId('../alerts'), /Invalid product id/);
+});
+
+test('pointValues matches the flip card fields', () => {
+  assert.deepEqual(pointValues(point(0, 900, 1000), 0), { buy: 900, sell: 1000, margin: 100, instabuy: 50, instasell: 40 });
+  assert.equal(pointValues(point(0, 0, 1000)).margin, null);
+});
+
+test('pointDeltas compares the current point with a past one', () => {
+  const deltas = pointDeltas(point(2000, 950, 1100, 168 * 60), point(1000, 900, 1000), 0);
+  assert.deepEqual(deltas, { t: 1000, buy: 50, sell: 100, margin: 50, instabuy: 10, instasell: 0 });
+  assert.equal(pointDeltas(point(2000, 950, 1100), undefined), null);
+  assert.equal(pointDeltas(undefined, point(1000, 900, 1000)), null);
+});
+
+test('buildWatchlist returns every watched id, flip or not, in watchlist order', () => {
+  const list = buildWatchlist(['WHEAT', 'ENCHANTED_DIAMOND', 'GONE'], {
+    cards: { ENCHANTED_DIAMOND: { id: 'ENCHANTED_DIAMOND', margin: 88.75 }, WHEAT: { id: 'WHEAT', margin: -1 } },
+    ranks: { ENCHANTED_DIAMOND: 2 },
+    current: { WHEAT: point(2000, 5, 6), ENCHANTED_DIAMOND: point(2000, 900, 1000) },
+    previous: { ENCHANTED_DIAMOND: point(1000, 880, 1000) },
+    reference: { WHEAT: point(500, 4, 6) },
+    taxRate: 0,
+  });
+
+  assert.deepEqual(list.map(e => e.id), ['WHEAT', 'ENCHANTED_DIAMOND', 'GONE']);
+
+  const [wheat, diamond, gone] = list;
+  assert.equal(wheat.rank, null);
+  assert.equal(wheat.card.margin, -1);
+  assert.equal(wheat.sinceRefresh, null);
+  assert.equal(wheat.sinceReference.buy, 1);
+
+  assert.equal(diamond.rank, 2);
+  assert.equal(diamond.title, 'ENCHANTED DIAMOND');
+  assert.equal(diamond.sinceRefresh.buy, 20);
+  assert.equal(diamond.sinceRefresh.margin, -20);
+
+  assert.equal(gone.known, false);
+  assert.equal(gone.card, null);
+});
+
+test('buildWatchlist leaves exempt products untaxed', () => {
+  const current = { WHEAT: point(2000, 900, 1000), ENCHANTED_DIAMOND: point(2000, 900, 1000) };
+  const previous = { WHEAT: point(1000, 900, 900), ENCHANTED_DIAMOND: point(1000, 900, 900) };
+  const [wheat, diamond] = buildWatchlist(['WHEAT', 'ENCHANTED_DIAMOND'], { current, previous, taxRate: 1.25, exempt: ['WHEAT'] });
+  assert.equal(wheat.sinceRefresh.margin, 100);
+  assert.equal(diamond.sinceRefresh.margin, 100 * (1 - 0.0125));
+});
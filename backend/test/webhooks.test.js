@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isPrivateAddress, validateWebhookUrl, publicLookup } = require('../lib/webhooks');
+
+test('only https URLs on Discord are allowed by default', () => {
+  const url = 'https://discord.com/api/webhooks/1/abc';
+  assert.equal(validateWebhookUrl(url, {}), url);
+  assert.ok(validateWebhookUrl('https://canary.discord.com/api/webhooks/1/abc', {}));
+  assert.throws(() => validateWebhookUrl('http://discord.com/api/webhooks/1/abc', {}), /https/);
+  assert.throws(() => validateWebhookUrl('not a url', {}), /https/);
+  assert.throws(() => validateWebhookUrl('https://discord.com.evil.example/x', {}), /WEBHOOK_HOSTS/);
+  assert.throws(() => validateWebhookUrl('https://localhost:3001/api/orders', {}), /WEBHOOK_HOSTS/);
+});
+
+test('WEBHOOK_HOSTS replaces the defaults but never allows internal addresses', () => {
+  const env = { WEBHOOK_HOSTS: 'hooks.example.com, *' };
+  assert.ok(validateWebhookUrl('https://anything.example/hook', env));
+  assert.ok(validateWebhookUrl('https://hooks.example.com/x', { WEBHOOK_HOSTS: 'example.com' }));
+  assert.throws(() => validateWebhookUrl('https://discord.com/x', { WEBHOOK_HOSTS: 'example.com' }), /example\.com/);
+  assert.throws(() => validateWebhookUrl('https://169.254.169.254/latest/meta-data', env), /internal/);
+  assert.throws(() => validateWebhookUrl('https://[::1]/x', env), /internal/);
+  assert.throws(() => validateWebhookUrl('https://10.0.0.5/x', env), /internal/);
+});
+
+test('isPrivateAddress covers loopback, private, link-local and mapped addresses', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['162.159.128.233', '172.32.0.1', '8.8.8.8', '2606:4700::6810:1', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('publicLookup refuses names that resolve to internal addresses', async () => {
+  const fake = answers => (hostname, options, callback) => callback(null, answers[hostname], 4);
+  const lookup = publicLookup(fake({ 'discord.com': '162.159.128.233', 'rebind.example': '127.0.0.1' }));
+  const resolve = hostname => new Promise((resolve, reject) => {
+    lookup(hostname, {}, (err, address) => (err ? reject(err) : resolve(address)));
+  });
+
+  assert.equal(await resolve('discord.com'), '162.159.128.233');
+  await assert.rejects(resolve('rebind.example'), /internal address 127\.0\.0\.1/);
+
+  const all = publicLookup((hostname, options, callback) => callback(null, [{ address: '8.8.8.8', family: 4 }, { address: '10.0.0.1', family: 4 }]));
+  await assert.rejects(new Promise((resolve, reject) => all('mixed.example', { all: true }, err => (err ? reject(err) : resolve()))), /10\.0\.0\.1/);
+});
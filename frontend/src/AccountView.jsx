@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+
+const SYNC_STATUS = {
+  syncing: 'Syncing…',
+  synced: 'Settings synced',
+  error: 'Sync failed, retrying on the next change',
+}
+
+export default function AccountView({ session, syncStatus, onLogin, onLogout }) {
+  const [credentials, setCredentials] = useState({ username: '', password: '' })
+  const [tokens, setTokens] = useState([])
+  const [tokenName, setTokenName] = useState('')
+  // Plain text of a just created API token, only available once
+  const [newToken, setNewToken] = useState(null)
+  const [error, setError] = useState(null)
+
+  async function request(url, options, fallbackError) {
+    setError(null)
+    try {
+      const res = await authFetch(url, options)
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || fallbackError)
+      return j
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  async function loadTokens() {
+    const j = await request(`${API_ROOT}/auth/tokens`, {}, 'Failed to load tokens')
+    if (j) setTokens(j.data)
+  }
+
+  useEffect(() => {
+    setNewToken(null)
+    if (session) loadTokens()
+  }, [session])
+
+  async function authenticate(action) {
+    const j = await request(
+      `${API_ROOT}/auth/${action}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+      },
+      action === 'register' ? 'Failed to create the account' : 'Failed to log in',
+    )
+    if (!j) return
+    setCredentials({ username: '', password: '' })
+    onLogin({ username: j.data.user.username, token: j.data.token })
+  }
+
+  async function createToken(e) {
+    e.preventDefault()
+    const j = await request(
+      `${API_ROOT}/auth/tokens`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: tokenName }),
+      },
+      'Failed to create the token',
+    )
+    if (!j) return
+    setTokenName('')
+    setNewToken(j.data)
+    loadTokens()
+  }
+
+  async function revokeToken(id) {
+    if (await request(`${API_ROOT}/auth/tokens/${id}`, { method: 'DELETE' }, 'Failed to revoke the token')) loadTokens()
+  }
+
+  if (!session) {
+    return (
+      <section className="frosted-panel rounded-2xl p-6 space-y-4 max-w-xl">
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Account</h2>
+          <p className="text-sm text-slate-400">
+            Log in to keep your filters, tax or fee profile, presets and watchlist on this server and have them follow you to every device.
+          </p>
+        </div>
+        <form
+          className="space-y-3"
+          onSubmit={(e) => {
+            e.preventDefault()
+            authenticate('login')
+          }}
+        >
+          <input
+            className="input w-full"
+            placeholder="Username"
+            autoComplete="username"
+            value={credentials.username}
+            onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+          />
+          <input
+            className="input w-full"
+            type="password"
+            placeholder="Password"
+            autoComplete="current-password"
+            value={credentials.password}
+            onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+          />
+          <div className="flex items-center gap-3">
+            <button className="btn-primary" type="submit">
+              Log in
+            </button>
+            <button className="btn-ghost" type="button" onClick={() => authenticate('register')}>
+              Create account
+            </button>
+            {error && <span className="text-sm text-rose-400">{error}</span>}
+          </div>
+        </form>
+      </section>
+    )
+  }
+
+  return (
+    <section className="space-y-6">
+      <div className="frosted-panel rounded-2xl p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Signed in as {session.username}</h2>
+          <p className="text-sm text-slate-400">{SYNC_STATUS[syncStatus] || 'Settings are synced to this account'}</p>
+        </div>
+        <button className="btn-ghost" onClick={onLogout}>
+          Log out
+        </button>
+      </div>
+
+      <div className="frosted-panel rounded-2xl p-6 space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold">Tokens</h3>
+          <p className="text-sm text-slate-400">
+            API tokens let scripts use your account: send <code>Authorization: Bearer &lt;token&gt;</code>. Every login also gets a token, revoke one to sign
+            that device out.
+          </p>
+        </div>
+        <form className="flex gap-3" onSubmit={createToken}>
+          <input className="input" placeholder="Token name" value={tokenName} onChange={(e) => setTokenName(e.target.value)} />
+          <button className="btn-primary" type="submit">
+            Create API token
+          </button>
+        </form>
+        {newToken && (
+          <p className="text-sm text-lime-300 break-all">
+            {newToken.name}: <code>{newToken.token}</code> — copy it now, it won't be shown again.
+          </p>
+        )}
+        {error && <p className="text-sm text-rose-400">{error}</p>}
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs uppercase text-left">
+              <th className="font-normal pb-2">Name</th>
+              <th className="font-normal pb-2">Kind</th>
+              <th className="font-normal pb-2">Created</th>
+              <th className="pb-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map((t) => (
+              <tr key={t.id} className="border-t border-white/5">
+                <td className="py-2">
+                  {t.name}
+                  {t.current && <span className="badge text-xs ml-2">this device</span>}
+                </td>
+                <td>{t.kind === 'api' ? 'API' : 'Login'}</td>
+                <td>{new Date(t.createdAt).toLocaleString()}</td>
+                <td className="text-right">
+                  {!t.current && (
+                    <button className="text-slate-400 hover:text-rose-300" onClick={() => revokeToken(t.id)}>
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { parseShorthandNumber } from './format'
+
+const FIELDS = ['margin', 'coinsPerHour', 'buy', 'sell', 'instabuy', 'instasell', 'riskScore']
+const OPS = ['>', '>=', '<', '<=', '==', '!=']
+
+const emptyRule = {
+  name: '',
+  pattern: '',
+  conditions: [{ field: 'margin', op: '>', value: '' }],
+  cooldownMinutes: '15',
+  webhookUrl: '',
+}
+
+async function request(path, options) {
+  const res = await authFetch(`${API_ROOT}${path}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options,
+  })
+  const j = await res.json()
+  if (!j.success) throw new Error(j.error || 'Request failed')
+  return j.data
+}
+
+export default function AlertsView({ tax, events }) {
+  const [rules, setRules] = useState([])
+  const [draft, setDraft] = useState(emptyRule)
+  const [error, setError] = useState(null)
+  const [permission, setPermission] = useState(() => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission))
+
+  async function loadRules() {
+    try {
+      setRules(await request('/alerts'))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  async function enableNotifications() {
+    setPermission(await Notification.requestPermission())
+  }
+
+  function setCondition(index, key, value) {
+    setDraft((prev) => ({
+      ...prev,
+      conditions: prev.conditions.map((c, i) => (i === index ? { ...c, [key]: value } : c)),
+    }))
+  }
+
+  async function createRule(e) {
+    e.preventDefault()
+    setError(null)
+    try {
+      await request('/alerts', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...draft,
+          tax,
+          conditions: draft.conditions.map((c) => ({ ...c, value: parseShorthandNumber(c.value) })),
+        }),
+      })
+      setDraft(emptyRule)
+      loadRules()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function toggleRule(rule) {
+    try {
+      await request(`/alerts/${rule.id}`, { method: 'PUT', body: JSON.stringify({ enabled: !rule.enabled }) })
+      loadRules()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function deleteRule(rule) {
+    try {
+      await request(`/alerts/${rule.id}`, { method: 'DELETE' })
+      loadRules()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <section className="space-y-6">
+      <div className="frosted-panel rounded-2xl p-6 space-y-4">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div>
+            <h2 className="text-xl font-semibold tracking-tight">Alert rules</h2>
+            <p className="text-sm text-slate-400">Checked on every bazaar update. A rule fires once when a product starts matching, then waits for its cooldown.</p>
+          </div>
+          {permission === 'granted' ? (
+            <span className="badge text-xs text-lime-300">Browser notifications on</span>
+          ) : permission === 'unsupported' ? (
+            <span className="badge text-xs text-slate-400">Notifications not supported</span>
+          ) : (
+            <button className="btn-primary" onClick={enableNotifications}>
+              Enable notifications
+            </button>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-rose-400">{error}</p>}
+
+        {!rules.length ? (
+          <p className="text-sm text-slate-500">No rules yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map((rule) => (
+              <div key={rule.id} className="filter-card flex flex-col md:flex-row md:items-center gap-3 justify-between">
+                <div className="min-w-0">
+                  <p className={`font-medium ${rule.enabled ? '' : 'text-slate-500 line-through'}`}>{rule.name}</p>
+                  <p className="text-xs text-slate-400 font-mono truncate">
+                    {rule.pattern} · {rule.conditions.map((c) => `${c.field} ${c.op} ${c.value.toLocaleString('en-US')}`).join(' and ')}
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    cooldown {rule.cooldownMinutes}m · tax {rule.tax}%{rule.webhookUrl ? ' · webhook' : ''}
+                  </p>
+                </div>
+                <div className="flex gap-3 text-xs">
+                  <button className="btn-ghost" onClick={() => toggleRule(rule)}>
+                    {rule.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button className="btn-ghost text-rose-300" onClick={() => deleteRule(rule)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <form className="frosted-panel rounded-2xl p-6 space-y-4" onSubmit={createRule}>
+        <h3 className="text-sm font-medium text-slate-400 uppercase tracking-wider">New rule</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input className="input" placeholder="Name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          <input
+            className="input"
+            placeholder="Products, e.g. ENCHANTED_* or WHEAT, CARROT_ITEM (empty for all)"
+            value={draft.pattern}
+            onChange={(e) => setDraft({ ...draft, pattern: e.target.value })}
+          />
+        </div>
+        {draft.conditions.map((c, i) => (
+          <div key={i} className="flex gap-2">
+            <select className="input select" value={c.field} onChange={(e) => setCondition(i, 'field', e.target.value)}>
+              {FIELDS.map((f) => (
+                <option key={f} value={f}>
+                  {f}
+                </option>
+              ))}
+            </select>
+            <select className="input select" value={c.op} onChange={(e) => setCondition(i, 'op', e.target.value)}>
+              {OPS.map((op) => (
+                <option key={op} value={op}>
+                  {op}
+                </option>
+              ))}
+            </select>
+            <input className="input" placeholder="value, e.g. 200k" value={c.value} onChange={(e) => setCondition(i, 'value', e.target.value)} />
+            {draft.conditions.length > 1 && (
+              <button
+                type="button"
+                className="btn-ghost text-xs"
+                onClick={() => setDraft((prev) => ({ ...prev, conditions: prev.conditions.filter((_, j) => j !== i) }))}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn-ghost text-xs"
+          onClick={() => setDraft((prev) => ({ ...prev, conditions: [...prev.conditions, { field: 'coinsPerHour', op: '>', value: '' }] }))}
+        >
+          + Add condition
+        </button>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input
+            className="input"
+            placeholder="Cooldown (minutes)"
+            value={draft.cooldownMinutes}
+            onChange={(e) => setDraft({ ...draft, cooldownMinutes: e.target.value })}
+            inputMode="numeric"
+          />
+          <input
+            className="input"
+            placeholder="Webhook URL (optional, Discord compatible)"
+            value={draft.webhookUrl}
+            onChange={(e) => setDraft({ ...draft, webhookUrl: e.target.value })}
+          />
+        </div>
+        <button className="btn-primary" type="submit">
+          Add rule
+        </button>
+      </form>
+
+      <div className="frosted-panel rounded-2xl p-6 space-y-3">
+        <h3 className="text-sm font-medium text-slate-400 uppercase tracking-wider">Recent alerts</h3>
+        {!events.length ? (
+          <p className="text-sm text-slate-500">Nothing fired yet.</p>
+        ) : (
+          [...events].reverse().map((alert) => (
+            <div key={alert.id} className="flex justify-between gap-3 text-sm border-t border-white/5 pt-2">
+              <span>
+                <span className="text-cyan-300">{alert.ruleName}</span> · {alert.message}
+              </span>
+              <span className="text-slate-500 whitespace-nowrap">{new Date(alert.t).toLocaleTimeString()}</span>
+            </div>
+          ))
+        )}
+      </div>
+    </section>
+  )
+}
@@ -1,49 +1,27 @@
-import React, { useEffect, useMemo, useState } from 'react'
-
-function computeApiBase() {
-  if (import.meta.env.VITE_API_URL) return import.meta.env.VITE_API_URL
-  if (typeof window === 'undefined') return 'http://localhost:3001/api/flips'
-
-  const { hostname, protocol, origin } = window.location
-  
-  // Handle GitHub Codespaces
-  if (hostname.endsWith('.app.github.dev')) {
-    const parts = hostname.split('-');
-
-    // Regex to find the port number at the end of the subdomain
-    const portRegex = /-5173(?=\.app\.github\.dev)/;
-    if (portRegex.test(hostname)) {
-        return `https://${hostname.replace(portRegex, '-3001')}/api/flips`;
-    }
-    
-    // if we can't find -5173, maybe we are on a different port or format.
-    return `https://${hostname.replace(/-\d+\.app\.github\.dev$/, '-3001.app.github.dev')}/api/flips`; //made to work on codespaces cuz I dont have a server to run on 
-  }
-
-  if (import.meta.env.DEV) {
-    return `${protocol}//${hostname}:3001/api/flips`
-  }
-
-  return `${origin.replace(/\/$/, '')}/api/flips`
-}
-
-const API = computeApiBase()
-
-const defaultFilters = {
-  buyMin: '',
-  buyMax: '',
-  sellMin: '',
-  sellMax: '',
-  instaBuyMin: '',
-  instaBuyMax: '',
-  instaSellMin: '',
-  instaSellMax: '',
-  marginMin: '',
-  marginMax: '',
-  cphMin: '',
-  cphMax: '',
-  blacklist: '',
-}
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { API, API_ROOT } from './api'
+import AccountView from './AccountView'
+import AlertsView from './AlertsView'
+import CraftView from './CraftView'
+import FeeProfiles from './FeeProfiles'
+import JournalView from './JournalView'
+import MarketView from './MarketView'
+import NpcView from './NpcView'
+import OrdersView from './OrdersView'
+import { applyDiff } from './diff'
+import { downloadFile, flipsToCsv, flipsToJson } from './exportFlips'
+import FlipTable from './FlipTable'
+import ItemIcon from './ItemIcon'
+import { rarityStyle } from './items'
+import { TABLE_PAGE_SIZE, TABLE_STORAGE_KEY, normalizeColumns } from './tableColumns'
+import { PAGE_SIZE, buildFlipQuery, parseKeywords, sortFlips } from './flips'
+import { formatAge, formatCompact, formatDuration, numberOrNull, parseShorthandNumber } from './format'
+import PlanView from './PlanView'
+import PresetBar from './PresetBar'
+import ProductDetail from './ProductDetail'
+import WatchlistPanel from './WatchlistPanel'
+import { authFetch, loadSession, parseSettings, saveSession, settingsPayload, openStream } from './session'
+import { decodeViewState, defaultFilters, encodeViewState, normalizeViewState, parsePresets, serializePresets } from './viewState'
 
 const filterConfig = [
   { field: 'buy', label: 'Buy price', minKey: 'buyMin', maxKey: 'buyMax', step: 1000, defaultMax: 50_000_000 },
@@ -52,32 +30,32 @@ const filterConfig = [
   { field: 'instasell', label: 'Instasell volume', minKey: 'instaSellMin', maxKey: 'instaSellMax', step: 1, defaultMax: 50_000 },
   { field: 'margin', label: 'Margin', minKey: 'marginMin', maxKey: 'marginMax', step: 1000, defaultMax: 100_000_000 },
   { field: 'coinsPerHour', label: 'Coins / hour', minKey: 'cphMin', maxKey: 'cphMax', step: 1000, defaultMax: 100_000_000 },
+  { field: 'realisticCoinsPerHour', label: 'Realistic coins / hour', minKey: 'realisticCphMin', maxKey: 'realisticCphMax', step: 1000, defaultMax: 100_000_000 },
+  { field: 'riskAdjustedCoinsPerHour', label: 'Risk-adjusted coins / hour', minKey: 'riskAdjustedCphMin', maxKey: 'riskAdjustedCphMax', step: 1000, defaultMax: 100_000_000 },
+  { field: 'fillHours', label: 'Fill time (hours)', minKey: 'fillHoursMin', maxKey: 'fillHoursMax', step: 1, defaultMax: 1_000 },
+  { field: 'competitors', label: 'Competing orders', minKey: 'competitorsMin', maxKey: 'competitorsMax', step: 1, defaultMax: 1_000 },
 ]
 
-function numberOrNull(n) {
-  return n == null ? '—' : n.toLocaleString('en-US')
-}
-
-function parseShorthandNumber(input) {
-  if (input == null) return null
-  if (typeof input === 'number') return input
-  const s = String(input).trim().toLowerCase().replace(/,/g, '')
-  if (s === '') return null
-  const match = s.match(/^([\d,.]*\d(?:\.\d+)?)\s*([kmb])?$/i)
-  if (!match) {
-    const n = Number(s)
-    return Number.isNaN(n) ? null : n
-  }
-  const num = parseFloat(match[1])
-  const suffix = match[2]
-  if (!suffix) return num
-  if (suffix === 'k') return num * 1e3
-  if (suffix === 'm') return num * 1e6
-  if (suffix === 'b') return num * 1e9
-  return num
-}
+const views = [
+  { key: 'flips', label: 'Flips' },
+  { key: 'market', label: 'Market' },
+  { key: 'crafts', label: 'Crafts' },
+  { key: 'npc', label: 'NPC' },
+  { key: 'plan', label: 'Plan' },
+  { key: 'orders', label: 'Orders' },
+  { key: 'alerts', label: 'Alerts' },
+  { key: 'journal', label: 'Journal' },
+  { key: 'account', label: 'Account' },
+]
 
 const STORAGE_KEY = 'skyblock_flips_prefs'
+const PRESETS_STORAGE_KEY = 'skyblock_flips_presets'
+
+// Settings changes are pushed to the account once editing pauses
+const SYNC_DEBOUNCE_MS = 1000
+
+// Filter edits reconnect the live stream, so wait until typing pauses
+const QUERY_DEBOUNCE_MS = 300
 
 function loadPrefs() {
   try {
@@ -89,41 +67,299 @@ function loadPrefs() {
   return null
 }
 
+// Cards or the dense table, and the table's columns
+function loadTablePrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TABLE_STORAGE_KEY) || '{}')
+    return { layout: saved.layout === 'table' ? 'table' : 'cards', columns: normalizeColumns(saved.columns) }
+  } catch (e) {
+    console.error('Failed to load table prefs', e)
+  }
+  return { layout: 'cards', columns: normalizeColumns() }
+}
+
+function loadPresets() {
+  try {
+    const saved = localStorage.getItem(PRESETS_STORAGE_KEY)
+    if (saved) return parsePresets(saved)
+  } catch (e) {
+    console.error('Failed to load presets', e)
+  }
+  return []
+}
+
 export default function App() {
-  const prefs = useMemo(() => loadPrefs() || {}, [])
+  // A shared link wins over the saved prefs
+  const linked = useMemo(() => decodeViewState(window.location.search), [])
+  const initial = useMemo(() => linked || normalizeViewState(loadPrefs() || {}), [])
 
   const [items, setItems] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   
-  const [filters, setFilters] = useState(() => prefs.filters || { ...defaultFilters })
-  const [sortBy, setSortBy] = useState(() => prefs.sortBy || 'margin')
-  const [sortDir, setSortDir] = useState(() => prefs.sortDir || 'desc')
-  const [tax, setTax] = useState(() => prefs.tax ?? 1.125)
+  const [filters, setFilters] = useState(initial.filters)
+  const [sortBy, setSortBy] = useState(initial.sortBy)
+  const [sortDir, setSortDir] = useState(initial.sortDir)
+  const [tax, setTax] = useState(initial.tax)
+  // Saved fee profile id, replaces the manual tax when set
+  const [profile, setProfile] = useState(initial.profile)
+  const [profiles, setProfiles] = useState([])
+  // Depth-aware fill simulation, off while both are empty
+  const [simQuantity, setSimQuantity] = useState(initial.simQuantity)
+  const [simBudget, setSimBudget] = useState(initial.simBudget)
   const [showFilters, setShowFilters] = useState(false)
+  const tablePrefs = useMemo(loadTablePrefs, [])
+  const [layout, setLayout] = useState(tablePrefs.layout)
+  const [columns, setColumns] = useState(tablePrefs.columns)
+  const [selectedId, setSelectedId] = useState(null)
+  const [view, setView] = useState('flips')
+  const [alertEvents, setAlertEvents] = useState([])
+  // Product ids on the backend watchlist
+  const [watchIds, setWatchIds] = useState([])
+  const [presets, setPresets] = useState(loadPresets)
+  // Logged in account, settings are synced to it
+  const [session, setSession] = useState(loadSession)
+  const [syncStatus, setSyncStatus] = useState(null)
+  // Bumped when the tab becomes visible again, to pull changes made on other devices
+  const [pullKey, setPullKey] = useState(0)
+  // JSON and updatedAt of the settings last pulled or pushed, to skip no-op syncs
+  const synced = useRef({ json: null, updatedAt: null })
+  // Nothing is pushed before the account's settings were pulled once
+  const [settingsPulled, setSettingsPulled] = useState(false)
   
   const [lastUpdated, setLastUpdated] = useState(null)
+  // Whether the backend is serving an old snapshot because the upstream API fails ({ stale, age, error, receivedAt })
+  const [freshness, setFreshness] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const [page, setPage] = useState(0)
+  // Flips matching the filters and profitable flips overall, across all pages
+  const [totals, setTotals] = useState({ total: 0, totalUnfiltered: 0 })
+
+  const viewState = useMemo(
+    () => ({ filters, sortBy, sortDir, tax, profile, simQuantity, simBudget }),
+    [filters, sortBy, sortDir, tax, profile, simQuantity, simBudget],
+  )
+
+  // Save prefs and keep the address bar a shareable link to this exact view
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(viewState))
+    const search = encodeViewState(viewState)
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`
+    window.history.replaceState(null, '', url)
+  }, [viewState])
+
+  useEffect(() => {
+    localStorage.setItem(PRESETS_STORAGE_KEY, serializePresets(presets))
+  }, [presets])
 
-  // Save prefs whenever they change
   useEffect(() => {
-    const toSave = { filters, sortBy, sortDir, tax }
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave))
-  }, [filters, sortBy, sortDir, tax])
+    localStorage.setItem(TABLE_STORAGE_KEY, JSON.stringify({ layout, columns }))
+  }, [layout, columns])
+
+  function login(next) {
+    saveSession(next)
+    setSession(next)
+  }
+
+  async function logout() {
+    try {
+      await authFetch(`${API_ROOT}/auth/logout`, { method: 'POST' })
+    } catch (err) {
+      // Signed out locally either way
+    }
+    saveSession(null)
+    setSession(null)
+    setSyncStatus(null)
+  }
 
   useEffect(() => {
-    fetchData()
-    const interval = setInterval(() => fetchData(true), 10000)
-    return () => clearInterval(interval)
-  }, [tax])
+    const onVisible = () => document.visibilityState === 'visible' && setPullKey((k) => k + 1)
+    document.addEventListener('visibilitychange', onVisible)
+    return () => document.removeEventListener('visibilitychange', onVisible)
+  }, [])
+
+  useEffect(() => {
+    synced.current = { json: null, updatedAt: null }
+    setSettingsPulled(false)
+  }, [session])
+
+  // Pull the account's settings; they replace the local ones, except a shared link keeps its view on first load
+  useEffect(() => {
+    if (!session) return
+    let cancelled = false
+    async function pull() {
+      try {
+        const res = await authFetch(`${API_ROOT}/settings`)
+        if (res.status === 401) {
+          // Token revoked or expired, fall back to local settings
+          saveSession(null)
+          setSession(null)
+          return
+        }
+        const j = await res.json()
+        if (!j.success) throw new Error(j.error || 'Failed to load settings')
+        if (cancelled) return
+        const remote = parseSettings(j.data)
+        const first = synced.current.updatedAt === null
+        if (remote.updatedAt !== synced.current.updatedAt) {
+          if (remote.view && !(first && linked)) applyViewState(remote.view)
+          if (remote.presets) setPresets(remote.presets)
+          synced.current.json = JSON.stringify(settingsPayload(remote.view, remote.presets))
+          synced.current.updatedAt = remote.updatedAt
+        }
+        setSettingsPulled(true)
+        setSyncStatus('synced')
+      } catch (err) {
+        if (!cancelled) setSyncStatus('error')
+      }
+    }
+    pull()
+    return () => {
+      cancelled = true
+    }
+  }, [session, pullKey])
+
+  // Push local changes once the first pull is done
+  useEffect(() => {
+    if (!session || !settingsPulled) return
+    const json = JSON.stringify(settingsPayload(viewState, presets))
+    if (json === synced.current.json) return
+    const timer = setTimeout(async () => {
+      setSyncStatus('syncing')
+      try {
+        const res = await authFetch(`${API_ROOT}/settings`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: json })
+        const j = await res.json()
+        if (!j.success) throw new Error(j.error || 'Failed to save settings')
+        synced.current.json = json
+        synced.current.updatedAt = j.data.updatedAt
+        setSyncStatus('synced')
+      } catch (err) {
+        setSyncStatus('error')
+      }
+    }, SYNC_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [session, settingsPulled, viewState, presets])
+
+  // A different query starts over on the first page
+  useEffect(() => {
+    setPage(0)
+  }, [filters, sortBy, sortDir, tax, profile, simQuantity, simBudget, layout])
+
+  // The table virtualizes its rows, so it gets the whole list at once
+  const pageSize = layout === 'table' ? TABLE_PAGE_SIZE : PAGE_SIZE
+  const query = useMemo(
+    () => buildFlipQuery({ tax, profile, simQuantity, simBudget, filters, sortBy, sortDir, page, pageSize }),
+    [tax, profile, simQuantity, simBudget, filters, sortBy, sortDir, page, pageSize],
+  )
+  // Sell tax for the views that only take a percentage; per-product exemptions apply to flips and crafts
+  const selectedProfile = profiles.find((p) => p.id === profile)
+  const effectiveTax = selectedProfile ? selectedProfile.fees.sellTax : tax
+  const flipParams = useDebouncedValue(query, QUERY_DEBOUNCE_MS)
+
+  // Live updates: the backend sends the full list on connect, then diffs after every poll
+  useEffect(() => {
+    setLoading(true)
+    return openStream(`${API}/stream?${flipParams}`, session, (source) => {
+      source.addEventListener('snapshot', (e) => {
+        const j = JSON.parse(e.data)
+        setItems(j.data || [])
+        setTotals({ total: j.total, totalUnfiltered: j.totalUnfiltered })
+        updateFreshness(j)
+        setLastUpdated(new Date())
+        setError(null)
+        setLoading(false)
+      })
+      source.addEventListener('diff', (e) => {
+        const diff = JSON.parse(e.data)
+        setItems((prev) => applyDiff(prev, diff))
+        setTotals({ total: diff.total, totalUnfiltered: diff.totalUnfiltered })
+        updateFreshness(diff)
+        setLastUpdated(new Date())
+        setError(null)
+      })
+      source.addEventListener('status', (e) => {
+        updateFreshness(JSON.parse(e.data))
+      })
+      source.addEventListener('failure', (e) => {
+        setError(JSON.parse(e.data).error)
+      })
+      source.onerror = () => {
+        // The stream reconnects by itself and gets a fresh snapshot when it does
+        setError('Live updates disconnected, reconnecting…')
+        setLoading(false)
+      }
+    })
+  }, [flipParams, session])
+
+  // Alerts fire on the backend, show them as browser notifications wherever we are in the app
+  useEffect(() => {
+    authFetch(`${API_ROOT}/alerts/events`)
+      .then((res) => res.json())
+      .then((j) => j.success && setAlertEvents(j.data))
+      .catch(() => {})
+
+    return openStream(`${API_ROOT}/alerts/stream`, session, (source) => {
+      source.addEventListener('alert', (e) => {
+        const alert = JSON.parse(e.data)
+        setAlertEvents((prev) => [...prev.slice(-99), alert])
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+          const notification = new Notification(alert.ruleName, { body: alert.message, tag: alert.id })
+          notification.onclick = () => {
+            window.focus()
+            setSelectedId(alert.productId)
+          }
+        }
+      })
+    })
+  }, [session])
+
+  // Logged in users have their own watchlist
+  useEffect(() => {
+    authFetch(`${API_ROOT}/watchlist`)
+      .then((res) => res.json())
+      .then((j) => j.success && setWatchIds(j.data.map((entry) => entry.id)))
+      .catch(() => {})
+  }, [session])
+
+  async function loadProfiles() {
+    try {
+      const res = await authFetch(`${API_ROOT}/profiles`)
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to load fee profiles')
+      setProfiles(j.data)
+      // A link or saved prefs can point at a profile that was deleted since
+      setProfile((prev) => (j.data.some((p) => p.id === prev) ? prev : ''))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Logged in users have their own fee profiles
+  useEffect(() => {
+    loadProfiles()
+  }, [session])
+
+  async function toggleWatch(id) {
+    try {
+      const res = await authFetch(`${API_ROOT}/watchlist/${encodeURIComponent(id)}`, { method: watchIds.includes(id) ? 'DELETE' : 'PUT' })
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to update the watchlist')
+      setWatchIds(j.data)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
 
   async function fetchData(silent = false) {
     if (!silent) setLoading(true)
     setError(null)
     try {
-      const res = await fetch(`${API}?tax=${tax}`)
+      const res = await authFetch(`${API}?${flipParams}`)
       const j = await res.json()
       if (!j.success) throw new Error(j.error || 'Failed to load flips')
       setItems(j.data || [])
+      setTotals({ total: j.total, totalUnfiltered: j.totalUnfiltered })
+      updateFreshness(j)
       setLastUpdated(new Date())
     } catch (err) {
       setError(err.message)
@@ -132,6 +368,33 @@ export default function App() {
     }
   }
 
+  function updateFreshness(data) {
+    setFreshness((prev) => ({
+      stale: !!data.stale,
+      age: data.age,
+      // Only status events carry the upstream error, keep it until the data is fresh again
+      error: data.stale ? data.error ?? prev?.error ?? null : null,
+      receivedAt: Date.now(),
+    }))
+  }
+
+  // Keep the banner's age counting while the data is stale
+  useEffect(() => {
+    if (!freshness?.stale) return
+    const timer = setInterval(() => setNow(Date.now()), 5000)
+    return () => clearInterval(timer)
+  }, [freshness?.stale])
+
+  // Exports exactly the list on screen: current page, filters and sort
+  function exportVisible(format) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+    if (format === 'json') {
+      downloadFile(`flips-${stamp}.json`, flipsToJson(sorted), 'application/json')
+    } else {
+      downloadFile(`flips-${stamp}.csv`, flipsToCsv(sorted), 'text/csv')
+    }
+  }
+
   function setFilter(key, value) {
     setFilters((prev) => ({
       ...prev,
@@ -139,18 +402,31 @@ export default function App() {
     }))
   }
 
+  // Table header clicks: the same column flips the direction, a new one starts descending (names A-Z)
+  function sortByColumn(key) {
+    if (key === sortBy) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc')
+    } else {
+      setSortBy(key)
+      setSortDir(key === 'title' ? 'asc' : 'desc')
+    }
+  }
+
   function resetFilters() {
     setFilters({ ...defaultFilters })
   }
 
-  const blacklistTokens = useMemo(
-    () =>
-      filters.blacklist
-        .split(',')
-        .map((item) => item.trim().toLowerCase())
-        .filter(Boolean),
-    [filters.blacklist],
-  )
+  function applyViewState(state) {
+    const next = normalizeViewState(state)
+    setFilters(next.filters)
+    setSortBy(next.sortBy)
+    setSortDir(next.sortDir)
+    setTax(next.tax)
+    setProfile(next.profile)
+    setSimQuantity(next.simQuantity)
+    setSimBudget(next.simBudget)
+  }
+
 
   const valueStats = useMemo(() => {
     const stats = {}
@@ -170,41 +446,15 @@ export default function App() {
     return stats
   }, [items])
 
-  const filtered = useMemo(() => {
-    function inRange(value, minStr, maxStr) {
-      if (value == null) return false
-      const min = minStr === '' ? -Infinity : Number(minStr)
-      const max = maxStr === '' ? Infinity : Number(maxStr)
-      return value >= min && value <= max
-    }
+  const blacklistTokens = useMemo(() => parseKeywords(filters.blacklist), [filters.blacklist])
 
-    return items.map(item => {
-        // Backend now handles tax calculation, so we just use the values provided
-        return item;
-    }).filter((item) => {
-      if (blacklistTokens.some((token) => item.title.toLowerCase().includes(token))) {
-        return false
-      }
-      if (!inRange(item.buy, filters.buyMin, filters.buyMax)) return false
-      if (!inRange(item.sell, filters.sellMin, filters.sellMax)) return false
-      if (!inRange(item.instabuy, filters.instaBuyMin, filters.instaBuyMax)) return false
-      if (!inRange(item.instasell, filters.instaSellMin, filters.instaSellMax)) return false
-      if (!inRange(item.margin, filters.marginMin, filters.marginMax)) return false
-      if (!inRange(item.coinsPerHour, filters.cphMin, filters.cphMax)) return false
-      return true
-    })
-  }, [items, filters, blacklistTokens])
-
-  const sorted = useMemo(() => {
-    const arr = [...filtered]
-    arr.sort((a, b) => {
-      const A = a[sortBy] ?? -Infinity
-      const B = b[sortBy] ?? -Infinity
-      if (A === B) return 0
-      return sortDir === 'asc' ? A - B : B - A
-    })
-    return arr
-  }, [filtered, sortBy, sortDir])
+  const sorted = useMemo(() => sortFlips(items, sortBy, sortDir), [items, sortBy, sortDir])
+  const pageCount = Math.max(1, Math.ceil(totals.total / pageSize))
+
+  // Fewer matches after an update can leave us past the last page
+  useEffect(() => {
+    if (page >= pageCount) setPage(pageCount - 1)
+  }, [page, pageCount])
 
   const friendlyError = useMemo(() => {
     if (!error) return null
@@ -225,24 +475,32 @@ export default function App() {
               <p className="text-cyan-300 text-xs uppercase tracking-[0.4em] mb-3">Skyblock Special "Intelligence"</p>
               <h1 className="text-4xl md:text-5xl font-semibold leading-tight">Skyblock Flips</h1>
               <p className="text-sm md:text-base text-slate-400 mt-3 max-w-2xl">
-                Real-time scraping of skyblock.bz flips with granular filtering, sorting, keyword blacklists, and slider-adjusted thresholds.
+                Live bazaar flips from the Hypixel API, named from a local item database, with granular filtering, sorting, keyword blacklists, and slider-adjusted thresholds.
               </p>
             </div>
             <div className="inline-flex flex-col items-end gap-2">
-              <button className="btn-primary" onClick={fetchData} disabled={loading}>
+              <button className="btn-primary" onClick={() => fetchData()} disabled={loading}>
                 {loading ? 'Refreshing…' : 'Refresh data'}
               </button>
-              <button className="btn-ghost text-xs" onClick={resetFilters}>
-                Reset filters
-              </button>
+              <div className="flex gap-3">
+                <button className="btn-ghost text-xs" onClick={() => exportVisible('csv')} disabled={!sorted.length}>
+                  Download CSV
+                </button>
+                <button className="btn-ghost text-xs" onClick={() => exportVisible('json')} disabled={!sorted.length}>
+                  JSON
+                </button>
+                <button className="btn-ghost text-xs" onClick={resetFilters}>
+                  Reset filters
+                </button>
+              </div>
             </div>
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-8">
             <div className="stat-pill">
-              <p className="stat-label">Visible flips</p>
-              <p className="stat-value">{sorted.length.toLocaleString('en-US')}</p>
-              <p className="stat-meta">after filters</p>
+              <p className="stat-label">Matching flips</p>
+              <p className="stat-value">{totals.total.toLocaleString('en-US')}</p>
+              <p className="stat-meta">of {totals.totalUnfiltered.toLocaleString('en-US')} profitable</p>
             </div>
             <div className="stat-pill">
               <p className="stat-label">Top margin</p>
@@ -257,173 +515,428 @@ export default function App() {
           </div>
         </header>
 
-        <section className="frosted-panel rounded-2xl overflow-hidden">
-          <button 
-            onClick={() => setShowFilters(!showFilters)}
-            className="w-full p-6 flex items-center justify-between hover:bg-white/5 transition-colors text-left group"
-          >
-            <div className="flex items-center gap-4">
-                <div className="p-2 rounded-lg bg-cyan-500/10 text-cyan-400 group-hover:bg-cyan-500/20 transition-colors">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
-                    </svg>
-                </div>
-                <div>
-                    <h2 className="text-xl font-semibold tracking-tight">Filters &amp; Sorting</h2>
-                    <p className="text-sm text-slate-400">Configure tax, thresholds, and sort order</p>
-                </div>
-            </div>
-            <svg 
-                className={`w-6 h-6 text-slate-500 transform transition-transform duration-300 ${showFilters ? 'rotate-180' : ''}`} 
-                fill="none" 
-                viewBox="0 0 24 24" 
-                stroke="currentColor"
-            >
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-            </svg>
-          </button>
-
-          {showFilters && (
-            <div className="p-6 pt-0 space-y-6 border-t border-white/5 animate-in fade-in slide-in-from-top-2 duration-200">
-                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mt-8 mb-2">
-                  <h3 className="text-sm font-medium text-slate-400 uppercase tracking-wider">Sort Configuration</h3>
-                  <div className="flex flex-wrap gap-3 text-sm">
-                    <label className="sr-only" htmlFor="sortBy">
-                        Sort by
-                    </label>
-                    <select id="sortBy" className="input select" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
-                        <option value="margin">margin</option>
-                        <option value="buy">buy</option>
-                        <option value="sell">sell</option>
-                        <option value="instabuy">instabuy</option>
-                        <option value="instasell">instasell</option>
-                        <option value="coinsPerHour">coinsPerHour</option>
-                        <option value="title">title</option>
-                    </select>
-                    <select className="input select" value={sortDir} onChange={(e) => setSortDir(e.target.value)}>
-                        <option value="desc">desc</option>
-                        <option value="asc">asc</option>
-                    </select>
-                    </div>
-                </div>
-
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
-                    <div className="frosted-card p-4 rounded-xl border border-white/5 space-y-2">
-                        <div className="flex justify-between items-center">
-                            <label htmlFor="taxInput" className="text-sm font-medium text-slate-300">Bazaar Tax (%)</label>
-                            <span className="text-xs text-slate-500 font-mono">{tax}%</span>
-                        </div>
-                        <input
-                            id="taxInput"
-                            type="number"
-                            step="0.001"
-                            min="0"
-                            max="100"
-                            className="input w-full"
-                            value={tax}
-                            onChange={(e) => setTax(Number(e.target.value))}
-                        />
-                        <p className="text-xs text-slate-500">Applied to sales (Buy Price). Default: 1.125%</p>
-                    </div>
-                    {filterConfig.map((cfg) => (
-                    <RangeFilterCard
-                key={cfg.field}
-                config={cfg}
-                filters={filters}
-                setFilter={setFilter}
-                setFilters={setFilters}
-                sliderBounds={{
-                  min: 0,
-                  max: Math.max(cfg.defaultMax, valueStats[cfg.field]?.max || 0),
-                }}
-              />
-            ))}
-
-            <div className="filter-card">
-              <label className="text-xs uppercase tracking-wide text-slate-400">Blacklist keywords</label>
-              <p className="text-[0.8rem] text-slate-500 mt-1">Comma separated (e.g. rune, enchanted).</p>
-              <input
-                className="input w-full mt-3"
-                placeholder="rune, enchanted"
-                value={filters.blacklist}
-                onChange={(e) => setFilter('blacklist', e.target.value)}
-              />
-              {!!blacklistTokens.length && (
-                <div className="flex flex-wrap gap-2 mt-3 text-xs text-slate-400">
-                  {blacklistTokens.map((token) => (
-                    <span key={token} className="badge">
-                      {token}
-                    </span>
-                  ))}
-                </div>
-              )}
-            </div>
-            </div>
+        {freshness?.stale && freshness.age != null && (
+          <div className="frosted-panel rounded-2xl px-6 py-3 border border-amber-400/30 text-sm text-amber-200">
+            Showing bazaar data from {formatAge(freshness.age + Math.max(0, now - freshness.receivedAt))} ago
+            {freshness.error ? ` (${freshness.error})` : ', the API has not published anything newer'}. It updates by itself once fresh data comes in.
           </div>
         )}
-      </section>
 
-      <section className="space-y-4">
-          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 text-sm text-slate-400">
-            <span>{loading ? 'Fetching flips…' : `${sorted.length} flips visible`}</span>
-            {friendlyError && <span className="text-rose-400">{friendlyError}</span>}
-          </div>
+        <nav className="flex gap-2">
+          {views.map((v) => (
+            <button
+              key={v.key}
+              className={`badge px-4 py-1.5 text-sm ${view === v.key ? 'text-cyan-300 border-cyan-400/60' : 'text-slate-400'}`}
+              onClick={() => setView(v.key)}
+            >
+              {v.label}
+            </button>
+          ))}
+        </nav>
+
+        {view === 'flips' && (
+          <>
+          <PresetBar viewState={viewState} presets={presets} setPresets={setPresets} onApply={applyViewState} />
 
-          <div className="grid gap-4">
-            {sorted.map((item) => (
-              <a
-                key={item.id}
-                href={item.href || '#'}
-                target="_blank"
-                rel="noreferrer"
-                className="flip-card"
+          <section className="frosted-panel rounded-2xl overflow-hidden">
+            <button 
+              onClick={() => setShowFilters(!showFilters)}
+              className="w-full p-6 flex items-center justify-between hover:bg-white/5 transition-colors text-left group"
+            >
+              <div className="flex items-center gap-4">
+                  <div className="p-2 rounded-lg bg-cyan-500/10 text-cyan-400 group-hover:bg-cyan-500/20 transition-colors">
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
+                      </svg>
+                  </div>
+                  <div>
+                      <h2 className="text-xl font-semibold tracking-tight">Filters &amp; Sorting</h2>
+                      <p className="text-sm text-slate-400">Configure tax, thresholds, and sort order</p>
+                  </div>
+              </div>
+              <svg 
+                  className={`w-6 h-6 text-slate-500 transform transition-transform duration-300 ${showFilters ? 'rotate-180' : ''}`} 
+                  fill="none" 
+                  viewBox="0 0 24 24" 
+                  stroke="currentColor"
               >
-                <div className="flex gap-4 items-center">
-                  <div className="w-16 h-16 rounded-xl bg-slate-900/70 border border-white/5 flex items-center justify-center overflow-hidden">
-                    <img src={item.img || 'https://via.placeholder.com/64'} alt={item.title} className="w-14 h-14 object-contain" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </button>
+
+            {showFilters && (
+              <div className="p-6 pt-0 space-y-6 border-t border-white/5 animate-in fade-in slide-in-from-top-2 duration-200">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mt-8 mb-2">
+                    <h3 className="text-sm font-medium text-slate-400 uppercase tracking-wider">Sort Configuration</h3>
+                    <div className="flex flex-wrap gap-3 text-sm">
+                      <label className="sr-only" htmlFor="sortBy">
+                          Sort by
+                      </label>
+                      <select id="sortBy" className="input select" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+                          <option value="margin">margin</option>
+                          <option value="buy">buy</option>
+                          <option value="sell">sell</option>
+                          <option value="instabuy">instabuy</option>
+                          <option value="instasell">instasell</option>
+                          <option value="coinsPerHour">coinsPerHour</option>
+                          <option value="realisticCoinsPerHour">realisticCoinsPerHour</option>
+                          <option value="riskAdjustedCoinsPerHour">riskAdjustedCoinsPerHour</option>
+                          <option value="expectedMargin">expectedMargin</option>
+                          <option value="momentum">momentum</option>
+                          <option value="volatility">volatility</option>
+                          <option value="fillHours">fillHours</option>
+                          <option value="competitors">competitors</option>
+                          <option value="fillShare">fillShare</option>
+                          <option value="taxPerItem">taxPerItem</option>
+                          <option value="simMargin">simMargin</option>
+                          <option value="simCoinsPerHour">simCoinsPerHour</option>
+                          <option value="maxFillable">maxFillable</option>
+                          <option value="riskScore">riskScore</option>
+                          <option value="title">title</option>
+                      </select>
+                      <select className="input select" value={sortDir} onChange={(e) => setSortDir(e.target.value)}>
+                          <option value="desc">desc</option>
+                          <option value="asc">asc</option>
+                      </select>
+                      </div>
                   </div>
-                  <div className="flex-1 min-w-0">
-                    <div className="flex flex-col gap-1">
-                      <h3 className="text-lg font-semibold truncate">{item.title || 'Unknown item'}</h3>
-                      <p className="text-sm text-slate-400 truncate">{item.href || 'No link provided'}</p>
-                    </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                      <FeeProfiles
+                          profiles={profiles}
+                          profileId={profile}
+                          tax={effectiveTax}
+                          onTaxChange={setTax}
+                          onSelect={setProfile}
+                          onSaved={(saved) => {
+                              loadProfiles()
+                              if (saved) setProfile(saved.id)
+                          }}
+                      />
+                      <div className="frosted-card p-4 rounded-xl border border-white/5 space-y-2">
+                          <label className="text-sm font-medium text-slate-300">Fill simulation</label>
+                          <div className="flex gap-2">
+                              <input
+                                  className="input"
+                                  placeholder="quantity"
+                                  value={simQuantity}
+                                  onChange={(e) => {
+                                    const parsed = parseShorthandNumber(e.target.value)
+                                    setSimQuantity(parsed == null ? '' : String(parsed))
+                                  }}
+                                  inputMode="numeric"
+                              />
+                              <input
+                                  className="input"
+                                  placeholder="coin budget"
+                                  value={simBudget}
+                                  onChange={(e) => {
+                                    const parsed = parseShorthandNumber(e.target.value)
+                                    setSimBudget(parsed == null ? '' : String(parsed))
+                                  }}
+                                  inputMode="numeric"
+                              />
+                          </div>
+                          <p className="text-xs text-slate-500">Walks the order book instead of using the top order. Leave empty for top-of-book pricing.</p>
+                      </div>
+                      {filterConfig.map((cfg) => (
+                      <RangeFilterCard
+                  key={cfg.field}
+                  config={cfg}
+                  filters={filters}
+                  setFilter={setFilter}
+                  setFilters={setFilters}
+                  sliderBounds={{
+                    min: 0,
+                    max: Math.max(cfg.defaultMax, valueStats[cfg.field]?.max || 0),
+                  }}
+                />
+              ))}
+
+              <div className="filter-card">
+                <label className="text-xs uppercase tracking-wide text-slate-400">Include keywords</label>
+                <p className="text-[0.8rem] text-slate-500 mt-1">Only show items matching one of these (e.g. enchanted, coal).</p>
+                <input
+                  className="input w-full mt-3"
+                  placeholder="enchanted, coal"
+                  value={filters.include}
+                  onChange={(e) => setFilter('include', e.target.value)}
+                />
+              </div>
+
+              <div className="filter-card">
+                <label className="text-xs uppercase tracking-wide text-slate-400">Blacklist keywords</label>
+                <p className="text-[0.8rem] text-slate-500 mt-1">Comma separated (e.g. rune, enchanted).</p>
+                <input
+                  className="input w-full mt-3"
+                  placeholder="rune, enchanted"
+                  value={filters.blacklist}
+                  onChange={(e) => setFilter('blacklist', e.target.value)}
+                />
+                {!!blacklistTokens.length && (
+                  <div className="flex flex-wrap gap-2 mt-3 text-xs text-slate-400">
+                    {blacklistTokens.map((token) => (
+                      <span key={token} className="badge">
+                        {token}
+                      </span>
+                    ))}
                   </div>
-                  <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
-                    <div>
-                      <p className="text-slate-500 text-xs uppercase">Buy</p>
-                      <p className="font-medium">{numberOrNull(item.buy)}</p>
-                    </div>
-                    <div>
-                      <p className="text-slate-500 text-xs uppercase">Sell</p>
-                      <p className="font-medium">{numberOrNull(item.sell)}</p>
-                    </div>
-                    <div>
-                      <p className="text-slate-500 text-xs uppercase">Margin</p>
-                      <p className="font-medium text-lime-300">{numberOrNull(item.margin)}</p>
-                    </div>
-                    <div>
-                      <p className="text-slate-500 text-xs uppercase">Instabuy</p>
-                      <p className="font-medium">{numberOrNull(item.instabuy)}</p>
+                )}
+              </div>
+
+              <div className="filter-card">
+                <label className="text-xs uppercase tracking-wide text-slate-400">Hide risky flips</label>
+                <p className="text-[0.8rem] text-slate-500 mt-1">Hides flips flagged as possibly manipulated above this risk score.</p>
+                <select
+                  className="input select w-full mt-3"
+                  value={filters.maxRisk}
+                  onChange={(e) => setFilter('maxRisk', e.target.value)}
+                >
+                  <option value="">Show all</option>
+                  <option value="59">Hide high risk (60+)</option>
+                  <option value="29">Hide medium and high risk (30+)</option>
+                  <option value="0">Only unflagged flips</option>
+                </select>
+              </div>
+
+              <div className="filter-card">
+                <label className="text-xs uppercase tracking-wide text-slate-400">Minimum volume</label>
+                <p className="text-[0.8rem] text-slate-500 mt-1">Flips need more than this many instabuys and instasells per hour (default 10).</p>
+                <input
+                  className="input w-full mt-3"
+                  placeholder="10"
+                  value={filters.minVolume}
+                  onChange={(e) => setFilter('minVolume', e.target.value)}
+                  inputMode="numeric"
+                />
+              </div>
+              </div>
+            </div>
+          )}
+        </section>
+
+        <WatchlistPanel tax={effectiveTax} profile={profile} lastUpdated={lastUpdated} watchIds={watchIds} onToggle={toggleWatch} onSelect={setSelectedId} />
+
+        <section className="space-y-4">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 text-sm text-slate-400">
+              <span>
+                {loading
+                  ? 'Fetching flips…'
+                  : totals.total
+                    ? `Showing ${page * pageSize + 1}–${page * pageSize + sorted.length} of ${totals.total} flips`
+                    : 'No flips match these filters'}
+              </span>
+              <div className="flex gap-2">
+                {['cards', 'table'].map((l) => (
+                  <button
+                    key={l}
+                    className={`badge px-3 text-xs capitalize ${layout === l ? 'text-cyan-300 border-cyan-400/60' : 'text-slate-400'}`}
+                    onClick={() => setLayout(l)}
+                  >
+                    {l}
+                  </button>
+                ))}
+              </div>
+              {friendlyError && <span className="text-rose-400">{friendlyError}</span>}
+              {pageCount > 1 && (
+                <div className="flex items-center gap-2">
+                  <button className="btn-ghost text-xs" disabled={page === 0} onClick={() => setPage(page - 1)}>
+                    Previous
+                  </button>
+                  <span className="text-xs">
+                    Page {page + 1} of {pageCount}
+                  </span>
+                  <button className="btn-ghost text-xs" disabled={page + 1 >= pageCount} onClick={() => setPage(page + 1)}>
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {layout === 'table' ? (
+              <FlipTable
+                items={sorted}
+                columns={columns}
+                onColumnsChange={setColumns}
+                sortBy={sortBy}
+                sortDir={sortDir}
+                onSort={sortByColumn}
+                watchIds={watchIds}
+                onToggleWatch={toggleWatch}
+                onOpen={setSelectedId}
+              />
+            ) : (
+            <div className="grid gap-4">
+              {sorted.map((item) => (
+                <div
+                  key={item.id}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => setSelectedId(item.id)}
+                  onKeyDown={(e) => e.key === 'Enter' && setSelectedId(item.id)}
+                  className="flip-card cursor-pointer"
+                >
+                  <div className="flex gap-4 items-center">
+                    <div className="w-16 h-16 rounded-xl bg-slate-900/70 border border-white/5 flex items-center justify-center overflow-hidden">
+                      <ItemIcon img={item.img} title={item.title} />
                     </div>
-                    <div>
-                      <p className="text-slate-500 text-xs uppercase">Instasell</p>
-                      <p className="font-medium">{numberOrNull(item.instasell)}</p>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-col gap-1">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <h3 className="text-lg font-semibold truncate" style={rarityStyle(item.rarity)} title={item.id}>
+                            {item.title || 'Unknown item'}
+                          </h3>
+                          <RiskBadge score={item.riskScore} reasons={item.riskReasons} />
+                          <TrendBadge item={item} />
+                          <button
+                            className={watchIds.includes(item.id) ? 'text-amber-300' : 'text-slate-600 hover:text-amber-300'}
+                            title={watchIds.includes(item.id) ? 'Remove from watchlist' : 'Add to watchlist'}
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              toggleWatch(item.id)
+                            }}
+                          >
+                            {watchIds.includes(item.id) ? '★' : '☆'}
+                          </button>
+                        </div>
+                        <p className="text-sm text-slate-400 truncate">{item.href || 'No link provided'}</p>
+                      </div>
                     </div>
-                    <div>
-                      <p className="text-slate-500 text-xs uppercase">Coins/hr</p>
-                      <p className="font-medium">{numberOrNull(item.coinsPerHour)}</p>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Buy</p>
+                        <p className="font-medium">{numberOrNull(item.buy)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Sell</p>
+                        <p className="font-medium">{numberOrNull(item.sell)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Margin</p>
+                        <p className="font-medium text-lime-300" title={`after ${item.sellTax}% tax (${numberOrNull(item.taxPerItem)} per item)`}>
+                          {numberOrNull(item.margin)}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Instabuy</p>
+                        <p className="font-medium">{numberOrNull(item.instabuy)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Instasell</p>
+                        <p className="font-medium">{numberOrNull(item.instasell)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Coins/hr</p>
+                        <p className="font-medium">{numberOrNull(item.coinsPerHour)}</p>
+                      </div>
                     </div>
                   </div>
+                  {item.competitors != null && (
+                    <p
+                      className="text-xs text-slate-400 mt-3"
+                      title={`${item.buyCompetitors} competing buy orders, ${item.sellCompetitors} competing sell offers (incl. ${item.buyUndercutsPerHour} / ${item.sellUndercutsPerHour} undercuts per hour)`}
+                    >
+                      ~{Math.round(item.competitors)} competing orders · {(item.fillShare * 100).toFixed(1)}% share · fills {item.fillQuantity} in{' '}
+                      {formatDuration(item.fillHours)} · realistic <span className="text-lime-300">{formatCompact(item.realisticCoinsPerHour)}</span> coins/hr
+                    </p>
+                  )}
+                  {item.expectedMargin != null && (
+                    <p
+                      className="text-xs text-slate-400 mt-1"
+                      title={`sell offer forecast ${numberOrNull(Math.round(item.forecastSell * 10) / 10)} (2h average ${numberOrNull(Math.round(item.sellAverage * 10) / 10)}), ${item.volatility}% volatility per hour`}
+                    >
+                      expected margin at sale in {formatDuration(item.forecastHours)}{' '}
+                      <span className={item.expectedMargin > 0 ? 'text-lime-300' : 'text-rose-300'}>{formatCompact(item.expectedMargin)}</span> · risk-adjusted{' '}
+                      <span className={item.riskAdjustedCoinsPerHour > 0 ? 'text-lime-300' : 'text-rose-300'}>{formatCompact(item.riskAdjustedCoinsPerHour)}</span> coins/hr
+                    </p>
+                  )}
+                  {item.simQuantity != null && (
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm mt-4 pt-4 border-t border-white/5">
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Sim qty</p>
+                        <p className="font-medium">{numberOrNull(item.simQuantity)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Avg buy</p>
+                        <p className="font-medium">{numberOrNull(Math.round(item.simBuy * 10) / 10)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Avg sell</p>
+                        <p className="font-medium">{numberOrNull(Math.round(item.simSell * 10) / 10)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Sim margin</p>
+                        <p className="font-medium text-lime-300">{numberOrNull(Math.round(item.simMargin * 10) / 10)}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Sim coins/hr</p>
+                        <p className="font-medium">{numberOrNull(Math.round(item.simCoinsPerHour))}</p>
+                      </div>
+                      <div>
+                        <p className="text-slate-500 text-xs uppercase">Max fillable</p>
+                        <p className="font-medium">{numberOrNull(item.maxFillable)}</p>
+                      </div>
+                    </div>
+                  )}
                 </div>
-              </a>
-            ))}
-          </div>
-        </section>
+              ))}
+            </div>
+            )}
+          </section>
+          </>
+        )}
+
+        {view === 'market' && <MarketView tax={effectiveTax} profile={profile} lastUpdated={lastUpdated} onSelect={setSelectedId} />}
+
+        {view === 'crafts' && <CraftView tax={effectiveTax} profile={profile} lastUpdated={lastUpdated} onSelect={setSelectedId} />}
+
+        {view === 'npc' && <NpcView lastUpdated={lastUpdated} onSelect={setSelectedId} />}
+
+        {view === 'plan' && <PlanView tax={effectiveTax} profile={profile} onSelect={setSelectedId} />}
+
+        {/* Keyed by the session so logging in or out loads that account's own orders, alerts and journal */}
+        {view === 'orders' && <OrdersView key={session?.token} products={items} lastUpdated={lastUpdated} onSelect={setSelectedId} />}
+
+        {view === 'alerts' && <AlertsView key={session?.token} tax={effectiveTax} events={alertEvents} />}
+
+        {view === 'journal' && <JournalView key={session?.token} tax={effectiveTax} products={items} onSelect={setSelectedId} />}
+
+        {view === 'account' && <AccountView session={session} syncStatus={syncStatus} onLogin={login} onLogout={logout} />}
       </div>
+
+      {selectedId && (
+        <ProductDetail
+          id={selectedId}
+          item={items.find((item) => item.id === selectedId)}
+          tax={effectiveTax}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
     </div>
   )
 }
 
+function RiskBadge({ score, reasons }) {
+  if (!score) return null
+  const tone = score >= 60 ? 'text-rose-300 border-rose-400/50' : score >= 30 ? 'text-amber-300 border-amber-400/50' : 'text-slate-300'
+  return (
+    <span className={`badge text-xs whitespace-nowrap ${tone}`} title={(reasons || []).join('\n')}>
+      risk {score}
+    </span>
+  )
+}
+
+// Price trend from backend/lib/trends.js, hidden until the backend has recorded enough history
+function TrendBadge({ item }) {
+  if (!item.trend) return null
+  const [arrow, tone] = { up: ['↗', 'text-lime-300 border-lime-400/50'], down: ['↘', 'text-rose-300 border-rose-400/50'], flat: ['→', 'text-slate-300'] }[item.trend]
+  return (
+    <span className={`badge text-xs whitespace-nowrap ${tone}`} title={`momentum ${item.momentum > 0 ? '+' : ''}${item.momentum}%, volatility ${item.volatility}% per hour`}>
+      {arrow} {item.trend}
+    </span>
+  )
+}
+
 function RangeFilterCard({ config, filters, setFilter, setFilters, sliderBounds }) {
   const { label, minKey, maxKey, step = 1 } = config
   // Use a fixed slider range 0 -> 100,000,000 (100m)
@@ -433,13 +946,6 @@ function RangeFilterCard({ config, filters, setFilter, setFilters, sliderBounds
   const minValue = filters[minKey] === '' ? sliderMin : Number(filters[minKey])
   const maxValue = filters[maxKey] === '' ? sliderMax : Number(filters[maxKey])
 
-  function formatCompact(val) {
-    if (val >= 1_000_000_000) return `${(val / 1_000_000_000).toFixed(1)}b`
-    if (val >= 1_000_000) return `${(val / 1_000_000).toFixed(1)}m`
-    if (val >= 1_000) return `${(val / 1_000).toFixed(1)}k`
-    return val.toLocaleString('en-US')
-  }
-
   function handleSliderChange(kind, raw) {
     const numericValue = Number(raw)
     if (Number.isNaN(numericValue)) return
@@ -521,3 +1027,12 @@ function RangeFilterCard({ config, filters, setFilter, setFilters, sliderBounds
     </div>
   )
 }
+
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value)
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay)
+    return () => clearTimeout(timer)
+  }, [value, delay])
+  return debounced
+}
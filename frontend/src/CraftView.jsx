@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { formatCompact, numberOrNull } from './format'
+
+const CRAFT_STORAGE_KEY = 'skyblock_flips_crafts'
+
+const BUY_MODES = [
+  { key: 'order', label: 'Buy orders' },
+  { key: 'instant', label: 'Instabuy' },
+]
+
+const SELL_MODES = [
+  { key: 'offer', label: 'Sell offer' },
+  { key: 'instant', label: 'Instasell' },
+]
+
+function loadModes() {
+  try {
+    const saved = localStorage.getItem(CRAFT_STORAGE_KEY)
+    if (saved) return { buy: 'order', sell: 'offer', ...JSON.parse(saved) }
+  } catch (e) {
+    console.error('Failed to load craft settings', e)
+  }
+  return { buy: 'order', sell: 'offer' }
+}
+
+function round(n) {
+  return n == null ? null : Math.round(n)
+}
+
+export default function CraftView({ tax, profile, lastUpdated, onSelect }) {
+  const [modes, setModes] = useState(loadModes)
+  const [crafts, setCrafts] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    localStorage.setItem(CRAFT_STORAGE_KEY, JSON.stringify(modes))
+  }, [modes])
+
+  useEffect(() => {
+    let cancelled = false
+    async function load() {
+      setLoading(true)
+      try {
+        // A fee profile also carries per-product exemptions, the plain tax doesn't
+        const params = new URLSearchParams({ buy: modes.buy, sell: modes.sell })
+        if (profile) params.set('profile', profile)
+        else params.set('tax', String(tax))
+        const res = await authFetch(`${API_ROOT}/craft-flips?${params}`)
+        const j = await res.json()
+        if (!j.success) throw new Error(j.error || 'Failed to load craft flips')
+        if (!cancelled) {
+          setCrafts(j.data)
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [tax, profile, modes, lastUpdated])
+
+  return (
+    <section className="space-y-6">
+      <div className="frosted-panel rounded-2xl p-6 space-y-4">
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold tracking-tight">Craft flips</h2>
+            <p className="text-sm text-slate-400">
+              Buy the ingredients, craft, sell the result. Crafts per hour are limited by whichever product trades slowest, after {tax}% tax.
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <select className="input select" value={modes.buy} onChange={(e) => setModes({ ...modes, buy: e.target.value })}>
+              {BUY_MODES.map((m) => (
+                <option key={m.key} value={m.key}>
+                  Ingredients: {m.label}
+                </option>
+              ))}
+            </select>
+            <select className="input select" value={modes.sell} onChange={(e) => setModes({ ...modes, sell: e.target.value })}>
+              {SELL_MODES.map((m) => (
+                <option key={m.key} value={m.key}>
+                  Output: {m.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {error && <p className="text-sm text-rose-400">{error}</p>}
+      </div>
+
+      <div className="frosted-panel rounded-2xl p-6 overflow-x-auto">
+        {!crafts.length ? (
+          <p className="text-sm text-slate-400">{loading ? 'Loading…' : 'No profitable crafts right now.'}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-500 text-xs uppercase text-right">
+                <th className="text-left font-normal pb-2">Item</th>
+                <th className="font-normal pb-2">Craft cost</th>
+                <th className="font-normal pb-2">Sell</th>
+                <th className="font-normal pb-2">Profit / craft</th>
+                <th className="font-normal pb-2">ROI</th>
+                <th className="font-normal pb-2">Crafts / h</th>
+                <th className="font-normal pb-2">Coins / h</th>
+                <th className="font-normal pb-2">Bottleneck</th>
+              </tr>
+            </thead>
+            <tbody>
+              {crafts.map((c) => (
+                <tr key={c.id} className="text-right border-t border-white/5 hover:bg-white/5 cursor-pointer" onClick={() => onSelect(c.id)}>
+                  <td className="text-left py-2">
+                    <p>
+                      {c.title}
+                      {c.count > 1 && <span className="text-slate-500"> ×{c.count}</span>}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {c.ingredients.map((i) => `${i.quantity}× ${i.id} @ ${formatCompact(i.price)}`).join(' + ')}
+                    </p>
+                  </td>
+                  <td>{numberOrNull(round(c.cost))}</td>
+                  <td>{numberOrNull(c.sell)}</td>
+                  <td className="text-lime-300">{numberOrNull(round(c.profit))}</td>
+                  <td>{c.roi == null ? '—' : `${(c.roi * 100).toFixed(1)}%`}</td>
+                  <td>{numberOrNull(c.craftsPerHour)}</td>
+                  <td className="text-lime-300">{formatCompact(c.coinsPerHour)}</td>
+                  <td className="text-slate-400">{c.bottleneck === c.id ? 'output' : c.bottleneck}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
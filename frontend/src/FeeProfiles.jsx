@@ -0,0 +1,154 @@
+import React, { useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { DEFAULT_TAX } from './flips'
+
+const FLIPPER_LEVELS = [
+  { value: 0, label: 'No Bazaar Flipper' },
+  { value: 1, label: 'Bazaar Flipper I' },
+  { value: 2, label: 'Bazaar Flipper II' },
+]
+
+const emptyDraft = { name: '', flipperLevel: 1, cookie: true, exemptions: '' }
+
+function toDraft(profile) {
+  return { name: profile.name, flipperLevel: profile.flipperLevel, cookie: profile.cookie, exemptions: profile.exemptions.join(', ') }
+}
+
+// Sell tax for the flip list: a saved fee profile (see backend/lib/fees.js) or a manual percentage
+export default function FeeProfiles({ profiles, profileId, tax, onTaxChange, onSelect, onSaved }) {
+  // null while not editing, otherwise { id?, ...fields }
+  const [draft, setDraft] = useState(null)
+  const [error, setError] = useState(null)
+  const profile = profiles.find((p) => p.id === profileId)
+
+  async function save(e) {
+    e.preventDefault()
+    setError(null)
+    try {
+      const res = await authFetch(draft.id ? `${API_ROOT}/profiles/${draft.id}` : `${API_ROOT}/profiles`, {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: draft.name,
+          flipperLevel: Number(draft.flipperLevel),
+          cookie: draft.cookie,
+          exemptions: draft.exemptions.split(',').map((id) => id.trim()).filter(Boolean),
+        }),
+      })
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to save profile')
+      setDraft(null)
+      onSaved(j.data)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function remove() {
+    setError(null)
+    try {
+      const res = await authFetch(`${API_ROOT}/profiles/${profile.id}`, { method: 'DELETE' })
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to delete profile')
+      onSelect('')
+      onSaved(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="frosted-card p-4 rounded-xl border border-white/5 space-y-2">
+      <div className="flex justify-between items-center">
+        <label htmlFor="feeProfile" className="text-sm font-medium text-slate-300">
+          Fees
+        </label>
+        <span className="text-xs text-slate-500 font-mono">{profile ? profile.fees.sellTax : tax}% tax</span>
+      </div>
+      <select id="feeProfile" className="input select w-full" value={profileId} onChange={(e) => onSelect(e.target.value)}>
+        <option value="">Manual tax</option>
+        {profiles.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+          </option>
+        ))}
+      </select>
+
+      {!profile && !draft && (
+        <>
+          <input
+            id="taxInput"
+            type="number"
+            step="0.001"
+            min="0"
+            max="100"
+            className="input w-full"
+            value={tax}
+            onChange={(e) => onTaxChange(Number(e.target.value))}
+          />
+          <p className="text-xs text-slate-500">Applied to sales (Buy Price). Default: {DEFAULT_TAX}%</p>
+        </>
+      )}
+
+      {profile && !draft && (
+        <div className="text-xs text-slate-400 space-y-1">
+          <p>
+            {profile.fees.baseTax}% base − {profile.fees.flipperDiscount}% Bazaar Flipper
+            {profile.fees.cookieSurcharge ? ` + ${profile.fees.cookieSurcharge}% without cookie` : ''} = {profile.fees.sellTax}% on sales
+          </p>
+          {!!profile.exemptions.length && <p>Untaxed: {profile.exemptions.join(', ')}</p>}
+        </div>
+      )}
+
+      {draft ? (
+        <form className="space-y-2" onSubmit={save}>
+          <input className="input w-full" placeholder="Profile name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          <select className="input select w-full" value={draft.flipperLevel} onChange={(e) => setDraft({ ...draft, flipperLevel: e.target.value })}>
+            {FLIPPER_LEVELS.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={draft.cookie} onChange={(e) => setDraft({ ...draft, cookie: e.target.checked })} />
+            Booster Cookie active
+            <span className="text-xs text-slate-500">(for your records, doesn't change the tax)</span>
+          </label>
+          <input
+            className="input w-full"
+            placeholder="Untaxed products (comma separated ids)"
+            value={draft.exemptions}
+            onChange={(e) => setDraft({ ...draft, exemptions: e.target.value })}
+          />
+          <div className="flex gap-3">
+            <button className="btn-primary text-xs" type="submit">
+              Save profile
+            </button>
+            <button className="btn-ghost text-xs" type="button" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex gap-3">
+          <button className="btn-ghost text-xs" onClick={() => setDraft({ ...emptyDraft })}>
+            New profile
+          </button>
+          {profile && (
+            <>
+              <button className="btn-ghost text-xs" onClick={() => setDraft({ id: profile.id, ...toDraft(profile) })}>
+                Edit
+              </button>
+              <button className="btn-ghost text-xs" onClick={remove}>
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      {error && <p className="text-xs text-rose-400">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,181 @@
+import React, { useEffect, useRef, useState } from 'react'
+import ItemIcon from './ItemIcon'
+import { rarityStyle } from './items'
+import { DEFAULT_COLUMNS, ROW_HEIGHT, TABLE_COLUMNS, formatCell, moveColumn, nextRow, scrollToRow, tableColumn, toggleColumn, visibleRange } from './tableColumns'
+
+const SHORTCUTS = '↑/↓ or j/k move · PgUp/PgDn/Home/End jump · Enter or o opens · s stars'
+
+function ColumnPicker({ columns, onChange }) {
+  const hidden = TABLE_COLUMNS.filter((c) => !columns.includes(c.key))
+  return (
+    <div className="frosted-card p-4 rounded-xl border border-white/5 space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <p className="text-slate-300 font-medium">Columns</p>
+        <button className="btn-ghost text-xs" onClick={() => onChange([...DEFAULT_COLUMNS])}>
+          Reset
+        </button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+        {columns.map((key, i) => (
+          <div key={key} className="flex items-center gap-2">
+            <input type="checkbox" checked onChange={() => onChange(toggleColumn(columns, key))} disabled={columns.length === 1} />
+            <span className="flex-1">{tableColumn(key).label}</span>
+            <button className="text-slate-500 hover:text-cyan-300 disabled:opacity-30" disabled={i === 0} title="Move left" onClick={() => onChange(moveColumn(columns, key, -1))}>
+              ←
+            </button>
+            <button
+              className="text-slate-500 hover:text-cyan-300 disabled:opacity-30"
+              disabled={i === columns.length - 1}
+              title="Move right"
+              onClick={() => onChange(moveColumn(columns, key, 1))}
+            >
+              →
+            </button>
+          </div>
+        ))}
+        {hidden.map((c) => (
+          <label key={c.key} className="flex items-center gap-2 text-slate-500">
+            <input type="checkbox" checked={false} onChange={() => onChange(toggleColumn(columns, c.key))} />
+            {c.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Dense, virtualized alternative to the flip cards, see tableColumns.js
+export default function FlipTable({ items, columns, onColumnsChange, sortBy, sortDir, onSort, watchIds, onToggleWatch, onOpen }) {
+  const container = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(600)
+  const [showColumns, setShowColumns] = useState(false)
+  // Tracked by id so the highlighted row stays put while live updates reorder the list
+  const [activeId, setActiveId] = useState(null)
+
+  useEffect(() => {
+    const measure = () => container.current && setViewportHeight(container.current.clientHeight)
+    measure()
+    window.addEventListener('resize', measure)
+    return () => window.removeEventListener('resize', measure)
+  }, [])
+
+  const activeIndex = items.findIndex((item) => item.id === activeId)
+  const { start, end } = visibleRange({ scrollTop, viewportHeight, count: items.length })
+  // The sticky header takes one row of the viewport
+  const pageRows = Math.max(1, Math.floor(viewportHeight / ROW_HEIGHT) - 1)
+
+  function focusRow(index) {
+    setActiveId(items[index].id)
+    const el = container.current
+    // Row positions are offset by the header row
+    const top = scrollToRow({ index, scrollTop: el.scrollTop, viewportHeight: viewportHeight - ROW_HEIGHT })
+    if (top !== el.scrollTop) el.scrollTop = top
+  }
+
+  function handleKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return
+    const next = nextRow(activeIndex, e.key, items.length, pageRows)
+    if (next != null) {
+      e.preventDefault()
+      focusRow(next)
+      return
+    }
+    const active = items[activeIndex]
+    if (!active) return
+    if (e.key === 'Enter' || e.key === 'o') {
+      e.preventDefault()
+      onOpen(active.id)
+    } else if (e.key === 's' || e.key === '*') {
+      e.preventDefault()
+      onToggleWatch(active.id)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 text-xs text-slate-500">
+        <span>{SHORTCUTS}</span>
+        <button className="btn-ghost text-xs" onClick={() => setShowColumns(!showColumns)}>
+          {showColumns ? 'Hide columns' : 'Columns'}
+        </button>
+      </div>
+      {showColumns && <ColumnPicker columns={columns} onChange={onColumnsChange} />}
+
+      <div
+        ref={container}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="frosted-panel rounded-2xl overflow-auto h-[70vh] focus:outline-none focus:ring-1 focus:ring-cyan-400/40"
+      >
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 z-10 bg-slate-900">
+            <tr className="text-slate-500 text-xs uppercase" style={{ height: ROW_HEIGHT }}>
+              <th className="w-8" />
+              {columns.map((key) => {
+                const column = tableColumn(key)
+                const active = sortBy === key
+                return (
+                  <th key={key} className={`font-normal px-3 whitespace-nowrap ${column.align === 'left' ? 'text-left' : 'text-right'}`}>
+                    {column.sortable ? (
+                      <button className={active ? 'text-cyan-300' : 'hover:text-slate-300'} onClick={() => onSort(key)}>
+                        {column.label}
+                        {active && (sortDir === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    ) : (
+                      column.label
+                    )}
+                  </th>
+                )
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {start > 0 && <tr style={{ height: start * ROW_HEIGHT }} />}
+            {items.slice(start, end).map((item, i) => {
+              const watched = watchIds.includes(item.id)
+              return (
+                <tr
+                  key={item.id}
+                  style={{ height: ROW_HEIGHT }}
+                  onClick={() => {
+                    setActiveId(item.id)
+                    onOpen(item.id)
+                  }}
+                  className={`cursor-pointer border-t border-white/5 ${start + i === activeIndex ? 'bg-cyan-500/10' : 'hover:bg-white/5'}`}
+                >
+                  <td className="text-center">
+                    <button
+                      className={watched ? 'text-amber-300' : 'text-slate-600 hover:text-amber-300'}
+                      title={watched ? 'Remove from watchlist' : 'Add to watchlist'}
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        onToggleWatch(item.id)
+                      }}
+                    >
+                      {watched ? '★' : '☆'}
+                    </button>
+                  </td>
+                  {columns.map((key) => (
+                    <td key={key} className={`px-3 whitespace-nowrap ${tableColumn(key).align === 'left' ? 'text-left' : 'text-right'}`}>
+                      {key === 'title' ? (
+                        <span className="flex items-center gap-2" style={rarityStyle(item.rarity)} title={item.id}>
+                          <ItemIcon img={item.img} title={item.title} className="w-5 h-5" />
+                          {formatCell(item, key)}
+                        </span>
+                      ) : (
+                        formatCell(item, key)
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              )
+            })}
+            {end < items.length && <tr style={{ height: (items.length - end) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
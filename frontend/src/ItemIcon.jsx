@@ -0,0 +1,12 @@
+import React, { useState } from 'react'
+import { assetUrl } from './items'
+
+// Item icon served by the backend's icon cache, with the title's first letter when there is none
+export default function ItemIcon({ img, title, className = 'w-14 h-14' }) {
+  const [failed, setFailed] = useState(false)
+  const src = assetUrl(img)
+  if (!src || failed) {
+    return <span className={`${className} flex items-center justify-center text-slate-500 font-semibold`}>{(title || '?').charAt(0)}</span>
+  }
+  return <img src={src} alt={title} loading="lazy" className={`${className} object-contain`} onError={() => setFailed(true)} />
+}
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { numberOrNull, parseShorthandNumber } from './format'
+
+const emptyFill = { productId: '', side: 'buy', quantity: '', price: '', time: '' }
+
+function round(n) {
+  return n == null ? null : Math.round(n)
+}
+
+function profitClass(n) {
+  if (n == null) return ''
+  return n >= 0 ? 'text-lime-300' : 'text-rose-300'
+}
+
+export default function JournalView({ tax, products, onSelect }) {
+  const [fills, setFills] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [draft, setDraft] = useState(emptyFill)
+  const [error, setError] = useState(null)
+
+  async function load() {
+    try {
+      const [fillsRes, summaryRes] = await Promise.all([
+        authFetch(`${API_ROOT}/journal`),
+        authFetch(`${API_ROOT}/journal/summary?tax=${tax}`),
+      ])
+      const f = await fillsRes.json()
+      const s = await summaryRes.json()
+      if (!f.success) throw new Error(f.error || 'Failed to load journal')
+      if (!s.success) throw new Error(s.error || 'Failed to load journal summary')
+      setFills(f.data)
+      setSummary(s.data)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    load()
+  }, [tax])
+
+  async function logFill(e) {
+    e.preventDefault()
+    setError(null)
+    try {
+      const res = await authFetch(`${API_ROOT}/journal/fills`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          productId: draft.productId,
+          side: draft.side,
+          quantity: parseShorthandNumber(draft.quantity),
+          price: parseShorthandNumber(draft.price),
+          t: draft.time ? new Date(draft.time).getTime() : undefined,
+          tax,
+        }),
+      })
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to log fill')
+      setDraft({ ...emptyFill, productId: draft.productId })
+      load()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function deleteFill(id) {
+    try {
+      const res = await authFetch(`${API_ROOT}/journal/fills/${id}`, { method: 'DELETE' })
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to delete fill')
+      load()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <section className="space-y-6">
+      <form className="frosted-panel rounded-2xl p-6 space-y-4" onSubmit={logFill}>
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Trade journal</h2>
+          <p className="text-sm text-slate-400">Log your filled buy orders and sell offers. Sells are matched to earlier buys first-in first-out, after {tax}% tax.</p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            className="input"
+            placeholder="Product id"
+            list="journal-products"
+            value={draft.productId}
+            onChange={(e) => setDraft({ ...draft, productId: e.target.value })}
+          />
+          <datalist id="journal-products">
+            {products.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.title}
+              </option>
+            ))}
+          </datalist>
+          <select className="input select" value={draft.side} onChange={(e) => setDraft({ ...draft, side: e.target.value })}>
+            <option value="buy">Buy order filled</option>
+            <option value="sell">Sell offer filled</option>
+          </select>
+          <input className="input" placeholder="Quantity" value={draft.quantity} onChange={(e) => setDraft({ ...draft, quantity: e.target.value })} inputMode="numeric" />
+          <input className="input" placeholder="Price per item" value={draft.price} onChange={(e) => setDraft({ ...draft, price: e.target.value })} inputMode="numeric" />
+          <input className="input" type="datetime-local" value={draft.time} onChange={(e) => setDraft({ ...draft, time: e.target.value })} />
+        </div>
+        <div className="flex items-center gap-4">
+          <button className="btn-primary" type="submit">
+            Log fill
+          </button>
+          <span className="text-xs text-slate-500">Leave the time empty for now.</span>
+          {error && <span className="text-sm text-rose-400">{error}</span>}
+        </div>
+      </form>
+
+      {summary && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="stat-pill">
+              <p className="stat-label">Realized</p>
+              <p className={`stat-value ${profitClass(summary.totals.realized)}`}>{numberOrNull(round(summary.totals.realized))}</p>
+              <p className="stat-meta">coins after tax</p>
+            </div>
+            <div className="stat-pill">
+              <p className="stat-label">Open</p>
+              <p className="stat-value">{numberOrNull(round(summary.totals.openCost))}</p>
+              <p className="stat-meta">coins in open positions</p>
+            </div>
+            <div className="stat-pill">
+              <p className="stat-label">Avg hold</p>
+              <p className="stat-value">{summary.totals.avgHoldHours == null ? '—' : `${summary.totals.avgHoldHours.toFixed(1)}h`}</p>
+              <p className="stat-meta">buy fill to sell fill</p>
+            </div>
+            <div className="stat-pill">
+              <p className="stat-label">Fills</p>
+              <p className="stat-value">{summary.totals.fills}</p>
+              <p className="stat-meta">logged</p>
+            </div>
+          </div>
+
+          <JournalTable
+            title="Per item"
+            rows={summary.perItem}
+            rowKey="productId"
+            onRowClick={(row) => onSelect(row.productId)}
+            columns={[
+              { label: 'Item', render: (r) => r.productId, left: true },
+              { label: 'Bought', render: (r) => numberOrNull(r.bought) },
+              { label: 'Sold', render: (r) => numberOrNull(r.sold) },
+              { label: 'Avg buy', render: (r) => numberOrNull(round(r.avgBuy)) },
+              { label: 'Avg sell', render: (r) => numberOrNull(round(r.avgSell)) },
+              { label: 'Margin', render: (r) => numberOrNull(round(r.realizedMargin)), className: (r) => profitClass(r.realizedMargin) },
+              { label: 'Predicted', render: (r) => numberOrNull(round(r.predictedMargin)) },
+              { label: 'Hold', render: (r) => (r.avgHoldHours == null ? '—' : `${r.avgHoldHours.toFixed(1)}h`) },
+              { label: 'Realized', render: (r) => numberOrNull(round(r.realized)), className: (r) => profitClass(r.realized) },
+            ]}
+          />
+
+          <JournalTable
+            title="Per day"
+            rows={[...summary.perDay].reverse()}
+            rowKey="day"
+            columns={[
+              { label: 'Day', render: (r) => r.day, left: true },
+              { label: 'Sell fills', render: (r) => r.trades },
+              { label: 'Items sold', render: (r) => numberOrNull(r.sold) },
+              { label: 'Realized', render: (r) => numberOrNull(round(r.realized)), className: (r) => profitClass(r.realized) },
+            ]}
+          />
+
+          <JournalTable
+            title="Open positions"
+            rows={summary.openPositions}
+            rowKey="productId"
+            onRowClick={(row) => onSelect(row.productId)}
+            columns={[
+              { label: 'Item', render: (r) => r.productId, left: true },
+              { label: 'Quantity', render: (r) => numberOrNull(r.quantity) },
+              { label: 'Avg cost', render: (r) => numberOrNull(round(r.avgCost)) },
+              { label: 'Current sell', render: (r) => numberOrNull(r.markPrice) },
+              { label: 'Unrealized', render: (r) => numberOrNull(round(r.unrealized)), className: (r) => profitClass(r.unrealized) },
+              { label: 'Since', render: (r) => new Date(r.since).toLocaleString() },
+            ]}
+          />
+        </>
+      )}
+
+      <JournalTable
+        title="Fills"
+        rows={[...fills].sort((a, b) => b.t - a.t)}
+        rowKey="id"
+        columns={[
+          { label: 'Time', render: (r) => new Date(r.t).toLocaleString(), left: true },
+          { label: 'Item', render: (r) => r.productId, left: true },
+          { label: 'Side', render: (r) => r.side, left: true },
+          { label: 'Quantity', render: (r) => numberOrNull(r.quantity) },
+          { label: 'Price', render: (r) => numberOrNull(r.price) },
+          {
+            label: '',
+            render: (r) => (
+              <button className="btn-ghost text-xs text-rose-300" onClick={() => deleteFill(r.id)}>
+                Delete
+              </button>
+            ),
+          },
+        ]}
+      />
+    </section>
+  )
+}
+
+function JournalTable({ title, rows, rowKey, columns, onRowClick }) {
+  return (
+    <div className="frosted-panel rounded-2xl p-6 overflow-x-auto">
+      <h3 className="text-sm font-medium text-slate-400 uppercase tracking-wider mb-3">{title}</h3>
+      {!rows.length ? (
+        <p className="text-sm text-slate-500">Nothing yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs uppercase">
+              {columns.map((c, i) => (
+                <th key={i} className={`font-normal pb-2 ${c.left ? 'text-left' : 'text-right'}`}>
+                  {c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row[rowKey]}
+                className={`border-t border-white/5 ${onRowClick ? 'hover:bg-white/5 cursor-pointer' : ''}`}
+                onClick={onRowClick ? () => onRowClick(row) : undefined}
+              >
+                {columns.map((c, i) => (
+                  <td key={i} className={`py-2 ${c.left ? 'text-left' : 'text-right'} ${c.className ? c.className(row) : ''}`}>
+                    {c.render(row)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,118 @@
+import React, { useMemo, useState } from 'react'
+import { formatCompact } from './format'
+
+const WIDTH = 640
+const HEIGHT = 180
+const PAD = { top: 10, right: 12, bottom: 22, left: 56 }
+
+function formatTime(t, span) {
+  const d = new Date(t)
+  if (span > 2 * 24 * 60 * 60 * 1000) return d.toLocaleDateString()
+  return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
+
+// Minimal SVG time-series chart.
+// `points` is an array of { t, ...values }, `series` describes which keys to draw.
+export default function LineChart({ title, points, series, format = formatCompact }) {
+  const [hover, setHover] = useState(null)
+
+  const bounds = useMemo(() => {
+    let min = Infinity
+    let max = -Infinity
+    for (const p of points) {
+      for (const s of series) {
+        const v = p[s.key]
+        if (typeof v !== 'number' || Number.isNaN(v)) continue
+        if (v < min) min = v
+        if (v > max) max = v
+      }
+    }
+    if (min === Infinity) return null
+    if (min === max) {
+      min -= Math.abs(min) * 0.05 || 1
+      max += Math.abs(max) * 0.05 || 1
+    }
+    const t0 = points[0].t
+    const t1 = points[points.length - 1].t
+    return { min, max, t0, t1: t1 === t0 ? t0 + 1 : t1 }
+  }, [points, series])
+
+  if (!bounds) {
+    return (
+      <div className="filter-card">
+        <p className="text-xs uppercase tracking-wide text-slate-400">{title}</p>
+        <p className="text-sm text-slate-500 mt-3">No history recorded for this range yet.</p>
+      </div>
+    )
+  }
+
+  const x = (t) => PAD.left + ((t - bounds.t0) / (bounds.t1 - bounds.t0)) * (WIDTH - PAD.left - PAD.right)
+  const y = (v) => PAD.top + (1 - (v - bounds.min) / (bounds.max - bounds.min)) * (HEIGHT - PAD.top - PAD.bottom)
+
+  function handleMove(e) {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const t = bounds.t0 + ((e.clientX - rect.left) / rect.width * WIDTH - PAD.left) / (WIDTH - PAD.left - PAD.right) * (bounds.t1 - bounds.t0)
+    let nearest = 0
+    for (let i = 1; i < points.length; i++) {
+      if (Math.abs(points[i].t - t) < Math.abs(points[nearest].t - t)) nearest = i
+    }
+    setHover(nearest)
+  }
+
+  const hovered = hover == null ? points[points.length - 1] : points[hover]
+
+  return (
+    <div className="filter-card">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <p className="text-xs uppercase tracking-wide text-slate-400">{title}</p>
+        <div className="flex flex-wrap gap-3 text-xs">
+          {series.map((s) => (
+            <span key={s.key} style={{ color: s.color }}>
+              {s.label}: {hovered[s.key] == null ? '—' : format(hovered[s.key])}
+            </span>
+          ))}
+          <span className="text-slate-500">{new Date(hovered.t).toLocaleString()}</span>
+        </div>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        onMouseMove={handleMove}
+        onMouseLeave={() => setHover(null)}
+      >
+        {[0, 0.5, 1].map((f) => {
+          const v = bounds.min + (bounds.max - bounds.min) * f
+          return (
+            <g key={f}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(v)} y2={y(v)} stroke="rgba(148,163,184,0.12)" />
+              <text x={PAD.left - 6} y={y(v) + 4} textAnchor="end" fontSize="10" fill="#64748b">
+                {format(v)}
+              </text>
+            </g>
+          )
+        })}
+        <text x={PAD.left} y={HEIGHT - 6} fontSize="10" fill="#64748b">
+          {formatTime(bounds.t0, bounds.t1 - bounds.t0)}
+        </text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end" fontSize="10" fill="#64748b">
+          {formatTime(bounds.t1, bounds.t1 - bounds.t0)}
+        </text>
+        {series.map((s) => (
+          <polyline
+            key={s.key}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="1.5"
+            points={points
+              .filter((p) => typeof p[s.key] === 'number')
+              .map((p) => `${x(p.t).toFixed(1)},${y(p[s.key]).toFixed(1)}`)
+              .join(' ')}
+          />
+        ))}
+        {hover != null && (
+          <line x1={x(hovered.t)} x2={x(hovered.t)} y1={PAD.top} y2={HEIGHT - PAD.bottom} stroke="rgba(56,189,248,0.5)" />
+        )}
+      </svg>
+    </div>
+  )
+}
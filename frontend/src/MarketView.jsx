@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { formatCompact } from './format'
+
+const WINDOWS = ['1h', '24h']
+
+function formatPct(pct) {
+  return `${pct > 0 ? '+' : ''}${pct.toFixed(1)}%`
+}
+
+function title(id) {
+  return id.replace(/_/g, ' ')
+}
+
+// One side of a movers list ("up" or "down")
+function MoverList({ label, movers, onSelect }) {
+  return (
+    <div className="space-y-1">
+      <p className="text-slate-500 text-xs uppercase">{label}</p>
+      {!movers.length && <p className="text-sm text-slate-500">—</p>}
+      {movers.map((m) => (
+        <button key={m.id} className="w-full flex justify-between gap-3 text-sm hover:bg-white/5 rounded px-1" onClick={() => onSelect(m.id)}>
+          <span className="truncate text-left">{title(m.id)}</span>
+          <span className="whitespace-nowrap text-slate-400">
+            {formatCompact(m.before)} → {formatCompact(m.now)}{' '}
+            <span className={m.change > 0 ? 'text-lime-300' : 'text-rose-300'}>{formatPct(m.changePct)}</span>
+          </span>
+        </button>
+      ))}
+    </div>
+  )
+}
+
+function MoversPanel({ heading, data, windowName, onSelect }) {
+  return (
+    <div className="frosted-panel rounded-2xl p-6 space-y-4">
+      <h3 className="text-lg font-semibold">{heading}</h3>
+      {data && !data.compared ? (
+        <p className="text-sm text-slate-400">No recorded history from {windowName} ago yet. Movers show up once the backend has been recording that long.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <MoverList label="Up" movers={data?.up || []} onSelect={onSelect} />
+          <MoverList label="Down" movers={data?.down || []} onSelect={onSelect} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Market-wide view, see backend/lib/analytics.js
+export default function MarketView({ tax, profile, lastUpdated, onSelect }) {
+  const [windowName, setWindowName] = useState('1h')
+  const [data, setData] = useState({ movers: null, volume: null, spreads: null, categories: [] })
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    async function get(path) {
+      const res = await authFetch(`${API_ROOT}/analytics/${path}`)
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to load market analytics')
+      return j.data
+    }
+    async function load() {
+      try {
+        const fees = profile ? `profile=${encodeURIComponent(profile)}` : `tax=${tax}`
+        const [movers, volume, spreads, categories] = await Promise.all([
+          get(`movers?window=${windowName}`),
+          get(`volume?window=${windowName}`),
+          get('spreads'),
+          get(`categories?${fees}`),
+        ])
+        if (!cancelled) {
+          setData({ movers, volume, spreads, categories })
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      }
+    }
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [windowName, tax, profile, lastUpdated])
+
+  const maxBucket = Math.max(1, ...(data.spreads?.buckets || []).map((b) => b.count))
+
+  return (
+    <section className="space-y-6">
+      <div className="frosted-panel rounded-2xl p-6 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Market</h2>
+          <p className="text-sm text-slate-400">The whole bazaar at a glance: what moved, where volume went, how wide spreads are and which categories hold the flips.</p>
+        </div>
+        <select className="input select" value={windowName} onChange={(e) => setWindowName(e.target.value)}>
+          {WINDOWS.map((w) => (
+            <option key={w} value={w}>
+              Last {w}
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && <p className="text-sm text-rose-400">{error}</p>}
+
+      <MoversPanel heading="Price movers" data={data.movers} windowName={windowName} onSelect={onSelect} />
+      <MoversPanel heading="Volume changes (weekly volume)" data={data.volume} windowName={windowName} onSelect={onSelect} />
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="frosted-panel rounded-2xl p-6 space-y-3">
+          <h3 className="text-lg font-semibold">Spreads</h3>
+          <p className="text-sm text-slate-400">
+            Sell offer over buy order across {data.spreads?.products ?? 0} products, median {data.spreads?.median != null ? `${data.spreads.median.toFixed(1)}%` : '—'}
+          </p>
+          {(data.spreads?.buckets || []).map((b) => (
+            <div key={b.min} className="flex items-center gap-2 text-xs">
+              <span className="w-16 text-right text-slate-400">{b.max == null ? `${b.min}%+` : `${b.min}–${b.max}%`}</span>
+              <div className="flex-1 h-3 rounded bg-white/5">
+                <div className="h-3 rounded bg-cyan-400/60" style={{ width: `${(b.count / maxBucket) * 100}%` }} />
+              </div>
+              <span className="w-10 text-slate-400">{b.count}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="frosted-panel rounded-2xl p-6 overflow-x-auto md:col-span-2">
+          <h3 className="text-lg font-semibold mb-3">Categories</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-500 text-xs uppercase text-right">
+                <th className="text-left font-normal pb-2">Category</th>
+                <th className="font-normal pb-2">Products</th>
+                <th className="font-normal pb-2">Flips</th>
+                <th className="font-normal pb-2">Coins / h</th>
+                <th className="font-normal pb-2">Realistic / h</th>
+                <th className="font-normal pb-2">Median spread</th>
+                <th className="text-left font-normal pb-2 pl-3">Best flip</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.categories.map((c) => (
+                <tr key={c.category} className="text-right border-t border-white/5">
+                  <td className="text-left py-2 capitalize">{c.category}</td>
+                  <td>{c.products}</td>
+                  <td>{c.flips}</td>
+                  <td className="text-lime-300">{formatCompact(c.coinsPerHour)}</td>
+                  <td>{formatCompact(c.realisticCoinsPerHour)}</td>
+                  <td>{c.medianSpreadPct != null ? `${c.medianSpreadPct.toFixed(1)}%` : '—'}</td>
+                  <td className="text-left pl-3">
+                    {c.topFlip ? (
+                      <button className="text-cyan-300 hover:text-cyan-200" onClick={() => onSelect(c.topFlip.id)}>
+                        {title(c.topFlip.id)}
+                      </button>
+                    ) : (
+                      '—'
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-500 mt-3">Products can count towards several categories, e.g. enchanted farming items.</p>
+        </div>
+      </div>
+    </section>
+  )
+}
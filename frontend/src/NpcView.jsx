@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { formatCompact, numberOrNull, parseShorthandNumber } from './format'
+
+const NPC_STORAGE_KEY = 'skyblock_flips_npc'
+
+const BUY_MODES = [
+  { key: 'order', label: 'Buy orders' },
+  { key: 'instant', label: 'Instabuy' },
+]
+
+const defaultSettings = { buy: 'order', dailyLimit: '' }
+
+function loadSettings() {
+  try {
+    const saved = localStorage.getItem(NPC_STORAGE_KEY)
+    if (saved) return { ...defaultSettings, ...JSON.parse(saved) }
+  } catch (e) {
+    console.error('Failed to load NPC settings', e)
+  }
+  return { ...defaultSettings }
+}
+
+export default function NpcView({ lastUpdated, onSelect }) {
+  const [settings, setSettings] = useState(loadSettings)
+  const [flips, setFlips] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    localStorage.setItem(NPC_STORAGE_KEY, JSON.stringify(settings))
+  }, [settings])
+
+  useEffect(() => {
+    let cancelled = false
+    async function load() {
+      setLoading(true)
+      try {
+        const params = new URLSearchParams({ buy: settings.buy })
+        const dailyLimit = parseShorthandNumber(settings.dailyLimit)
+        if (dailyLimit > 0) params.set('dailyLimit', String(dailyLimit))
+        const res = await fetch(`${API_ROOT}/npc-flips?${params}`)
+        const j = await res.json()
+        if (!j.success) throw new Error(j.error || 'Failed to load NPC flips')
+        if (!cancelled) {
+          setFlips(j.data)
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [settings, lastUpdated])
+
+  return (
+    <section className="space-y-6">
+      <div className="frosted-panel rounded-2xl p-6 space-y-4">
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold tracking-tight">NPC flips</h2>
+            <p className="text-sm text-slate-400">
+              Items the bazaar sells for less than NPC merchants pay. NPC sales are untaxed; per day is capped by bazaar volume and the NPC daily sell limit.
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <select className="input select" value={settings.buy} onChange={(e) => setSettings({ ...settings, buy: e.target.value })}>
+              {BUY_MODES.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            <input
+              className="input"
+              placeholder="Daily limit (items)"
+              value={settings.dailyLimit}
+              onChange={(e) => setSettings({ ...settings, dailyLimit: e.target.value })}
+              inputMode="numeric"
+            />
+          </div>
+        </div>
+        {error && <p className="text-sm text-rose-400">{error}</p>}
+      </div>
+
+      <div className="frosted-panel rounded-2xl p-6 overflow-x-auto">
+        {!flips.length ? (
+          <p className="text-sm text-slate-400">{loading ? 'Loading…' : 'Nothing sells to an NPC for more than it costs right now.'}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-500 text-xs uppercase text-right">
+                <th className="text-left font-normal pb-2">Item</th>
+                <th className="font-normal pb-2">Bazaar</th>
+                <th className="font-normal pb-2">NPC</th>
+                <th className="font-normal pb-2">Profit / item</th>
+                <th className="font-normal pb-2">ROI</th>
+                <th className="font-normal pb-2">Items / h</th>
+                <th className="font-normal pb-2">Coins / h</th>
+                <th className="font-normal pb-2">Items / day</th>
+                <th className="font-normal pb-2">Coins / day</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flips.map((f) => (
+                <tr key={f.id} className="text-right border-t border-white/5 hover:bg-white/5 cursor-pointer" onClick={() => onSelect(f.id)}>
+                  <td className="text-left py-2">{f.title}</td>
+                  <td>{numberOrNull(f.buy)}</td>
+                  <td>{numberOrNull(f.npcPrice)}</td>
+                  <td className="text-lime-300">{numberOrNull(Math.round(f.profit * 10) / 10)}</td>
+                  <td>{`${(f.roi * 100).toFixed(1)}%`}</td>
+                  <td>{numberOrNull(f.itemsPerHour)}</td>
+                  <td>{formatCompact(f.coinsPerHour)}</td>
+                  <td title={f.hoursToLimit ? `Daily limit reached after ${f.hoursToLimit.toFixed(1)}h` : undefined}>
+                    {numberOrNull(f.itemsPerDay)}
+                    {f.hoursToLimit != null && <span className="text-amber-300"> (limit)</span>}
+                  </td>
+                  <td className="text-lime-300">{formatCompact(f.coinsPerDay)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { numberOrNull, parseShorthandNumber } from './format'
+
+const emptyOrder = { productId: '', side: 'buy', price: '', quantity: '', webhookUrl: '' }
+
+const STATUS = {
+  top: { label: 'Top of book', className: 'text-lime-300 border-lime-400/50' },
+  tied: { label: 'Tied', className: 'text-amber-300 border-amber-400/50' },
+  undercut: { label: 'Undercut', className: 'text-rose-300 border-rose-400/50' },
+  unknown: { label: 'No book', className: 'text-slate-400' },
+}
+
+export default function OrdersView({ products, lastUpdated, onSelect }) {
+  const [orders, setOrders] = useState([])
+  const [draft, setDraft] = useState(emptyOrder)
+  const [error, setError] = useState(null)
+
+  async function load() {
+    try {
+      const res = await authFetch(`${API_ROOT}/orders`)
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to load orders')
+      setOrders(j.data)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Statuses change with every bazaar update
+  useEffect(() => {
+    load()
+  }, [lastUpdated])
+
+  async function request(url, options, fallbackError) {
+    setError(null)
+    try {
+      const res = await authFetch(url, options)
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || fallbackError)
+      load()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    }
+  }
+
+  async function addOrder(e) {
+    e.preventDefault()
+    const ok = await request(
+      `${API_ROOT}/orders`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          productId: draft.productId,
+          side: draft.side,
+          price: parseShorthandNumber(draft.price),
+          quantity: parseShorthandNumber(draft.quantity),
+          webhookUrl: draft.webhookUrl || undefined,
+        }),
+      },
+      'Failed to register order',
+    )
+    if (ok) setDraft({ ...emptyOrder, side: draft.side, webhookUrl: draft.webhookUrl })
+  }
+
+  function relist(order) {
+    return request(
+      `${API_ROOT}/orders/${order.id}`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ price: order.suggestedPrice }),
+      },
+      'Failed to update order',
+    )
+  }
+
+  function removeOrder(id) {
+    return request(`${API_ROOT}/orders/${id}`, { method: 'DELETE' }, 'Failed to delete order')
+  }
+
+  return (
+    <section className="space-y-6">
+      <form className="frosted-panel rounded-2xl p-6 space-y-4" onSubmit={addOrder}>
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Open orders</h2>
+          <p className="text-sm text-slate-400">
+            Register the buy orders and sell offers you placed. They are checked against the top of the book on every update, and you get an alert when one is undercut.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            className="input"
+            placeholder="Product id"
+            list="order-products"
+            value={draft.productId}
+            onChange={(e) => setDraft({ ...draft, productId: e.target.value })}
+          />
+          <datalist id="order-products">
+            {products.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.title}
+              </option>
+            ))}
+          </datalist>
+          <select className="input select" value={draft.side} onChange={(e) => setDraft({ ...draft, side: e.target.value })}>
+            <option value="buy">Buy order</option>
+            <option value="sell">Sell offer</option>
+          </select>
+          <input className="input" placeholder="Price per item" value={draft.price} onChange={(e) => setDraft({ ...draft, price: e.target.value })} inputMode="numeric" />
+          <input className="input" placeholder="Quantity" value={draft.quantity} onChange={(e) => setDraft({ ...draft, quantity: e.target.value })} inputMode="numeric" />
+          <input
+            className="input"
+            placeholder="Webhook URL (optional)"
+            value={draft.webhookUrl}
+            onChange={(e) => setDraft({ ...draft, webhookUrl: e.target.value })}
+          />
+        </div>
+        <div className="flex items-center gap-4">
+          <button className="btn-primary" type="submit">
+            Track order
+          </button>
+          {error && <span className="text-sm text-rose-400">{error}</span>}
+        </div>
+      </form>
+
+      <div className="frosted-panel rounded-2xl p-6 overflow-x-auto">
+        {!orders.length ? (
+          <p className="text-sm text-slate-400">No orders tracked yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-500 text-xs uppercase text-right">
+                <th className="text-left font-normal pb-2">Item</th>
+                <th className="text-left font-normal pb-2">Side</th>
+                <th className="font-normal pb-2">Quantity</th>
+                <th className="font-normal pb-2">Your price</th>
+                <th className="font-normal pb-2">Top of book</th>
+                <th className="font-normal pb-2">Behind</th>
+                <th className="font-normal pb-2">Status</th>
+                <th className="font-normal pb-2">Re-list at</th>
+                <th className="pb-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map((o) => {
+                const status = STATUS[o.status] || STATUS.unknown
+                return (
+                  <tr key={o.id} className="text-right border-t border-white/5 hover:bg-white/5 cursor-pointer" onClick={() => onSelect(o.productId)}>
+                    <td className="text-left py-2">{o.productId}</td>
+                    <td className="text-left">{o.side === 'buy' ? 'Buy order' : 'Sell offer'}</td>
+                    <td>{numberOrNull(o.quantity)}</td>
+                    <td>{numberOrNull(o.price)}</td>
+                    <td>{numberOrNull(o.topPrice)}</td>
+                    <td className={o.behind > 0 ? 'text-rose-300' : ''}>{numberOrNull(o.behind)}</td>
+                    <td>
+                      <span className={`badge text-xs whitespace-nowrap ${status.className}`}>{status.label}</span>
+                    </td>
+                    <td>{numberOrNull(o.suggestedPrice)}</td>
+                    <td className="pl-3 whitespace-nowrap space-x-3" onClick={(e) => e.stopPropagation()}>
+                      {(o.status === 'undercut' || o.status === 'tied') && (
+                        <button className="text-cyan-300 hover:text-cyan-200" onClick={() => relist(o)} title="Record that you re-listed at the suggested price">
+                          Re-listed
+                        </button>
+                      )}
+                      <button className="text-slate-400 hover:text-rose-300" onClick={() => removeOrder(o.id)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,164 @@
+import React, { useState } from 'react'
+import { API_ROOT } from './api'
+import { authFetch } from './session'
+import { numberOrNull, parseShorthandNumber } from './format'
+
+const PLAN_STORAGE_KEY = 'skyblock_flips_plan'
+
+const defaultInputs = {
+  purse: '10000000',
+  maxOrders: '14',
+  maxPerItem: '',
+  fillHours: '1',
+}
+
+const LIMIT_LABELS = {
+  volume: 'hourly volume',
+  maxPerItem: 'max spend',
+  purse: 'purse',
+  orderSize: 'order size cap',
+}
+
+function loadInputs() {
+  try {
+    const saved = localStorage.getItem(PLAN_STORAGE_KEY)
+    if (saved) return { ...defaultInputs, ...JSON.parse(saved) }
+  } catch (e) {
+    console.error('Failed to load plan inputs', e)
+  }
+  return { ...defaultInputs }
+}
+
+export default function PlanView({ tax, profile, onSelect }) {
+  const [inputs, setInputs] = useState(loadInputs)
+  const [plan, setPlan] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  function setInput(key, value) {
+    setInputs((prev) => ({ ...prev, [key]: value }))
+  }
+
+  async function runPlan(e) {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+    localStorage.setItem(PLAN_STORAGE_KEY, JSON.stringify(inputs))
+    try {
+      const body = profile ? { profile } : { tax }
+      for (const [key, value] of Object.entries(inputs)) {
+        body[key] = parseShorthandNumber(value)
+      }
+      const res = await authFetch(`${API_ROOT}/plan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const j = await res.json()
+      if (!j.success) throw new Error(j.error || 'Failed to build plan')
+      setPlan(j.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <section className="space-y-6">
+      <form className="frosted-panel rounded-2xl p-6 space-y-5" onSubmit={runPlan}>
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Portfolio planner</h2>
+          <p className="text-sm text-slate-400">
+            Splits your purse across the current flips to maximize expected coins/hour, without buying more than each market trades within the fill time.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <PlanInput label="Purse" hint="coins, e.g. 25m" value={inputs.purse} onChange={(v) => setInput('purse', v)} />
+          <PlanInput label="Order slots" hint="max concurrent orders" value={inputs.maxOrders} onChange={(v) => setInput('maxOrders', v)} />
+          <PlanInput label="Max per item" hint="coins, empty for no cap" value={inputs.maxPerItem} onChange={(v) => setInput('maxPerItem', v)} />
+          <PlanInput label="Fill time" hint="hours until you relist" value={inputs.fillHours} onChange={(v) => setInput('fillHours', v)} />
+        </div>
+        <div className="flex items-center gap-4">
+          <button className="btn-primary" type="submit" disabled={loading}>
+            {loading ? 'Planning…' : 'Build plan'}
+          </button>
+          <span className="text-xs text-slate-500">Tax: {tax}%</span>
+          {error && <span className="text-sm text-rose-400">{error}</span>}
+        </div>
+      </form>
+
+      {plan && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="stat-pill">
+              <p className="stat-label">Orders</p>
+              <p className="stat-value">{plan.totals.orders}</p>
+              <p className="stat-meta">of {plan.input.maxOrders} slots</p>
+            </div>
+            <div className="stat-pill">
+              <p className="stat-label">Invested</p>
+              <p className="stat-value">{numberOrNull(Math.round(plan.totals.cost))}</p>
+              <p className="stat-meta">{numberOrNull(Math.round(plan.totals.unusedPurse))} unused</p>
+            </div>
+            <div className="stat-pill">
+              <p className="stat-label">Expected profit</p>
+              <p className="stat-value">{numberOrNull(Math.round(plan.totals.expectedProfit))}</p>
+              <p className="stat-meta">per {plan.input.fillHours}h cycle</p>
+            </div>
+            <div className="stat-pill">
+              <p className="stat-label">Coins / hour</p>
+              <p className="stat-value">{numberOrNull(Math.round(plan.totals.coinsPerHour))}</p>
+              <p className="stat-meta">expected</p>
+            </div>
+          </div>
+
+          <div className="frosted-panel rounded-2xl p-6 overflow-x-auto">
+            {!plan.allocations.length ? (
+              <p className="text-sm text-slate-400">No flip fits these constraints.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-slate-500 text-xs uppercase text-right">
+                    <th className="text-left font-normal pb-2">Item</th>
+                    <th className="font-normal pb-2">Quantity</th>
+                    <th className="font-normal pb-2">Buy</th>
+                    <th className="font-normal pb-2">Sell</th>
+                    <th className="font-normal pb-2">Cost</th>
+                    <th className="font-normal pb-2">Profit</th>
+                    <th className="font-normal pb-2">Est. fill</th>
+                    <th className="font-normal pb-2">Limited by</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.allocations.map((a) => (
+                    <tr key={a.id} className="text-right border-t border-white/5 hover:bg-white/5 cursor-pointer" onClick={() => onSelect(a.id)}>
+                      <td className="text-left py-2">{a.title}</td>
+                      <td>{numberOrNull(a.quantity)}</td>
+                      <td>{numberOrNull(a.buy)}</td>
+                      <td>{numberOrNull(a.sell)}</td>
+                      <td>{numberOrNull(Math.round(a.cost))}</td>
+                      <td className="text-lime-300">{numberOrNull(Math.round(a.expectedProfit))}</td>
+                      <td>{a.estFillHours.toFixed(1)}h</td>
+                      <td className="text-slate-400">{LIMIT_LABELS[a.limitedBy] || a.limitedBy}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+function PlanInput({ label, hint, value, onChange }) {
+  return (
+    <div className="filter-card">
+      <label className="text-xs uppercase tracking-wide text-slate-400">{label}</label>
+      <p className="text-[0.8rem] text-slate-500 mt-1">{hint}</p>
+      <input className="input w-full mt-3" value={value} onChange={(e) => onChange(e.target.value)} inputMode="numeric" />
+    </div>
+  )
+}
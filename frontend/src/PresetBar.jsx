@@ -0,0 +1,100 @@
+import React, { useRef, useState } from 'react'
+import { downloadFile } from './exportFlips'
+import { encodeViewState, mergePresets, parsePresets, serializePresets } from './viewState'
+
+// Presets live in App so they can be synced to the account
+export default function PresetBar({ viewState, presets, setPresets, onApply }) {
+  const [selected, setSelected] = useState('')
+  const [name, setName] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileInput = useRef(null)
+
+  function selectPreset(presetName) {
+    setSelected(presetName)
+    const preset = presets.find((p) => p.name === presetName)
+    if (preset) onApply(preset.state)
+  }
+
+  function savePreset() {
+    const trimmed = name.trim()
+    if (!trimmed) return
+    setPresets((prev) => mergePresets(prev, [{ name: trimmed, state: viewState }]))
+    setSelected(trimmed)
+    setName('')
+    setMessage({ tone: 'ok', text: `Saved "${trimmed}"` })
+  }
+
+  function deletePreset() {
+    setPresets((prev) => prev.filter((p) => p.name !== selected))
+    setSelected('')
+  }
+
+  async function importPresets(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const imported = parsePresets(await file.text())
+      setPresets((prev) => mergePresets(prev, imported))
+      setMessage({ tone: 'ok', text: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}` })
+    } catch (err) {
+      setMessage({ tone: 'error', text: err.message })
+    }
+  }
+
+  async function copyLink() {
+    const search = encodeViewState(viewState)
+    const url = `${window.location.origin}${window.location.pathname}${search ? `?${search}` : ''}`
+    try {
+      await navigator.clipboard.writeText(url)
+      setMessage({ tone: 'ok', text: 'Link copied' })
+    } catch (err) {
+      setMessage({ tone: 'error', text: 'Could not copy the link, use the address bar instead' })
+    }
+  }
+
+  return (
+    <section className="frosted-panel rounded-2xl p-4 flex flex-col md:flex-row md:items-center gap-3 text-sm">
+      <select className="input select" value={selected} onChange={(e) => selectPreset(e.target.value)}>
+        <option value="">{presets.length ? 'Load preset…' : 'No saved presets'}</option>
+        {presets.map((p) => (
+          <option key={p.name} value={p.name}>
+            {p.name}
+          </option>
+        ))}
+      </select>
+      <button className="btn-ghost text-xs" onClick={deletePreset} disabled={!selected}>
+        Delete
+      </button>
+      <div className="flex gap-2">
+        <input
+          className="input"
+          placeholder="Preset name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+        />
+        <button className="btn-ghost text-xs" onClick={savePreset} disabled={!name.trim()}>
+          Save current
+        </button>
+      </div>
+      <div className="flex gap-2 md:ml-auto">
+        <button
+          className="btn-ghost text-xs"
+          onClick={() => downloadFile('flip-presets.json', serializePresets(presets), 'application/json')}
+          disabled={!presets.length}
+        >
+          Export
+        </button>
+        <button className="btn-ghost text-xs" onClick={() => fileInput.current.click()}>
+          Import
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={importPresets} />
+        <button className="btn-ghost text-xs" onClick={copyLink}>
+          Copy link
+        </button>
+      </div>
+      {message && <span className={message.tone === 'error' ? 'text-rose-400' : 'text-slate-400'}>{message.text}</span>}
+    </section>
+  )
+}
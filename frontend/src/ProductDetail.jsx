@@ -0,0 +1,208 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { API_ROOT } from './api'
+import { numberOrNull } from './format'
+import ItemIcon from './ItemIcon'
+import LineChart from './LineChart'
+import { rarityStyle } from './items'
+
+const RANGES = [
+  { key: '1h', label: '1h', ms: 60 * 60 * 1000 },
+  { key: '6h', label: '6h', ms: 6 * 60 * 60 * 1000 },
+  { key: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { key: '7d', label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { key: '30d', label: '30d', ms: 30 * 24 * 60 * 60 * 1000 },
+]
+
+export default function ProductDetail({ id, item, tax, onClose }) {
+  const [range, setRange] = useState('24h')
+  const [product, setProduct] = useState(null)
+  const [history, setHistory] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    async function load() {
+      setLoading(true)
+      setError(null)
+      try {
+        const from = Date.now() - RANGES.find((r) => r.key === range).ms
+        const [productRes, historyRes] = await Promise.all([
+          fetch(`${API_ROOT}/products/${encodeURIComponent(id)}?tax=${tax}`),
+          fetch(`${API_ROOT}/products/${encodeURIComponent(id)}/history?from=${from}`),
+        ])
+        const p = await productRes.json()
+        const h = await historyRes.json()
+        if (!p.success) throw new Error(p.error || 'Failed to load product')
+        if (!h.success) throw new Error(h.error || 'Failed to load history')
+        if (cancelled) return
+        setProduct(p.data)
+        setHistory(h.data.points || [])
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [id, tax, range])
+
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [onClose])
+
+  // Derive margin and hourly volume the same way the backend does for cards
+  const points = useMemo(() => {
+    const taxMultiplier = 1 - tax / 100
+    return history.map((p) => ({
+      ...p,
+      margin: p.buy > 0 && p.sell > 0 ? p.sell * taxMultiplier - p.buy : null,
+      instabuy: Math.round(p.buyMovingWeek / 168),
+      instasell: Math.round(p.sellMovingWeek / 168),
+    }))
+  }, [history, tax])
+
+  const card = product?.card || item
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-950/80 backdrop-blur-sm overflow-y-auto" onClick={onClose}>
+      <div className="max-w-5xl mx-auto px-4 py-10" onClick={(e) => e.stopPropagation()}>
+        <div className="frosted-panel rounded-2xl p-6 md:p-8 space-y-6">
+          <div className="flex items-start gap-4">
+            <div className="w-16 h-16 rounded-xl bg-slate-900/70 border border-white/5 flex items-center justify-center overflow-hidden">
+              <ItemIcon img={card?.img} title={card?.title || id} />
+            </div>
+            <div className="flex-1 min-w-0">
+              <h2 className="text-2xl font-semibold truncate" style={rarityStyle(card?.rarity)}>
+                {card?.title || id}
+              </h2>
+              <p className="text-sm text-slate-400 truncate">{id}</p>
+              {card?.href && (
+                <a href={card.href} target="_blank" rel="noreferrer" className="btn-ghost text-xs">
+                  Open on skyblock.bz
+                </a>
+              )}
+            </div>
+            <button className="btn-ghost text-sm" onClick={onClose}>
+              Close
+            </button>
+          </div>
+
+          {error && <p className="text-sm text-rose-400">{error}</p>}
+
+          {card && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <Stat label="Buy" value={card.buy} />
+              <Stat label="Sell" value={card.sell} />
+              <Stat label="Margin" value={card.margin} accent="text-lime-300" />
+              <Stat label="Coins/hr" value={card.coinsPerHour} />
+              <Stat label="Instabuy/hr" value={card.instabuy} />
+              <Stat label="Instasell/hr" value={card.instasell} />
+              {/* quick_status names these from the instant side, so sellOrders counts buy orders */}
+              <Stat label="Buy orders" value={product?.quickStatus?.sellOrders} />
+              <Stat label="Sell offers" value={product?.quickStatus?.buyOrders} />
+            </div>
+          )}
+
+          {!!card?.riskReasons?.length && (
+            <div className="filter-card border-amber-400/30">
+              <p className="text-xs uppercase tracking-wide text-amber-300">Risk score {card.riskScore}</p>
+              <ul className="text-sm text-slate-300 mt-2 list-disc list-inside">
+                {card.riskReasons.map((reason) => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-medium text-slate-400 uppercase tracking-wider">History</h3>
+            <div className="flex gap-2 text-xs">
+              {loading && <span className="text-slate-500 self-center">Loading…</span>}
+              {RANGES.map((r) => (
+                <button
+                  key={r.key}
+                  className={`badge ${range === r.key ? 'text-cyan-300 border-cyan-400/60' : 'text-slate-400'}`}
+                  onClick={() => setRange(r.key)}
+                >
+                  {r.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <LineChart
+            title="Price"
+            points={points}
+            series={[
+              { key: 'buy', label: 'Buy', color: '#38bdf8' },
+              { key: 'sell', label: 'Sell', color: '#f472b6' },
+            ]}
+          />
+          <LineChart title="Margin (after tax)" points={points} series={[{ key: 'margin', label: 'Margin', color: '#bef264' }]} />
+          <LineChart
+            title="Hourly volume"
+            points={points}
+            series={[
+              { key: 'instabuy', label: 'Instabuy', color: '#a78bfa' },
+              { key: 'instasell', label: 'Instasell', color: '#fbbf24' },
+            ]}
+          />
+
+          {product && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <OrderBook title="Buy orders" levels={product.buyOrders} />
+              <OrderBook title="Sell offers" levels={product.sellOffers} />
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function Stat({ label, value, accent = '' }) {
+  return (
+    <div className="stat-pill">
+      <p className="stat-label">{label}</p>
+      <p className={`text-lg font-semibold ${accent}`}>{numberOrNull(value)}</p>
+    </div>
+  )
+}
+
+function OrderBook({ title, levels }) {
+  return (
+    <div className="filter-card">
+      <p className="text-xs uppercase tracking-wide text-slate-400 mb-3">{title}</p>
+      {!levels?.length ? (
+        <p className="text-sm text-slate-500">No orders.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs uppercase">
+              <th className="text-left font-normal">Price</th>
+              <th className="text-right font-normal">Amount</th>
+              <th className="text-right font-normal">Orders</th>
+            </tr>
+          </thead>
+          <tbody>
+            {levels.map((level, i) => (
+              <tr key={i}>
+                <td>{numberOrNull(level.pricePerUnit)}</td>
+                <td className="text-right">{numberOrNull(level.amount)}</td>
+                <td className="text-right">{numberOrNull(level.orders)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
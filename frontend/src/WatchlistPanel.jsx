@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react'
+import { API_ROOT } from './api'
+import { formatCompact, formatDelta, numberOrNull } from './format'
+import { authFetch } from './session'
+
+const WATCHLIST_STORAGE_KEY = 'skyblock_flips_watchlist'
+
+const HOUR = 60 * 60 * 1000
+
+// Reference times for the second set of deltas
+const REFERENCES = [
+  { key: '1h', label: '1 hour ago', ago: HOUR },
+  { key: '6h', label: '6 hours ago', ago: 6 * HOUR },
+  { key: '24h', label: '24 hours ago', ago: 24 * HOUR },
+  { key: '7d', label: '7 days ago', ago: 7 * 24 * HOUR },
+  { key: 'custom', label: 'Custom time' },
+]
+
+const defaultSettings = { reference: '24h', customTime: '' }
+
+function loadSettings() {
+  try {
+    const saved = localStorage.getItem(WATCHLIST_STORAGE_KEY)
+    if (saved) return { ...defaultSettings, ...JSON.parse(saved) }
+  } catch (e) {
+    console.error('Failed to load watchlist settings', e)
+  }
+  return { ...defaultSettings }
+}
+
+// Reference timestamp for the settings, rounded to the minute so repeated fetches agree
+function referenceTime(settings) {
+  if (settings.reference === 'custom') {
+    const t = Date.parse(settings.customTime)
+    return Number.isNaN(t) ? null : t
+  }
+  const ref = REFERENCES.find((r) => r.key === settings.reference)
+  return ref ? Math.floor((Date.now() - ref.ago) / 60000) * 60000 : null
+}
+
+function deltaTone(val) {
+  if (val == null || Math.abs(val) < 0.05) return 'text-slate-500'
+  return val > 0 ? 'text-lime-300' : 'text-rose-300'
+}
+
+function Delta({ value }) {
+  return <span className={`text-xs ${deltaTone(value)}`}>{formatDelta(value)}</span>
+}
+
+export default function WatchlistPanel({ tax, profile, lastUpdated, watchIds, onToggle, onSelect }) {
+  const [settings, setSettings] = useState(loadSettings)
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(settings))
+  }, [settings])
+
+  useEffect(() => {
+    if (!watchIds.length) {
+      setEntries([])
+      return
+    }
+    let cancelled = false
+    // Same fee model as the ranking, so the pinned margins match the cards below
+    const params = new URLSearchParams(profile ? { profile } : { tax: String(tax) })
+    const since = referenceTime(settings)
+    if (since != null) params.set('since', String(since))
+    authFetch(`${API_ROOT}/watchlist?${params}`)
+      .then((res) => res.json())
+      .then((j) => {
+        if (!j.success) throw new Error(j.error || 'Failed to load the watchlist')
+        if (!cancelled) {
+          setEntries(j.data)
+          setError(null)
+        }
+      })
+      .catch((err) => !cancelled && setError(err.message))
+    return () => {
+      cancelled = true
+    }
+  }, [tax, profile, lastUpdated, watchIds, settings])
+
+  if (!watchIds.length) return null
+
+  const referenceLabel = REFERENCES.find((r) => r.key === settings.reference)?.label.toLowerCase()
+
+  return (
+    <section className="frosted-panel rounded-2xl p-6 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold tracking-tight">Watchlist</h2>
+          <p className="text-sm text-slate-400">Starred products, whether or not they make the flip list. Changes since the last bazaar update and since the reference time.</p>
+        </div>
+        <div className="flex gap-3">
+          <select className="input select" value={settings.reference} onChange={(e) => setSettings({ ...settings, reference: e.target.value })}>
+            {REFERENCES.map((r) => (
+              <option key={r.key} value={r.key}>
+                Since {r.label.toLowerCase()}
+              </option>
+            ))}
+          </select>
+          {settings.reference === 'custom' && (
+            <input
+              type="datetime-local"
+              className="input"
+              value={settings.customTime}
+              onChange={(e) => setSettings({ ...settings, customTime: e.target.value })}
+            />
+          )}
+        </div>
+      </div>
+      {error && <p className="text-sm text-rose-400">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs uppercase text-right">
+              <th className="text-left font-normal pb-2">Item</th>
+              <th className="font-normal pb-2">Rank</th>
+              <th className="font-normal pb-2">Buy</th>
+              <th className="font-normal pb-2">Sell</th>
+              <th className="font-normal pb-2">Margin</th>
+              <th className="font-normal pb-2">Coins / h</th>
+              <th className="font-normal pb-2" title={`Since ${referenceLabel}`}>
+                Δ buy / sell / margin
+              </th>
+              <th className="pb-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e) => (
+              <tr key={e.id} className="text-right border-t border-white/5 hover:bg-white/5 cursor-pointer" onClick={() => onSelect(e.id)}>
+                <td className="text-left py-2">{e.title}</td>
+                <td className="text-slate-400">{e.rank ? `#${e.rank}` : e.known ? 'not a flip' : 'not traded'}</td>
+                <td>
+                  <div>{numberOrNull(e.card?.buy)}</div>
+                  <Delta value={e.sinceRefresh?.buy} />
+                </td>
+                <td>
+                  <div>{numberOrNull(e.card?.sell)}</div>
+                  <Delta value={e.sinceRefresh?.sell} />
+                </td>
+                <td>
+                  <div className={e.card?.margin > 0 ? 'text-lime-300' : 'text-rose-300'}>{e.card ? formatCompact(e.card.margin) : '—'}</div>
+                  <Delta value={e.sinceRefresh?.margin} />
+                </td>
+                <td>{e.card ? formatCompact(e.card.coinsPerHour) : '—'}</td>
+                <td className="space-x-2" title={e.sinceReference ? `Compared with ${new Date(e.sinceReference.t).toLocaleString()}` : 'No history at the reference time'}>
+                  <Delta value={e.sinceReference?.buy} />
+                  <Delta value={e.sinceReference?.sell} />
+                  <Delta value={e.sinceReference?.margin} />
+                </td>
+                <td className="pl-3">
+                  <button
+                    className="text-amber-300 hover:text-slate-400"
+                    title="Remove from watchlist"
+                    onClick={(event) => {
+                      event.stopPropagation()
+                      onToggle(e.id)
+                    }}
+                  >
+                    ★
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,31 @@
+function computeApiBase() {
+  if (import.meta.env.VITE_API_URL) return import.meta.env.VITE_API_URL
+  if (typeof window === 'undefined') return 'http://localhost:3001/api/flips'
+
+  const { hostname, protocol, origin } = window.location
+  
+  // Handle GitHub Codespaces
+  if (hostname.endsWith('.app.github.dev')) {
+    const parts = hostname.split('-');
+
+    // Regex to find the port number at the end of the subdomain
+    const portRegex = /-5173(?=\.app\.github\.dev)/;
+    if (portRegex.test(hostname)) {
+        return `https://${hostname.replace(portRegex, '-3001')}/api/flips`;
+    }
+    
+    // if we can't find -5173, maybe we are on a different port or format.
+    return `https://${hostname.replace(/-\d+\.app\.github\.dev$/, '-3001.app.github.dev')}/api/flips`; //made to work on codespaces cuz I dont have a server to run on 
+  }
+
+  if (import.meta.env.DEV) {
+    return `${protocol}//${hostname}:3001/api/flips`
+  }
+
+  return `${origin.replace(/\/$/, '')}/api/flips`
+}
+
+export const API = computeApiBase()
+
+// Base of the backend API (e.g. http://localhost:3001/api), for endpoints other than /flips
+export const API_ROOT = API.replace(/\/flips\/?$/, '')
@@ -0,0 +1,13 @@
+// Apply a { added, removed, changed } diff from the live stream to a card list
+export function applyDiff(items, diff) {
+  const removed = new Set(diff.removed)
+  const changes = new Map(diff.changed.map((c) => [c.id, c.changes]))
+
+  const next = []
+  for (const item of items) {
+    if (removed.has(item.id)) continue
+    const change = changes.get(item.id)
+    next.push(change ? { ...item, ...change } : item)
+  }
+  return next.concat(diff.added)
+}
@@ -0,0 +1,65 @@
+// Client-side export of the flip list as shown, numbers unformatted
+
+const FLIP_COLUMNS = [
+  'id',
+  'title',
+  'buy',
+  'sell',
+  'instabuy',
+  'instasell',
+  'margin',
+  'sellTax',
+  'taxPerItem',
+  'coinsPerHour',
+  'riskScore',
+  'riskReasons',
+  'competitors',
+  'fillShare',
+  'fillHours',
+  'realisticCoinsPerHour',
+  'trend',
+  'momentum',
+  'volatility',
+  'forecastSell',
+  'expectedMargin',
+  'riskAdjustedCoinsPerHour',
+]
+// Only exported when the list was computed with a fill simulation
+const SIM_COLUMNS = ['simQuantity', 'simBuy', 'simSell', 'simMargin', 'simProfit', 'simCoinsPerHour', 'maxFillable']
+
+export function flipColumns(items) {
+  return items.some((item) => item.simMargin != null) ? [...FLIP_COLUMNS, ...SIM_COLUMNS] : FLIP_COLUMNS
+}
+
+function csvCell(value) {
+  if (value == null) return ''
+  const s = Array.isArray(value) ? value.join('; ') : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+export function flipsToCsv(items) {
+  const columns = flipColumns(items)
+  const lines = [columns.join(',')]
+  for (const item of items) lines.push(columns.map((c) => csvCell(item[c])).join(','))
+  return `${lines.join('\r\n')}\r\n`
+}
+
+export function flipsToJson(items) {
+  const columns = flipColumns(items)
+  return JSON.stringify(
+    items.map((item) => Object.fromEntries(columns.map((c) => [c, item[c] ?? null]))),
+    null,
+    2,
+  )
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest'
+import { flipColumns, flipsToCsv, flipsToJson } from './exportFlips'
+
+const items = [
+  { id: 'WHEAT', title: 'WHEAT', buy: 5, sell: 7.25, instabuy: 20000, instasell: 30000, margin: 1.918437, sellTax: 1.125, taxPerItem: 0.0815625, coinsPerHour: 38368.74, riskScore: 0, riskReasons: [], competitors: 12, fillShare: 0.1, fillHours: 0.5, realisticCoinsPerHour: 3836.9 },
+  { id: 'RUNE', title: 'Rune, "fire"', buy: 900, sell: 1000, instabuy: 50, instasell: 40, margin: 88.75, coinsPerHour: 3550, riskScore: 60, riskReasons: ['a', 'b'] },
+]
+
+describe('flipsToCsv', () => {
+  it('writes raw numbers in the given order and escapes text', () => {
+    expect(flipsToCsv(items).split('\r\n')).toEqual([
+      'id,title,buy,sell,instabuy,instasell,margin,sellTax,taxPerItem,coinsPerHour,riskScore,riskReasons,competitors,fillShare,fillHours,realisticCoinsPerHour,trend,momentum,volatility,forecastSell,expectedMargin,riskAdjustedCoinsPerHour',
+      'WHEAT,WHEAT,5,7.25,20000,30000,1.918437,1.125,0.0815625,38368.74,0,,12,0.1,0.5,3836.9,,,,,,',
+      'RUNE,"Rune, ""fire""",900,1000,50,40,88.75,,,3550,60,a; b,,,,,,,,,,',
+      '',
+    ])
+  })
+})
+
+describe('flipsToJson', () => {
+  it('keeps only the export columns, missing values as null', () => {
+    const rows = JSON.parse(flipsToJson([{ id: 'A', title: 'A', margin: 1, href: 'x' }]))
+    expect(rows[0].margin).toBe(1)
+    expect(rows[0].buy).toBeNull()
+    expect(rows[0]).not.toHaveProperty('href')
+  })
+})
+
+describe('flipColumns', () => {
+  it('adds the simulation columns when present', () => {
+    expect(flipColumns(items)).not.toContain('simMargin')
+    expect(flipColumns([{ simMargin: 1 }])).toContain('simCoinsPerHour')
+  })
+})
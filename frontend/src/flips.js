@@ -0,0 +1,71 @@
+// Flip list query state: filters are applied by the backend, see /api/flips
+
+export const DEFAULT_TAX = 1.125
+export const PAGE_SIZE = 100
+
+// Filter keys of the UI -> /api/flips query parameters
+const FILTER_PARAMS = {
+  buyMin: 'buyMin',
+  buyMax: 'buyMax',
+  sellMin: 'sellMin',
+  sellMax: 'sellMax',
+  instaBuyMin: 'instabuyMin',
+  instaBuyMax: 'instabuyMax',
+  instaSellMin: 'instasellMin',
+  instaSellMax: 'instasellMax',
+  marginMin: 'marginMin',
+  marginMax: 'marginMax',
+  cphMin: 'coinsPerHourMin',
+  cphMax: 'coinsPerHourMax',
+  realisticCphMin: 'realisticCoinsPerHourMin',
+  realisticCphMax: 'realisticCoinsPerHourMax',
+  riskAdjustedCphMin: 'riskAdjustedCoinsPerHourMin',
+  riskAdjustedCphMax: 'riskAdjustedCoinsPerHourMax',
+  fillHoursMin: 'fillHoursMin',
+  fillHoursMax: 'fillHoursMax',
+  competitorsMin: 'competitorsMin',
+  competitorsMax: 'competitorsMax',
+  maxRisk: 'riskScoreMax',
+  include: 'include',
+  blacklist: 'exclude',
+  minVolume: 'minVolume',
+}
+
+// "wheat, Enchanted coal" -> ['wheat', 'enchanted coal']
+export function parseKeywords(input) {
+  return (input || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+// Query string for /api/flips and its stream, empty filters are left out.
+// A fee profile id replaces the plain tax.
+export function buildFlipQuery({ tax, profile = '', simQuantity = '', simBudget = '', filters = {}, sortBy, sortDir, page = 0, pageSize = PAGE_SIZE }) {
+  const params = new URLSearchParams(profile ? { profile } : { tax: String(tax) })
+  if (simQuantity !== '') params.set('quantity', simQuantity)
+  if (simBudget !== '') params.set('budget', simBudget)
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    const value = filters[key] == null ? '' : String(filters[key]).trim()
+    if (value !== '') params.set(param, value)
+  }
+  if (sortBy) params.set('sortBy', sortBy)
+  if (sortDir) params.set('sortDir', sortDir)
+  params.set('limit', String(pageSize))
+  if (page > 0) params.set('offset', String(page * pageSize))
+  return params.toString()
+}
+
+// Returns a sorted copy, items without the field go last in either direction (like the backend's queryFlips).
+// The backend already sorts each page, this keeps the order while live diffs are applied.
+export function sortFlips(items, sortBy, sortDir) {
+  const arr = [...items]
+  const direction = sortDir === 'asc' ? 1 : -1
+  arr.sort((a, b) => {
+    const A = a[sortBy]
+    const B = b[sortBy]
+    if (A == null || B == null) return (A == null) - (B == null)
+    return (typeof A === 'string' ? A.localeCompare(B) : A - B) * direction
+  })
+  return arr
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import { PAGE_SIZE, buildFlipQuery, parseKeywords, sortFlips } from './flips'
+
+const noFilters = {
+  buyMin: '',
+  buyMax: '',
+  sellMin: '',
+  sellMax: '',
+  instaBuyMin: '',
+  instaBuyMax: '',
+  instaSellMin: '',
+  instaSellMax: '',
+  marginMin: '',
+  marginMax: '',
+  cphMin: '',
+  cphMax: '',
+  include: '',
+  blacklist: '',
+  maxRisk: '',
+  minVolume: '',
+}
+
+const items = [
+  { id: 'ENCHANTED_CARROT', title: 'ENCHANTED CARROT', buy: 150, sell: 200, instabuy: 1000, instasell: 900, margin: 47.75, coinsPerHour: 42975, riskScore: 0 },
+  { id: 'ENCHANTED_DIAMOND', title: 'ENCHANTED DIAMOND', buy: 900, sell: 1000, instabuy: 50, instasell: 40, margin: 88.75, coinsPerHour: 3550, riskScore: 60 },
+  { id: 'WHEAT', title: 'WHEAT', buy: 5, sell: 7, instabuy: 20000, instasell: 30000, margin: 1.9, coinsPerHour: 38000 },
+]
+
+const ids = (list) => list.map((item) => item.id)
+
+describe('parseKeywords', () => {
+  it('splits on commas, trims and lowercases', () => {
+    expect(parseKeywords(' Wheat, enchanted COAL ,,')).toEqual(['wheat', 'enchanted coal'])
+    expect(parseKeywords('')).toEqual([])
+    expect(parseKeywords(undefined)).toEqual([])
+  })
+})
+
+describe('buildFlipQuery', () => {
+  it('sends tax, sort and the first page without filters', () => {
+    const params = new URLSearchParams(buildFlipQuery({ tax: 1.125, filters: noFilters, sortBy: 'margin', sortDir: 'desc' }))
+    expect(Object.fromEntries(params)).toEqual({ tax: '1.125', sortBy: 'margin', sortDir: 'desc', limit: String(PAGE_SIZE) })
+  })
+
+  it('sends the fee profile instead of the tax', () => {
+    const params = new URLSearchParams(buildFlipQuery({ tax: 1.125, profile: 'p1', filters: noFilters, sortBy: 'margin', sortDir: 'desc' }))
+    expect(params.get('profile')).toBe('p1')
+    expect(params.has('tax')).toBe(false)
+  })
+
+  it('maps filter keys to the API parameters', () => {
+    const params = new URLSearchParams(
+      buildFlipQuery({
+        tax: 1,
+        filters: { ...noFilters, instaBuyMin: '100', cphMax: '2m', maxRisk: '29', include: 'enchanted', blacklist: 'rune', minVolume: ' 50 ', realisticCphMin: '5k', fillHoursMax: '2' },
+        sortBy: 'coinsPerHour',
+        sortDir: 'asc',
+      }),
+    )
+    expect(params.get('instabuyMin')).toBe('100')
+    expect(params.get('coinsPerHourMax')).toBe('2m')
+    expect(params.get('riskScoreMax')).toBe('29')
+    expect(params.get('include')).toBe('enchanted')
+    expect(params.get('exclude')).toBe('rune')
+    expect(params.get('minVolume')).toBe('50')
+    expect(params.get('realisticCoinsPerHourMin')).toBe('5k')
+    expect(params.get('fillHoursMax')).toBe('2')
+    expect(params.has('buyMin')).toBe(false)
+  })
+
+  it('adds the fill simulation and page offset', () => {
+    const params = new URLSearchParams(buildFlipQuery({ tax: 1, simQuantity: '640', simBudget: '', filters: noFilters, page: 2 }))
+    expect(params.get('quantity')).toBe('640')
+    expect(params.has('budget')).toBe(false)
+    expect(params.get('offset')).toBe(String(2 * PAGE_SIZE))
+  })
+})
+
+describe('sortFlips', () => {
+  it('sorts by the chosen field in either direction', () => {
+    expect(ids(sortFlips(items, 'margin', 'desc'))).toEqual(['ENCHANTED_DIAMOND', 'ENCHANTED_CARROT', 'WHEAT'])
+    expect(ids(sortFlips(items, 'coinsPerHour', 'asc'))).toEqual(['ENCHANTED_DIAMOND', 'WHEAT', 'ENCHANTED_CARROT'])
+  })
+
+  it('sorts titles alphabetically', () => {
+    expect(ids(sortFlips(items, 'title', 'asc'))).toEqual(['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND', 'WHEAT'])
+    expect(ids(sortFlips(items, 'title', 'desc'))).toEqual(['WHEAT', 'ENCHANTED_DIAMOND', 'ENCHANTED_CARROT'])
+  })
+
+  it('puts items without the field last in either direction', () => {
+    expect(ids(sortFlips(items, 'riskScore', 'desc'))).toEqual(['ENCHANTED_DIAMOND', 'ENCHANTED_CARROT', 'WHEAT'])
+    expect(ids(sortFlips(items, 'riskScore', 'asc'))).toEqual(['ENCHANTED_CARROT', 'ENCHANTED_DIAMOND', 'WHEAT'])
+  })
+
+  it('does not mutate its input', () => {
+    const copy = [...items]
+    sortFlips(items, 'margin', 'asc')
+    expect(items).toEqual(copy)
+  })
+})
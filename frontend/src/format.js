@@ -0,0 +1,53 @@
+export function numberOrNull(n) {
+  return n == null ? '—' : n.toLocaleString('en-US')
+}
+
+export function formatCompact(val) {
+  const abs = Math.abs(val)
+  if (abs >= 1_000_000_000) return `${(val / 1_000_000_000).toFixed(1)}b`
+  if (abs >= 1_000_000) return `${(val / 1_000_000).toFixed(1)}m`
+  if (abs >= 1_000) return `${(val / 1_000).toFixed(1)}k`
+  return val.toLocaleString('en-US', { maximumFractionDigits: 1 })
+}
+
+// Signed change, e.g. "+1.2k", "-40" or "±0"
+export function formatDelta(val) {
+  if (val == null) return '—'
+  if (Math.abs(val) < 0.05) return '±0'
+  return `${val > 0 ? '+' : '-'}${formatCompact(Math.abs(val))}`
+}
+
+// Hours as "45m", "5.6h" or "3.2d"
+export function formatDuration(hours) {
+  if (hours == null || !Number.isFinite(hours)) return '—'
+  if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m`
+  if (hours < 48) return `${hours.toFixed(1)}h`
+  return `${(hours / 24).toFixed(1)}d`
+}
+
+// Milliseconds as "40s", or like formatDuration above a minute
+export function formatAge(ms) {
+  if (ms == null || !Number.isFinite(ms)) return '—'
+  if (ms < 60_000) return `${Math.max(0, Math.round(ms / 1000))}s`
+  return formatDuration(ms / 3_600_000)
+}
+
+// Parses user input like "1,500", "2.5k" or "3m" into a number
+export function parseShorthandNumber(input) {
+  if (input == null) return null
+  if (typeof input === 'number') return input
+  const s = String(input).trim().toLowerCase().replace(/,/g, '')
+  if (s === '') return null
+  const match = s.match(/^([\d,.]*\d(?:\.\d+)?)\s*([kmb])?$/i)
+  if (!match) {
+    const n = Number(s)
+    return Number.isNaN(n) ? null : n
+  }
+  const num = parseFloat(match[1])
+  const suffix = match[2]
+  if (!suffix) return num
+  if (suffix === 'k') return num * 1e3
+  if (suffix === 'm') return num * 1e6
+  if (suffix === 'b') return num * 1e9
+  return num
+}
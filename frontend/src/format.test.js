@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import { formatAge, formatCompact, formatDelta, formatDuration, parseShorthandNumber } from './format'
+
+describe('parseShorthandNumber', () => {
+  it('reads plain numbers and thousands separators', () => {
+    expect(parseShorthandNumber('1500')).toBe(1500)
+    expect(parseShorthandNumber('1,500')).toBe(1500)
+    expect(parseShorthandNumber(' 42 ')).toBe(42)
+    expect(parseShorthandNumber('0')).toBe(0)
+  })
+
+  it('expands k, m and b suffixes in any case', () => {
+    expect(parseShorthandNumber('2.5k')).toBe(2500)
+    expect(parseShorthandNumber('3M')).toBe(3_000_000)
+    expect(parseShorthandNumber('1.2b')).toBe(1_200_000_000)
+    expect(parseShorthandNumber('10 k')).toBe(10_000)
+  })
+
+  it('passes numbers through', () => {
+    expect(parseShorthandNumber(640)).toBe(640)
+  })
+
+  it('returns null for empty or invalid input', () => {
+    expect(parseShorthandNumber(null)).toBeNull()
+    expect(parseShorthandNumber(undefined)).toBeNull()
+    expect(parseShorthandNumber('')).toBeNull()
+    expect(parseShorthandNumber('   ')).toBeNull()
+    expect(parseShorthandNumber('abc')).toBeNull()
+    expect(parseShorthandNumber('5kk')).toBeNull()
+  })
+})
+
+describe('formatCompact', () => {
+  it('abbreviates large values, negatives included', () => {
+    expect(formatCompact(1500)).toBe('1.5k')
+    expect(formatCompact(2_500_000)).toBe('2.5m')
+    expect(formatCompact(-3_000_000_000)).toBe('-3.0b')
+    expect(formatCompact(12.34)).toBe('12.3')
+  })
+})
+
+describe('formatDelta', () => {
+  it('signs changes and shows no change as ±0', () => {
+    expect(formatDelta(1500)).toBe('+1.5k')
+    expect(formatDelta(-40)).toBe('-40')
+    expect(formatDelta(0)).toBe('±0')
+    expect(formatDelta(null)).toBe('—')
+  })
+})
+
+describe('formatDuration', () => {
+  it('picks minutes, hours or days', () => {
+    expect(formatDuration(0.25)).toBe('15m')
+    expect(formatDuration(5.58)).toBe('5.6h')
+    expect(formatDuration(72)).toBe('3.0d')
+    expect(formatDuration(null)).toBe('—')
+  })
+})
+
+describe('formatAge', () => {
+  it('shows seconds under a minute', () => {
+    expect(formatAge(40_400)).toBe('40s')
+    expect(formatAge(90_000)).toBe('2m')
+    expect(formatAge(3 * 3_600_000)).toBe('3.0h')
+    expect(formatAge(null)).toBe('—')
+  })
+})
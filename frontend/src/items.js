@@ -0,0 +1,29 @@
+import { API_ROOT } from './api'
+
+// Item metadata on the frontend: rarity colors and icon URLs, see backend/lib/items.js
+
+// In-game rarity colors
+export const RARITY_COLORS = {
+  COMMON: '#ffffff',
+  UNCOMMON: '#55ff55',
+  RARE: '#5555ff',
+  EPIC: '#aa00aa',
+  LEGENDARY: '#ffaa00',
+  MYTHIC: '#ff55ff',
+  DIVINE: '#55ffff',
+  SPECIAL: '#ff5555',
+  VERY_SPECIAL: '#ff5555',
+}
+
+// Inline style for a title in its rarity color, none for unknown rarities
+export function rarityStyle(rarity) {
+  const color = RARITY_COLORS[rarity]
+  return color ? { color } : undefined
+}
+
+// Backend paths like /api/items/WHEAT/icon point at API_ROOT (which can sit on another host or under a prefix),
+// anything else is used as it is
+export function assetUrl(path) {
+  if (!path) return null
+  return path.startsWith('/api/') ? `${API_ROOT}${path.slice(4)}` : path
+}
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest'
+import { API_ROOT } from './api'
+import { assetUrl, rarityStyle } from './items'
+
+describe('item metadata', () => {
+  it('colors titles by rarity', () => {
+    expect(rarityStyle('LEGENDARY')).toEqual({ color: '#ffaa00' })
+    expect(rarityStyle(null)).toBeUndefined()
+    expect(rarityStyle('SHINY')).toBeUndefined()
+  })
+
+  it('resolves backend icon paths against the API root', () => {
+    expect(assetUrl('/api/items/INK_SACK%3A3/icon')).toBe(`${API_ROOT}/items/INK_SACK%3A3/icon`)
+    expect(assetUrl('https://example.com/icon.png')).toBe('https://example.com/icon.png')
+    expect(assetUrl(null)).toBeNull()
+  })
+})
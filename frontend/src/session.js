@@ -0,0 +1,96 @@
+import { API_ROOT } from './api'
+import { normalizeViewState, parsePresets } from './viewState'
+
+// The logged in account ({ username, token }) and what gets synced to it
+
+export const SESSION_STORAGE_KEY = 'skyblock_flips_session'
+
+export function loadSession() {
+  try {
+    const saved = localStorage.getItem(SESSION_STORAGE_KEY)
+    if (saved) return JSON.parse(saved)
+  } catch (e) {
+    console.error('Failed to load session', e)
+  }
+  return null
+}
+
+export function saveSession(session) {
+  if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+  else localStorage.removeItem(SESSION_STORAGE_KEY)
+}
+
+// fetch with the account's token, for the per-user endpoints (account, settings, watchlist, fee profiles,
+// alerts, orders and journal) and everything that takes a fee profile
+export function authFetch(url, options = {}) {
+  const session = loadSession()
+  if (!session) return fetch(url, options)
+  return fetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${session.token}` } })
+}
+
+const STREAM_RETRY_MS = 3000
+
+// Opens a Server-Sent Events stream and returns a function that closes it; `attach(source)` adds the listeners.
+// EventSource can't send headers, so a logged in stream gets a short-lived, single-use ticket in its URL
+// instead of the token. The browser's own reconnect would reuse the spent ticket, so those streams are
+// re-opened here with a fresh one whenever they drop.
+export function openStream(url, session, attach, { retryMs = STREAM_RETRY_MS } = {}) {
+  let source = null
+  let timer = null
+  let closed = false
+
+  const retry = () => {
+    if (!closed) timer = setTimeout(connect, retryMs)
+  }
+
+  async function connect() {
+    let target = url
+    if (session) {
+      try {
+        const res = await fetch(`${API_ROOT}/auth/stream-ticket`, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${session.token}` },
+        })
+        const j = await res.json()
+        if (!j.success) throw new Error(j.error || 'Failed to open the stream')
+        target = `${url}${url.includes('?') ? '&' : '?'}ticket=${encodeURIComponent(j.data.ticket)}`
+      } catch (e) {
+        console.error('Failed to get a stream ticket', e)
+        retry()
+        return
+      }
+    }
+    if (closed) return
+    source = new EventSource(target)
+    attach(source)
+    if (session) {
+      source.addEventListener('error', () => {
+        source.close()
+        retry()
+      })
+    }
+  }
+
+  connect()
+  return () => {
+    closed = true
+    clearTimeout(timer)
+    if (source) source.close()
+  }
+}
+
+export function settingsPayload(viewState, presets) {
+  return { view: viewState, presets }
+}
+
+// Settings from the backend in the app's shape; parts the account doesn't have yet are null
+export function parseSettings(data) {
+  if (!data) return { view: null, presets: null, updatedAt: null }
+  let presets = null
+  try {
+    presets = parsePresets(JSON.stringify(data.presets || []))
+  } catch (e) {
+    console.error('Ignoring synced presets', e)
+  }
+  return { view: data.view ? normalizeViewState(data.view) : null, presets, updatedAt: data.updatedAt || null }
+}
@@ -0,0 +1,100 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { openStream, parseSettings, settingsPayload } from './session'
+import { defaultViewState } from './viewState'
+
+describe('parseSettings', () => {
+  it('treats an account without settings as empty', () => {
+    expect(parseSettings(null)).toEqual({ view: null, presets: null, updatedAt: null })
+  })
+
+  it('normalizes the synced view and presets', () => {
+    const settings = parseSettings({ view: { sortDir: 'asc', bogus: 1 }, presets: [{ name: ' A ', state: {} }], updatedAt: 5 })
+    expect(settings.view).toEqual({ ...defaultViewState, sortDir: 'asc' })
+    expect(settings.presets).toEqual([{ name: 'A', state: defaultViewState }])
+    expect(settings.updatedAt).toBe(5)
+  })
+
+  it('round-trips what the app sends', () => {
+    const presets = [{ name: 'A', state: defaultViewState }]
+    const settings = parseSettings(settingsPayload(defaultViewState, presets))
+    expect(settings.view).toEqual(defaultViewState)
+    expect(settings.presets).toEqual(presets)
+  })
+
+  it('drops malformed presets but keeps the view', () => {
+    const settings = parseSettings({ view: {}, presets: [{ state: {} }] })
+    expect(settings.presets).toBeNull()
+    expect(settings.view).toEqual(defaultViewState)
+  })
+})
+
+describe('openStream', () => {
+  class FakeEventSource {
+    static opened = []
+    constructor(url) {
+      this.url = url
+      this.listeners = {}
+      this.closed = false
+      FakeEventSource.opened.push(this)
+    }
+    addEventListener(type, fn) {
+      this.listeners[type] = [...(this.listeners[type] || []), fn]
+    }
+    emit(type) {
+      for (const fn of this.listeners[type] || []) fn({})
+    }
+    close() {
+      this.closed = true
+    }
+  }
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+  function stubs() {
+    FakeEventSource.opened = []
+    let n = 0
+    const fetch = vi.fn(async () => ({ json: async () => ({ success: true, data: { ticket: `sbs_${++n}` } }) }))
+    vi.stubGlobal('EventSource', FakeEventSource)
+    vi.stubGlobal('fetch', fetch)
+    return fetch
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('opens anonymous streams as they are', async () => {
+    const fetch = stubs()
+    const attach = vi.fn()
+    const close = openStream('/api/alerts/stream', null, attach)
+    await flush()
+    expect(fetch).not.toHaveBeenCalled()
+    expect(FakeEventSource.opened.map((s) => s.url)).toEqual(['/api/alerts/stream'])
+    expect(attach).toHaveBeenCalledWith(FakeEventSource.opened[0])
+    close()
+    expect(FakeEventSource.opened[0].closed).toBe(true)
+  })
+
+  it('puts a stream ticket in the URL instead of the token and gets a new one after a drop', async () => {
+    const fetch = stubs()
+    const close = openStream('/api/flips/stream?tax=1', { username: 'a', token: 'sbf_secret' }, () => {}, { retryMs: 0 })
+    await flush()
+    expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/stream-ticket$/), {
+      method: 'POST',
+      headers: { Authorization: 'Bearer sbf_secret' },
+    })
+    expect(FakeEventSource.opened.map((s) => s.url)).toEqual(['/api/flips/stream?tax=1&ticket=sbs_1'])
+
+    FakeEventSource.opened[0].emit('error')
+    await flush()
+    await flush()
+    expect(FakeEventSource.opened[0].closed).toBe(true)
+    expect(FakeEventSource.opened.map((s) => s.url)).toEqual(['/api/flips/stream?tax=1&ticket=sbs_1', '/api/flips/stream?tax=1&ticket=sbs_2'])
+    expect(FakeEventSource.opened.every((s) => !s.url.includes('sbf_secret'))).toBe(true)
+
+    close()
+    FakeEventSource.opened[1].emit('error')
+    await flush()
+    expect(FakeEventSource.opened).toHaveLength(2)
+  })
+})
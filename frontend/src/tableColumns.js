@@ -0,0 +1,136 @@
+import { formatCompact, formatDuration, numberOrNull } from './format'
+
+// Dense table layout of the flip list: column definitions, the saved column setup and
+// the windowing math for virtual scrolling
+
+export const TABLE_STORAGE_KEY = 'skyblock_flips_table'
+// The whole list in one page, the rows are virtualized (the backend allows up to 2000)
+export const TABLE_PAGE_SIZE = 2000
+export const ROW_HEIGHT = 36
+
+const round1 = (v) => numberOrNull(Math.round(v * 10) / 10)
+const pct = (v) => `${v > 0 ? '+' : ''}${v}%`
+
+// `sortable` columns are card fields the backend sorts by. `raw.*` columns come from the
+// product's quick_status, which the backend only sends along as the card's `raw` JSON.
+export const TABLE_COLUMNS = [
+  { key: 'title', label: 'Item', align: 'left', sortable: true },
+  { key: 'buy', label: 'Buy', sortable: true, format: round1 },
+  { key: 'sell', label: 'Sell', sortable: true, format: round1 },
+  { key: 'margin', label: 'Margin', sortable: true, format: round1 },
+  { key: 'coinsPerHour', label: 'Coins / h', sortable: true, format: formatCompact },
+  { key: 'instabuy', label: 'Instabuy / h', sortable: true, format: numberOrNull },
+  { key: 'instasell', label: 'Instasell / h', sortable: true, format: numberOrNull },
+  { key: 'realisticCoinsPerHour', label: 'Realistic / h', sortable: true, format: formatCompact },
+  { key: 'riskAdjustedCoinsPerHour', label: 'Risk-adj. / h', sortable: true, format: formatCompact },
+  { key: 'expectedMargin', label: 'Exp. margin', sortable: true, format: round1 },
+  { key: 'trend', label: 'Trend', align: 'left' },
+  { key: 'momentum', label: 'Momentum', sortable: true, format: pct },
+  { key: 'volatility', label: 'Volatility', sortable: true, format: (v) => `${v}%` },
+  { key: 'fillHours', label: 'Fill time', sortable: true, format: formatDuration },
+  { key: 'competitors', label: 'Competitors', sortable: true, format: numberOrNull },
+  { key: 'fillShare', label: 'Fill share', sortable: true, format: (v) => `${(v * 100).toFixed(1)}%` },
+  { key: 'riskScore', label: 'Risk', sortable: true, format: numberOrNull },
+  { key: 'taxPerItem', label: 'Tax / item', sortable: true, format: round1 },
+  { key: 'simMargin', label: 'Sim margin', sortable: true, format: round1 },
+  { key: 'simCoinsPerHour', label: 'Sim coins / h', sortable: true, format: formatCompact },
+  { key: 'raw.sellOrders', label: 'Buy orders', format: numberOrNull },
+  { key: 'raw.buyOrders', label: 'Sell offers', format: numberOrNull },
+  { key: 'raw.sellVolume', label: 'Buy order volume', format: formatCompact },
+  { key: 'raw.buyVolume', label: 'Sell offer volume', format: formatCompact },
+  { key: 'raw.sellMovingWeek', label: 'Instasells / week', format: formatCompact },
+  { key: 'raw.buyMovingWeek', label: 'Instabuys / week', format: formatCompact },
+]
+
+const COLUMNS_BY_KEY = new Map(TABLE_COLUMNS.map((c) => [c.key, c]))
+
+export const DEFAULT_COLUMNS = ['title', 'buy', 'sell', 'margin', 'coinsPerHour', 'instabuy', 'instasell', 'realisticCoinsPerHour', 'trend', 'riskScore']
+
+export function tableColumn(key) {
+  return COLUMNS_BY_KEY.get(key)
+}
+
+// Visible column keys in order: known keys only, no duplicates, the defaults when nothing is left
+export function normalizeColumns(keys) {
+  if (!Array.isArray(keys)) return [...DEFAULT_COLUMNS]
+  const seen = new Set()
+  const result = keys.filter((key) => COLUMNS_BY_KEY.has(key) && !seen.has(key) && seen.add(key))
+  return result.length ? result : [...DEFAULT_COLUMNS]
+}
+
+// Shows or hides a column, shown columns are added at the end
+export function toggleColumn(columns, key) {
+  if (columns.includes(key)) return columns.length > 1 ? columns.filter((k) => k !== key) : columns
+  return [...columns, key]
+}
+
+// Moves a column `delta` places left (negative) or right, within bounds
+export function moveColumn(columns, key, delta) {
+  const from = columns.indexOf(key)
+  if (from === -1) return columns
+  const to = Math.max(0, Math.min(columns.length - 1, from + delta))
+  if (to === from) return columns
+  const next = [...columns]
+  next.splice(from, 1)
+  next.splice(to, 0, key)
+  return next
+}
+
+const rawCache = new WeakMap()
+
+function quickStatus(item) {
+  if (!rawCache.has(item)) {
+    let parsed = {}
+    try {
+      parsed = item.raw ? JSON.parse(item.raw) : {}
+    } catch (e) {
+      // Malformed quick_status, the raw columns stay empty
+    }
+    rawCache.set(item, parsed)
+  }
+  return rawCache.get(item)
+}
+
+export function columnValue(item, key) {
+  return key.startsWith('raw.') ? quickStatus(item)[key.slice(4)] : item[key]
+}
+
+export function formatCell(item, key) {
+  const value = columnValue(item, key)
+  if (value == null || value === '') return '—'
+  const { format } = COLUMNS_BY_KEY.get(key) || {}
+  return format && typeof value === 'number' ? format(value) : String(value)
+}
+
+// Rows to render for a scroll position, with `overscan` extra rows above and below
+export function visibleRange({ scrollTop, viewportHeight, rowHeight = ROW_HEIGHT, count, overscan = 10 }) {
+  const first = Math.floor(scrollTop / rowHeight)
+  const start = Math.max(0, first - overscan)
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan)
+  return { start, end: Math.max(start, end) }
+}
+
+// scrollTop that brings row `index` into view, or the current one when it already is
+export function scrollToRow({ index, scrollTop, viewportHeight, rowHeight = ROW_HEIGHT }) {
+  const top = index * rowHeight
+  if (top < scrollTop) return top
+  if (top + rowHeight > scrollTop + viewportHeight) return top + rowHeight - viewportHeight
+  return scrollTop
+}
+
+// Keyboard navigation: the row index a key moves to, null for keys that don't move
+export function nextRow(index, key, count, pageRows) {
+  if (!count) return null
+  const moves = {
+    ArrowDown: index + 1,
+    j: index + 1,
+    ArrowUp: index - 1,
+    k: index - 1,
+    PageDown: index + pageRows,
+    PageUp: index - pageRows,
+    Home: 0,
+    End: count - 1,
+  }
+  if (!(key in moves)) return null
+  return Math.max(0, Math.min(count - 1, moves[key]))
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_COLUMNS, columnValue, formatCell, moveColumn, nextRow, normalizeColumns, scrollToRow, toggleColumn, visibleRange } from './tableColumns'
+
+const item = {
+  id: 'WHEAT',
+  title: 'WHEAT',
+  buy: 5.04,
+  coinsPerHour: 38368.74,
+  trend: 'up',
+  fillHours: 0.5,
+  expectedMargin: null,
+  raw: JSON.stringify({ productId: 'WHEAT', sellOrders: 29, buyOrders: 39, buyMovingWeek: 64500 }),
+}
+
+describe('table columns', () => {
+  it('keeps known columns in their saved order and falls back to the defaults', () => {
+    expect(normalizeColumns(['margin', 'nope', 'buy', 'margin', 'raw.sellOrders'])).toEqual(['margin', 'buy', 'raw.sellOrders'])
+    expect(normalizeColumns(['nope'])).toEqual(DEFAULT_COLUMNS)
+    expect(normalizeColumns(undefined)).toEqual(DEFAULT_COLUMNS)
+  })
+
+  it('toggles columns but never hides the last one', () => {
+    expect(toggleColumn(['title', 'buy'], 'buy')).toEqual(['title'])
+    expect(toggleColumn(['title'], 'margin')).toEqual(['title', 'margin'])
+    expect(toggleColumn(['title'], 'title')).toEqual(['title'])
+  })
+
+  it('moves columns within bounds', () => {
+    expect(moveColumn(['a', 'b', 'c'], 'c', -1)).toEqual(['a', 'c', 'b'])
+    expect(moveColumn(['a', 'b', 'c'], 'a', 1)).toEqual(['b', 'a', 'c'])
+    const columns = ['a', 'b']
+    expect(moveColumn(columns, 'a', -1)).toBe(columns)
+    expect(moveColumn(columns, 'x', 1)).toBe(columns)
+  })
+
+  it('reads card fields and quick_status fields from the raw JSON', () => {
+    expect(columnValue(item, 'buy')).toBe(5.04)
+    expect(columnValue(item, 'raw.sellOrders')).toBe(29)
+    expect(columnValue({ id: 'X', raw: 'not json' }, 'raw.sellOrders')).toBeUndefined()
+  })
+
+  it('formats cells per column', () => {
+    expect(formatCell(item, 'buy')).toBe('5')
+    expect(formatCell(item, 'coinsPerHour')).toBe('38.4k')
+    expect(formatCell(item, 'fillHours')).toBe('30m')
+    expect(formatCell(item, 'trend')).toBe('up')
+    expect(formatCell(item, 'raw.buyMovingWeek')).toBe('64.5k')
+    expect(formatCell(item, 'expectedMargin')).toBe('—')
+  })
+})
+
+describe('virtual scrolling', () => {
+  it('renders the rows in view plus overscan', () => {
+    expect(visibleRange({ scrollTop: 0, viewportHeight: 360, rowHeight: 36, count: 1500, overscan: 5 })).toEqual({ start: 0, end: 15 })
+    expect(visibleRange({ scrollTop: 3600, viewportHeight: 360, rowHeight: 36, count: 1500, overscan: 5 })).toEqual({ start: 95, end: 115 })
+    expect(visibleRange({ scrollTop: 3600, viewportHeight: 360, rowHeight: 36, count: 100, overscan: 5 })).toEqual({ start: 95, end: 100 })
+    expect(visibleRange({ scrollTop: 0, viewportHeight: 360, count: 0 })).toEqual({ start: 0, end: 0 })
+  })
+
+  it('scrolls just enough to show a row', () => {
+    expect(scrollToRow({ index: 5, scrollTop: 0, viewportHeight: 360, rowHeight: 36 })).toBe(0)
+    expect(scrollToRow({ index: 10, scrollTop: 0, viewportHeight: 360, rowHeight: 36 })).toBe(36)
+    expect(scrollToRow({ index: 2, scrollTop: 360, viewportHeight: 360, rowHeight: 36 })).toBe(72)
+  })
+})
+
+describe('keyboard navigation', () => {
+  it('moves the active row and stays within the list', () => {
+    expect(nextRow(-1, 'ArrowDown', 10, 5)).toBe(0)
+    expect(nextRow(3, 'j', 10, 5)).toBe(4)
+    expect(nextRow(0, 'k', 10, 5)).toBe(0)
+    expect(nextRow(3, 'PageDown', 10, 5)).toBe(8)
+    expect(nextRow(8, 'PageDown', 10, 5)).toBe(9)
+    expect(nextRow(3, 'Home', 10, 5)).toBe(0)
+    expect(nextRow(3, 'End', 10, 5)).toBe(9)
+  })
+
+  it('ignores other keys and empty lists', () => {
+    expect(nextRow(3, 'x', 10, 5)).toBeNull()
+    expect(nextRow(-1, 'ArrowDown', 0, 5)).toBeNull()
+  })
+})
@@ -0,0 +1,128 @@
+import { DEFAULT_TAX } from './flips'
+
+// The flip list setup (filters, sort, tax or fee profile, fill simulation) as one object, so it
+// can be saved as a named preset and round-tripped through the URL
+
+export const defaultFilters = {
+  buyMin: '',
+  buyMax: '',
+  sellMin: '',
+  sellMax: '',
+  instaBuyMin: '',
+  instaBuyMax: '',
+  instaSellMin: '',
+  instaSellMax: '',
+  marginMin: '',
+  marginMax: '',
+  cphMin: '',
+  cphMax: '',
+  realisticCphMin: '',
+  realisticCphMax: '',
+  riskAdjustedCphMin: '',
+  riskAdjustedCphMax: '',
+  fillHoursMin: '',
+  fillHoursMax: '',
+  competitorsMin: '',
+  competitorsMax: '',
+  include: '',
+  blacklist: '',
+  maxRisk: '',
+  minVolume: '',
+}
+
+export const defaultViewState = {
+  filters: defaultFilters,
+  sortBy: 'margin',
+  sortDir: 'desc',
+  tax: DEFAULT_TAX,
+  // Fee profile id, overrides `tax` when set
+  profile: '',
+  simQuantity: '',
+  simBudget: '',
+}
+
+// Fills in defaults and drops unknown keys, for state from storage, presets or links
+export function normalizeViewState(input = {}) {
+  const filters = { ...defaultFilters }
+  for (const key of Object.keys(defaultFilters)) {
+    const value = input.filters?.[key]
+    if (value != null) filters[key] = String(value)
+  }
+  const tax = Number(input.tax)
+  return {
+    filters,
+    sortBy: typeof input.sortBy === 'string' && input.sortBy ? input.sortBy : defaultViewState.sortBy,
+    sortDir: input.sortDir === 'asc' ? 'asc' : 'desc',
+    tax: input.tax != null && input.tax !== '' && Number.isFinite(tax) ? tax : DEFAULT_TAX,
+    profile: typeof input.profile === 'string' ? input.profile : '',
+    simQuantity: input.simQuantity == null ? '' : String(input.simQuantity),
+    simBudget: input.simBudget == null ? '' : String(input.simBudget),
+  }
+}
+
+// Query string with everything that differs from the defaults
+export function encodeViewState(state) {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(state.filters)) {
+    if (value !== '' && value != null) params.set(key, value)
+  }
+  if (state.sortBy !== defaultViewState.sortBy) params.set('sortBy', state.sortBy)
+  if (state.sortDir !== defaultViewState.sortDir) params.set('sortDir', state.sortDir)
+  if (state.tax !== DEFAULT_TAX) params.set('tax', String(state.tax))
+  if (state.profile) params.set('profile', state.profile)
+  if (state.simQuantity !== '') params.set('quantity', state.simQuantity)
+  if (state.simBudget !== '') params.set('budget', state.simBudget)
+  return params.toString()
+}
+
+const URL_KEYS = [...Object.keys(defaultFilters), 'sortBy', 'sortDir', 'tax', 'profile', 'quantity', 'budget']
+
+// The view state of a link, or null when it doesn't carry one
+export function decodeViewState(search) {
+  const params = new URLSearchParams(search)
+  if (!URL_KEYS.some((key) => params.has(key))) return null
+  const filters = {}
+  for (const key of Object.keys(defaultFilters)) {
+    if (params.has(key)) filters[key] = params.get(key)
+  }
+  return normalizeViewState({
+    filters,
+    sortBy: params.get('sortBy'),
+    sortDir: params.get('sortDir'),
+    tax: params.get('tax'),
+    profile: params.get('profile'),
+    simQuantity: params.get('quantity'),
+    simBudget: params.get('budget'),
+  })
+}
+
+// Presets file: `{ presets: [{ name, state }] }`, a bare array or a single preset are accepted too
+export function parsePresets(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (e) {
+    throw new Error('Preset file is not valid JSON')
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data]
+  return list.map((preset, i) => {
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+      throw new Error(`Preset ${i + 1} needs a name`)
+    }
+    if (!preset.state || typeof preset.state !== 'object') {
+      throw new Error(`Preset "${preset.name}" has no state`)
+    }
+    return { name: preset.name.trim(), state: normalizeViewState(preset.state) }
+  })
+}
+
+export function serializePresets(presets) {
+  return JSON.stringify({ presets: presets.map(({ name, state }) => ({ name, state })) }, null, 2)
+}
+
+// Add or replace presets by name, keeping the list sorted
+export function mergePresets(existing, incoming) {
+  const byName = new Map(existing.map((p) => [p.name, p]))
+  for (const preset of incoming) byName.set(preset.name, preset)
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
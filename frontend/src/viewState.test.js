@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_TAX } from './flips'
+import { decodeViewState, defaultViewState, encodeViewState, mergePresets, normalizeViewState, parsePresets, serializePresets } from './viewState'
+
+const customState = normalizeViewState({
+  filters: { buyMin: '1000', include: 'enchanted, coal', maxRisk: '29' },
+  sortBy: 'coinsPerHour',
+  sortDir: 'asc',
+  tax: 1.25,
+  profile: 'main',
+  simQuantity: '640',
+  simBudget: '',
+})
+
+describe('normalizeViewState', () => {
+  it('fills in defaults and drops unknown keys', () => {
+    expect(normalizeViewState({})).toEqual(defaultViewState)
+    const state = normalizeViewState({ filters: { buyMin: 5, bogus: 'x' }, sortDir: 'sideways', tax: 'abc' })
+    expect(state.filters.buyMin).toBe('5')
+    expect(state.filters).not.toHaveProperty('bogus')
+    expect(state.sortDir).toBe('desc')
+    expect(state.tax).toBe(DEFAULT_TAX)
+  })
+
+  it('keeps a zero tax', () => {
+    expect(normalizeViewState({ tax: 0 }).tax).toBe(0)
+    expect(normalizeViewState({ tax: '0' }).tax).toBe(0)
+  })
+})
+
+describe('encodeViewState / decodeViewState', () => {
+  it('leaves the defaults out of the link', () => {
+    expect(encodeViewState(defaultViewState)).toBe('')
+    expect(decodeViewState('')).toBeNull()
+    expect(decodeViewState('?utm_source=discord')).toBeNull()
+  })
+
+  it('round-trips the full view', () => {
+    const search = encodeViewState(customState)
+    expect(Object.fromEntries(new URLSearchParams(search))).toEqual({
+      buyMin: '1000',
+      include: 'enchanted, coal',
+      maxRisk: '29',
+      sortBy: 'coinsPerHour',
+      sortDir: 'asc',
+      tax: '1.25',
+      profile: 'main',
+      quantity: '640',
+    })
+    expect(decodeViewState(`?${search}`)).toEqual(customState)
+  })
+
+  it('fills the rest of a partial link with defaults', () => {
+    const state = decodeViewState('?tax=0&blacklist=rune')
+    expect(state.tax).toBe(0)
+    expect(state.filters.blacklist).toBe('rune')
+    expect(state.sortBy).toBe(defaultViewState.sortBy)
+  })
+})
+
+describe('presets', () => {
+  it('round-trips an exported preset file', () => {
+    const presets = [{ name: 'Cheap crafts', state: customState }]
+    expect(parsePresets(serializePresets(presets))).toEqual(presets)
+  })
+
+  it('accepts a bare list or a single preset', () => {
+    expect(parsePresets(JSON.stringify([{ name: 'A', state: {} }]))).toEqual([{ name: 'A', state: defaultViewState }])
+    expect(parsePresets(JSON.stringify({ name: ' B ', state: { tax: 1 } }))[0]).toMatchObject({ name: 'B', state: { tax: 1 } })
+  })
+
+  it('rejects files that are not presets', () => {
+    expect(() => parsePresets('not json')).toThrow(/not valid JSON/)
+    expect(() => parsePresets('[{"state":{}}]')).toThrow(/needs a name/)
+    expect(() => parsePresets('{"name":"A"}')).toThrow(/has no state/)
+  })
+
+  it('replaces presets with the same name and sorts by name', () => {
+    const merged = mergePresets(
+      [
+        { name: 'b', state: defaultViewState },
+        { name: 'a', state: defaultViewState },
+      ],
+      [{ name: 'b', state: customState }],
+    )
+    expect(merged.map((p) => p.name)).toEqual(['a', 'b'])
+    expect(merged[1].state).toBe(customState)
+  })
+})